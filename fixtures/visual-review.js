@@ -0,0 +1,316 @@
+/**
+ * fixtures/visual-review.js
+ * Opt-in Playwright fixture that records extra data for the visual review.
+ *
+ *   // tests/example.spec.ts
+ *   import { test, expect } from '../fixtures/visual-review';
+ *
+ * At every screenshot point – before each expect(…).toHaveScreenshot() of
+ * the exported expect and at the end of the test, where the automatic
+ * screenshot is taken – it looks up every CSS selector listed under "ignore"
+ * in visual-regression.config.json and attaches where those elements were
+ * in the screenshot ("visual-masks", JSON). visual-regression.js turns them
+ * into ignore rectangles for that screenshot.
+ *
+ * With "ariaSnapshots": true in the config (or VISUAL_ARIA_SNAPSHOTS=true)
+ * it also records the page's accessibility tree ("aria-snapshot", JSON with
+ * Playwright's ARIA snapshot YAML) at the same points. aria-diff.js compares
+ * them between the PR and main runs. Needs Playwright 1.49 or newer.
+ *
+ * With "geometry" in the config (or VISUAL_GEOMETRY=true) it records the
+ * boxes of key elements at the same points ("element-geometry", JSON):
+ * everything with a test id and the landmarks, headings and controls listed
+ * under "roles". visual-regression.js compares them between PR and main to
+ * explain a difference ("header height +4px; all elements below shifted
+ * down 4px").
+ *
+ *   "geometry": true
+ *   "geometry": { "testIdAttribute": "data-test", "roles": ["banner", "main", "button"] }
+ *
+ * The fixture only reads the page; tests behave exactly as with
+ * @playwright/test.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { test: base, expect: baseExpect } = require('@playwright/test');
+
+const CONFIG_FILE = process.env.VISUAL_CONFIG || 'visual-regression.config.json';
+
+function readConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function readSelectors(config) {
+  const ignore = Array.isArray(config.ignore) ? config.ignore : [];
+  return [...new Set(ignore.map(rule => rule && rule.selector).filter(s => typeof s === 'string' && s.trim()))];
+}
+
+const CONFIG = readConfig();
+const SELECTORS = readSelectors(CONFIG);
+const ARIA_SNAPSHOTS = process.env.VISUAL_ARIA_SNAPSHOTS === 'true' || CONFIG.ariaSnapshots === true;
+
+const DEFAULT_GEOMETRY_ROLES = ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'heading', 'button', 'dialog'];
+const MAX_GEOMETRY_ELEMENTS = 300;
+
+function readGeometry(config) {
+  const option = config.geometry;
+  if (!option && process.env.VISUAL_GEOMETRY !== 'true') return null;
+  const settings = option && typeof option === 'object' ? option : {};
+  return {
+    testIdAttribute: settings.testIdAttribute || 'data-testid',
+    roles: Array.isArray(settings.roles) ? settings.roles : DEFAULT_GEOMETRY_ROLES
+  };
+}
+
+const GEOMETRY = readGeometry(CONFIG);
+
+/*
+ * Page coordinates (document, not viewport) of every visible element that
+ * matches each selector, in screenshot pixels.
+ */
+async function measureSelectors(page, selectors) {
+  return page.evaluate(list => {
+    const scale = window.devicePixelRatio || 1;
+    return list.map(selector => {
+      let elements = [];
+      try {
+        elements = Array.from(document.querySelectorAll(selector));
+      } catch {
+        return { selector, error: 'invalid selector', rects: [] };
+      }
+      const rects = elements
+        .map(el => el.getBoundingClientRect())
+        .filter(r => r.width > 0 && r.height > 0)
+        .map(r => ({
+          x: Math.max(0, Math.floor((r.left + window.scrollX) * scale)),
+          y: Math.max(0, Math.floor((r.top + window.scrollY) * scale)),
+          width: Math.ceil(r.width * scale),
+          height: Math.ceil(r.height * scale)
+        }));
+      return { selector, rects };
+    });
+  }, selectors);
+}
+
+/*
+ * Boxes of every visible element with a test id or one of the roles, in the
+ * same page coordinates as measureSelectors. Keys identify an element across
+ * runs: "testid:<id>" or "role:<role>:<name>", with "#2", "#3", … for
+ * repeats.
+ */
+async function measureGeometry(page, { testIdAttribute, roles }) {
+  return page.evaluate(({ attribute, roles, limit }) => {
+    const scale = window.devicePixelRatio || 1;
+    const IMPLICIT = {
+      HEADER: 'banner', NAV: 'navigation', MAIN: 'main', FOOTER: 'contentinfo', ASIDE: 'complementary',
+      H1: 'heading', H2: 'heading', H3: 'heading', H4: 'heading', H5: 'heading', H6: 'heading',
+      BUTTON: 'button', DIALOG: 'dialog', FORM: 'form', IMG: 'img', TABLE: 'table', UL: 'list', OL: 'list'
+    };
+    const roleOf = el => el.getAttribute('role') || (el.tagName === 'A' && el.hasAttribute('href') ? 'link' : IMPLICIT[el.tagName]) || null;
+    const nameOf = el => (el.getAttribute('aria-label') || el.getAttribute('alt') || el.textContent || '')
+      .replace(/\s+/g, ' ').trim().slice(0, 40);
+    const wanted = new Set(roles);
+    const seen = new Map();
+    const elements = [];
+
+    const add = (el, key, info) => {
+      if (elements.length >= limit) return;
+      const r = el.getBoundingClientRect();
+      if (r.width <= 0 || r.height <= 0) return;
+      const count = (seen.get(key) || 0) + 1;
+      seen.set(key, count);
+      elements.push({
+        key: count > 1 ? `${key}#${count}` : key,
+        ...info,
+        x: Math.round((r.left + window.scrollX) * scale),
+        y: Math.round((r.top + window.scrollY) * scale),
+        width: Math.round(r.width * scale),
+        height: Math.round(r.height * scale)
+      });
+    };
+
+    document.querySelectorAll(`[${attribute}]`).forEach(el => {
+      const testId = el.getAttribute(attribute);
+      add(el, `testid:${testId}`, { testId });
+    });
+    document.querySelectorAll('body *').forEach(el => {
+      const role = roleOf(el);
+      if (!role || !wanted.has(role)) return;
+      const name = nameOf(el);
+      add(el, `role:${role}:${name}`, { role, name });
+    });
+    return elements;
+  }, { attribute: testIdAttribute, roles, limit: MAX_GEOMETRY_ELEMENTS });
+}
+
+async function recordGeometry(target, point, testInfo, options) {
+  const isPage = typeof target.context === 'function';
+  try {
+    const page = isPage ? target : target.page();
+    const origin = await screenshotOrigin(target, options);
+    const elements = (await measureGeometry(page, GEOMETRY)).map(e => ({ ...e, x: e.x - origin.x, y: e.y - origin.y }));
+    await testInfo.attach('element-geometry', {
+      body: JSON.stringify({ version: 1, point, url: page.url(), elements }),
+      contentType: 'application/json'
+    });
+  } catch {
+    // page closed or element gone – the screenshot will fail on its own
+  }
+}
+
+/*
+ * Top-left corner of a screenshot in page coordinates: the element for a
+ * locator, the scrolled viewport for a page screenshot, unless fullPage.
+ */
+async function screenshotOrigin(target, options) {
+  const isPage = typeof target.context === 'function';
+  if (isPage && options?.fullPage) return { x: 0, y: 0 };
+  const read = () => {
+    const scale = window.devicePixelRatio || 1;
+    return { x: Math.round(window.scrollX * scale), y: Math.round(window.scrollY * scale) };
+  };
+  if (isPage) return target.evaluate(read);
+  return target.evaluate(el => {
+    const r = el.getBoundingClientRect();
+    const scale = window.devicePixelRatio || 1;
+    return { x: Math.round((r.left + window.scrollX) * scale), y: Math.round((r.top + window.scrollY) * scale) };
+  }, undefined, { timeout: 5000 });
+}
+
+/* the configured selector boxes, in the coordinates of the screenshot taken at `point` */
+async function recordSelectorMasks(target, point, testInfo, options) {
+  const isPage = typeof target.context === 'function';
+  try {
+    const page = isPage ? target : target.page();
+    const origin = await screenshotOrigin(target, options);
+    const masks = (await measureSelectors(page, SELECTORS)).map(mask => ({
+      ...mask,
+      rects: mask.rects
+        .map(r => ({ x: r.x - origin.x, y: r.y - origin.y, width: r.width, height: r.height }))
+        // parts above or left of the screenshot are cut off
+        .map(r => ({ x: Math.max(0, r.x), y: Math.max(0, r.y), width: r.width + Math.min(0, r.x), height: r.height + Math.min(0, r.y) }))
+        .filter(r => r.width > 0 && r.height > 0)
+    }));
+    await testInfo.attach('visual-masks', {
+      body: JSON.stringify({ version: 1, point, url: page.url(), masks }),
+      contentType: 'application/json'
+    });
+  } catch {
+    // page navigated away or crashed – nothing to record
+  }
+}
+
+/*
+ * Attach the accessibility tree of a page or locator. `point` names the
+ * screenshot it belongs to: the toHaveScreenshot name, or "screenshot" for
+ * the automatic one at the end of the test.
+ */
+async function recordAriaSnapshot(target, point, testInfo) {
+  const isPage = typeof target.context === 'function';
+  const locator = isPage ? target.locator(':root') : target;
+  if (typeof locator.ariaSnapshot !== 'function') return;
+  try {
+    const aria = await locator.ariaSnapshot({ timeout: 5000 });
+    const page = isPage ? target : locator.page();
+    await testInfo.attach('aria-snapshot', {
+      body: JSON.stringify({ version: 1, point, url: page.url(), aria }),
+      contentType: 'application/json'
+    });
+  } catch {
+    // page closed or element gone – the screenshot will fail on its own
+  }
+}
+
+/*
+ * Playwright's own file-name helpers (playwright/lib/util.js), so points
+ * match the "<name>-actual.png" attachments visual-regression.js reads.
+ */
+const WINDOWS_FRIENDLY_LENGTH = 60;
+const sanitizeForFilePath = s => s.replace(/[\x00-\x2C\x2E-\x2F\x3A-\x40\x5B-\x60\x7B-\x7F]+/g, '-');
+const withoutExtension = name => name.slice(0, name.length - path.extname(name).length);
+
+function trimLongString(s, length) {
+  if (s.length <= length) return s;
+  const middle = `-${crypto.createHash('sha1').update(s).digest('hex').substring(0, 5)}-`;
+  const start = Math.floor((length - middle.length) / 2);
+  return s.substring(0, start) + middle + s.slice(-(length - middle.length - start));
+}
+
+/*
+ * The snapshot name Playwright gives a toHaveScreenshot call: "home.png" →
+ * "home", ['home', 'hero.png'] → "home/hero", the second "home.png" of a
+ * test → "home-1", and an unnamed call the test's title path plus a running
+ * number ("Todo-adds-an-item-1"). Unnamed toMatchSnapshot calls share that
+ * number but aren't seen here.
+ */
+const snapshotCounters = new WeakMap();
+function snapshotPoint(nameArg, testInfo) {
+  if (!snapshotCounters.has(testInfo)) snapshotCounters.set(testInfo, { anonymous: 0, named: {} });
+  const counters = snapshotCounters.get(testInfo);
+  const name = typeof nameArg === 'string' || Array.isArray(nameArg) ? nameArg : nameArg?.name;
+
+  if (!name) {
+    const title = [...testInfo.titlePath.slice(1), ++counters.anonymous].join(' ');
+    return sanitizeForFilePath(trimLongString(title, WINDOWS_FRIENDLY_LENGTH));
+  }
+  const trimmed = Array.isArray(name) ? null : trimLongString(name, WINDOWS_FRIENDLY_LENGTH);
+  const joined = trimmed === null
+    ? name.join(path.sep)
+    : sanitizeForFilePath(withoutExtension(trimmed)) + path.extname(trimmed);
+  counters.named[joined] = (counters.named[joined] || 0) + 1;
+  const index = counters.named[joined];
+  return withoutExtension(joined) + (index > 1 ? `-${index - 1}` : '');
+}
+
+/* screenshot: { mode: 'on', fullPage: true } takes the automatic screenshot of the whole page, 'on' only of the viewport */
+function automaticFullPage(testInfo) {
+  const option = testInfo.project.use?.screenshot;
+  return typeof option === 'object' && option !== null && option.fullPage === true;
+}
+
+/* everything recorded for one screenshot; options are the screenshot's (fullPage) */
+async function recordScreenshotPoint(target, point, testInfo, options) {
+  if (SELECTORS.length) await recordSelectorMasks(target, point, testInfo, options);
+  if (ARIA_SNAPSHOTS) await recordAriaSnapshot(target, point, testInfo);
+  if (GEOMETRY) await recordGeometry(target, point, testInfo, options);
+}
+
+/* the options argument of toHaveScreenshot(name?, options?) */
+const screenshotOptions = args => (typeof args[0] === 'string' || Array.isArray(args[0]) ? args[1] : args[0]) || {};
+
+/* toHaveScreenshot that records masks, the accessibility tree and element boxes first */
+const expect = SELECTORS.length || ARIA_SNAPSHOTS || GEOMETRY
+  ? baseExpect.extend({
+    async toHaveScreenshot(target, ...args) {
+      const testInfo = base.info();
+      await recordScreenshotPoint(target, snapshotPoint(args[0], testInfo), testInfo, screenshotOptions(args));
+      const assertion = this.isNot ? baseExpect(target).not : baseExpect(target);
+      try {
+        await assertion.toHaveScreenshot(...args);
+        return { pass: !this.isNot, name: 'toHaveScreenshot', message: () => '' };
+      } catch (error) {
+        return { pass: this.isNot, name: 'toHaveScreenshot', message: () => error.message };
+      }
+    }
+  })
+  : baseExpect;
+
+const test = base.extend({
+  visualReview: [
+    async ({ page }, use, testInfo) => {
+      await use();
+
+      if (page.isClosed()) return;
+      await recordScreenshotPoint(page, 'screenshot', testInfo, { fullPage: automaticFullPage(testInfo) });
+    },
+    { auto: true }
+  ]
+});
+
+module.exports = { test, expect };
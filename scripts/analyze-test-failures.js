@@ -7,181 +7,237 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadResults, attemptFailed } = require('./lib/playwright-results');
+const { stripAnsi, errorSignature } = require('./lib/failure-signature');
+const { sourceContext, resolveSourceFile } = require('./lib/source-context');
+const { readTrace } = require('./lib/trace-reader');
+const { loadFailurePatterns, matchRules } = require('./lib/failure-patterns');
 
 const ART = 'artifacts';
+const CLUSTER_EXAMPLES = 3;
+const EXAMPLE_LINES = 12;
+const MAX_FAILURE_DETAILS = 25;
 
 // Read test metrics
-const metricsPath = fs.existsSync('playwright-metrics.json') 
-  ? 'playwright-metrics.json' 
-  : path.join(ART, 'playwright-metrics.json');
+const results = loadResults([
+  'playwright-metrics.json',
+  path.join(ART, 'playwright-metrics.json')
+]);
 
-if (!fs.existsSync(metricsPath)) {
+if (!results) {
   console.log('No test metrics found, skipping analysis');
   process.exit(0);
 }
 
-const metrics = JSON.parse(fs.readFileSync(metricsPath, 'utf8'));
-
-// Common failure patterns with solutions
-const failurePatterns = [
-  {
-    pattern: /timeout.*waiting for/i,
-    type: 'timeout',
-    category: 'Timing Issues',
-    solution: 'Increase timeout values or wait for specific conditions instead of fixed delays',
-    severity: 'medium'
-  },
-  {
-    pattern: /element.*not found|cannot find element/i,
-    type: 'element-not-found',
-    category: 'Selector Issues',
-    solution: 'Check if selectors have changed or use more robust locators (data-testid)',
-    severity: 'high'
-  },
-  {
-    pattern: /network|fetch|xhr|api/i,
-    type: 'network',
-    category: 'Network Issues',
-    solution: 'Mock API responses or add proper network wait conditions',
-    severity: 'medium'
-  },
-  {
-    pattern: /navigation|page.*load|navigate/i,
-    type: 'navigation',
-    category: 'Navigation Issues',
-    solution: 'Add proper page load wait conditions or check navigation flow',
-    severity: 'medium'
-  },
-  {
-    pattern: /click|tap|press/i,
-    type: 'interaction',
-    category: 'Interaction Issues',
-    solution: 'Ensure element is visible and enabled before interaction',
-    severity: 'low'
-  },
-  {
-    pattern: /assertion.*failed|expect.*to/i,
-    type: 'assertion',
-    category: 'Assertion Failures',
-    solution: 'Review expected values and ensure test data is consistent',
-    severity: 'low'
-  },
-  {
-    pattern: /permission|access.*denied|forbidden/i,
-    type: 'permission',
-    category: 'Permission Issues',
-    solution: 'Check authentication/authorization setup in tests',
-    severity: 'high'
-  },
-  {
-    pattern: /memory|heap|oom/i,
-    type: 'memory',
-    category: 'Performance Issues',
-    solution: 'Optimize test cleanup or split large test suites',
-    severity: 'critical'
-  }
-];
+// Failure patterns with solutions: the project's own rules, then the built-in ones
+const patternConfig = loadFailurePatterns();
+if (patternConfig.source) {
+  console.log(`⚙️  Using ${patternConfig.source} (${patternConfig.rules.length} pattern(s), ${patternConfig.disabled.length} built-in disabled)`);
+}
+patternConfig.problems.forEach(problem => console.warn(`⚠️  ${problem}`));
 
 // Analyze failures
 const failures = [];
 const failuresByPattern = {};
 const failuresByFile = {};
 
-// Extract all failed tests
-metrics.suites.forEach(suite => {
-  const fileName = path.basename(suite.file);
+// Extract all failed attempts (every retry counts)
+results.tests.forEach(test => {
+  const fileName = test.fileName;
   
-  suite.suites.forEach(s => {
-    s.specs.forEach(spec => {
-      spec.tests.forEach(test => {
-        test.results.forEach(result => {
-          if (result.status === 'failed' || result.status === 'unexpected') {
-            const failure = {
-              file: fileName,
-              suite: s.title,
-              test: spec.title,
-              error: result.error?.message || 'Unknown error',
-              stack: result.error?.stack || '',
-              duration: result.duration,
-              retry: result.retry || 0
-            };
-            
-            // Match against patterns
-            failure.patterns = [];
-            failurePatterns.forEach(pattern => {
-              if (pattern.pattern.test(failure.error) || pattern.pattern.test(failure.stack)) {
-                failure.patterns.push(pattern);
-                
-                if (!failuresByPattern[pattern.type]) {
-                  failuresByPattern[pattern.type] = [];
-                }
-                failuresByPattern[pattern.type].push(failure);
-              }
-            });
-            
-            // Group by file
-            if (!failuresByFile[fileName]) {
-              failuresByFile[fileName] = [];
-            }
-            failuresByFile[fileName].push(failure);
-            
-            failures.push(failure);
-          }
-        });
-      });
+  test.attempts.forEach(attempt => {
+    if (!attemptFailed(attempt, test.expectedStatus)) return;
+    
+    const failure = {
+      testId: test.id,
+      file: fileName,
+      suite: test.describePath.join(' › '),
+      test: test.title,
+      fullTitle: test.fullTitle,
+      project: test.project,
+      error: stripAnsi(attempt.error?.message) || 'Unknown error',
+      stack: stripAnsi(attempt.error?.stack),
+      duration: attempt.duration,
+      retry: attempt.retry,
+      signature: errorSignature(attempt.error, { testFile: fileName }),
+      source: sourceContext(attempt, test.file, { rootDir: results.config.rootDir }),
+      traceFile: attempt.attachments.find(a => a.name === 'trace' && a.path)?.path || null,
+      status: test.status
+    };
+    
+    failure.trace = attemptTrace(failure.traceFile);
+    
+    // Match against patterns; network and console rules need the trace
+    failure.patterns = matchRules(patternConfig.rules, { ...failure, filePath: test.file });
+    failure.patterns.forEach(pattern => {
+      if (!failuresByPattern[pattern.type]) {
+        failuresByPattern[pattern.type] = [];
+      }
+      failuresByPattern[pattern.type].push(failure);
     });
+    
+    // Group by file
+    if (!failuresByFile[fileName]) {
+      failuresByFile[fileName] = [];
+    }
+    failuresByFile[fileName].push(failure);
+    
+    failures.push(failure);
   });
 });
 
 // Analyze flaky tests (failed but passed on retry)
-const flakyTests = [];
-metrics.suites.forEach(suite => {
-  suite.suites.forEach(s => {
-    s.specs.forEach(spec => {
-      spec.tests.forEach(test => {
-        const results = test.results || [];
-        const hasFailure = results.some(r => r.status === 'failed');
-        const hasSuccess = results.some(r => r.status === 'passed' || r.status === 'expected');
-        
-        if (hasFailure && hasSuccess && results.length > 1) {
-          flakyTests.push({
-            file: path.basename(suite.file),
-            suite: s.title,
-            test: spec.title,
-            attempts: results.length,
-            finalStatus: results[results.length - 1].status
-          });
+const flakyTests = results.tests
+  .filter(test => test.status === 'flaky')
+  .map(test => ({
+    testId: test.id,
+    file: test.fileName,
+    suite: test.describePath.join(' › '),
+    test: test.title,
+    project: test.project,
+    attempts: test.attempts.length,
+    finalStatus: test.finalAttempt?.status
+  }));
+
+// Cluster failures by error signature: one broken selector is one issue, not 40
+const clusters = buildClusters(failures);
+
+function buildClusters(failures) {
+  const bySignature = new Map();
+  failures.forEach(failure => {
+    const { hash } = failure.signature;
+    if (!bySignature.has(hash)) bySignature.set(hash, []);
+    bySignature.get(hash).push(failure);
+  });
+
+  const severityRank = { critical: 0, high: 1, medium: 2, low: 3 };
+  return [...bySignature.values()]
+    .map(group => {
+      const { hash, signature, title, frame } = group[0].signature;
+      const pattern = group[0].patterns[0];
+
+      // one entry per test, however many of its attempts failed
+      const tests = new Map();
+      group.forEach(f => {
+        const key = `${f.testId}|${f.project}`;
+        if (!tests.has(key)) {
+          tests.set(key, { testId: f.testId, file: f.file, title: f.test, fullTitle: f.fullTitle, project: f.project, attempts: 0 });
         }
+        tests.get(key).attempts++;
       });
-    });
+
+      // representative examples come from different tests
+      const examples = [];
+      const seen = new Set();
+      group.forEach(f => {
+        if (examples.length >= CLUSTER_EXAMPLES || seen.has(f.testId)) return;
+        seen.add(f.testId);
+        examples.push({
+          test: `${f.file} > ${f.test}`,
+          project: f.project,
+          location: sourceLocation(f.source),
+          error: f.error.split('\n').slice(0, EXAMPLE_LINES).join('\n').trim()
+        });
+      });
+
+      return {
+        id: hash,
+        title,
+        signature,
+        frame,
+        type: pattern?.type || 'other',
+        category: pattern?.category || 'Other Failures',
+        severity: pattern?.severity || 'medium',
+        solution: pattern?.solution || 'Inspect the example error and its stack trace',
+        rule: ruleSummary(pattern),
+        docs: pattern?.docs || null,
+        example: pattern?.example || null,
+        count: group.length,
+        testCount: tests.size,
+        files: [...new Set(group.map(f => f.file))],
+        tests: [...tests.values()],
+        examples
+      };
+    })
+    .sort((a, b) => b.testCount - a.testCount || b.count - a.count ||
+      (severityRank[a.severity] ?? 4) - (severityRank[b.severity] ?? 4));
+}
+
+// Every failing test with the source line it failed at (its last failed attempt)
+// and what its trace recorded
+const failedTestDetails = [...failures.reduce((byTest, f) => byTest.set(f.testId, f), new Map()).values()]
+  .map(f => {
+    const attempts = failures.filter(other => other.testId === f.testId);
+    return {
+      testId: f.testId,
+      file: f.file,
+      test: f.test,
+      fullTitle: f.fullTitle,
+      project: f.project,
+      status: f.status,
+      failedAttempts: attempts.length,
+      retry: f.retry,
+      clusterId: f.signature.hash,
+      rule: ruleSummary(f.patterns[0]),
+      matchedRules: f.patterns.map(p => p.id),
+      error: f.error.split('\n').slice(0, EXAMPLE_LINES).join('\n').trim(),
+      location: sourceLocation(f.source),
+      source: f.source,
+      trace: traceContext(attempts)
+    };
   });
-});
+
+/* the trace of the latest failed attempt that recorded one (trace: 'on-first-retry' skips the first) */
+function traceContext(attempts) {
+  const withTrace = [...attempts].reverse().find(f => f.trace);
+  return withTrace ? { ...withTrace.trace, retry: withTrace.retry } : null;
+}
+
+/* what a failed attempt's trace.zip recorded */
+function attemptTrace(traceFile) {
+  if (!traceFile) return null;
+  const file = resolveSourceFile(traceFile, results.config.rootDir);
+  const trace = file && readTrace(file);
+  if (!trace) return null;
+  const relative = path.relative(process.cwd(), file);
+  return {
+    file: relative.startsWith('..') ? file : relative.split(path.sep).join('/'),
+    ...trace
+  };
+}
+
+/* the rule that named a failure, for reports */
+function ruleSummary(rule) {
+  if (!rule) return null;
+  return { id: rule.id, source: rule.source, category: rule.category, severity: rule.severity, docs: rule.docs };
+}
+
+function sourceLocation(source) {
+  if (!source) return null;
+  return source.line ? `${source.file}:${source.line}:${source.column}` : source.file;
+}
 
 // Generate insights
 const insights = {
   summary: {
     totalFailures: failures.length,
     uniqueFailurePatterns: Object.keys(failuresByPattern).length,
+    failureClusters: clusters.length,
+    tracesRead: failedTestDetails.filter(f => f.trace).length,
     affectedFiles: Object.keys(failuresByFile).length,
     flakyTests: flakyTests.length
   },
   
-  topIssues: Object.entries(failuresByPattern)
-    .map(([type, failures]) => {
-      const pattern = failurePatterns.find(p => p.type === type);
-      return {
-        type,
-        category: pattern.category,
-        count: failures.length,
-        severity: pattern.severity,
-        solution: pattern.solution,
-        examples: failures.slice(0, 3).map(f => ({
-          test: `${f.file} > ${f.test}`,
-          error: f.error.substring(0, 100) + '...'
-        }))
-      };
-    })
-    .sort((a, b) => b.count - a.count),
+  clusters,
+  
+  failures: failedTestDetails,
+  
+  config: {
+    source: patternConfig.source,
+    rules: patternConfig.rules.length,
+    disabled: patternConfig.disabled,
+    problems: patternConfig.problems
+  },
   
   fileAnalysis: Object.entries(failuresByFile)
     .map(([file, failures]) => ({
@@ -268,6 +324,32 @@ fs.writeFileSync(
   JSON.stringify(insights, null, 2)
 );
 
+// Actions, failed requests and console errors from a failure's trace
+const traceMarkdown = (trace) => {
+  let md = '';
+  if (trace.actions.length > 0) {
+    md += `\n**Last actions** (trace of retry #${trace.retry}, \`${trace.file}\`):\n`;
+    trace.actions.forEach((action, index) => {
+      const target = action.selector || action.url;
+      md += `${index + 1}. ${action.error ? '❌ ' : ''}\`${action.apiName}\`${target ? ` \`${target}\`` : ''}`;
+      md += `${action.duration !== null ? ` (${action.duration}ms)` : ''}${action.error ? ` – ${action.error}` : ''}\n`;
+    });
+  }
+  if (trace.failedRequests.length > 0) {
+    md += `\n**Failed requests**:\n`;
+    trace.failedRequests.forEach(r => {
+      md += `- \`${r.method} ${r.url}\` – ${r.failure || `${r.status} ${r.statusText}`.trim()}\n`;
+    });
+  }
+  if (trace.consoleErrors.length > 0) {
+    md += `\n**Console errors**:\n`;
+    trace.consoleErrors.forEach(e => {
+      md += `- ${e.kind === 'pageerror' ? 'Uncaught: ' : ''}${e.text}${e.location ? ` (\`${e.location}\`)` : ''}\n`;
+    });
+  }
+  return md;
+};
+
 // Generate markdown report
 const generateMarkdownReport = (insights) => {
   let md = '# Test Failure Analysis Report\n\n';
@@ -275,30 +357,87 @@ const generateMarkdownReport = (insights) => {
   md += `## Summary\n`;
   md += `- **Total Failures**: ${insights.summary.totalFailures}\n`;
   md += `- **Failure Patterns**: ${insights.summary.uniqueFailurePatterns}\n`;
+  md += `- **Failure Clusters**: ${insights.summary.failureClusters}\n`;
   md += `- **Affected Files**: ${insights.summary.affectedFiles}\n`;
   md += `- **Flaky Tests**: ${insights.summary.flakyTests}\n\n`;
   
-  if (insights.topIssues.length > 0) {
-    md += `## Top Issues\n\n`;
-    insights.topIssues.forEach((issue, index) => {
+  // Config problems are easy to miss in the logs
+  if (insights.config.problems.length > 0) {
+    md += `> ⚠️ **${path.basename(insights.config.source || 'failure patterns config')} has problems; the affected rules were skipped:**\n`;
+    insights.config.problems.forEach(problem => {
+      md += `> - ${problem}\n`;
+    });
+    md += '\n';
+  }
+  
+  if (insights.clusters.length > 0) {
+    md += `## Failure Clusters\n\n`;
+    md += `Failures with the same error signature (numbers, ids, timings and positions removed) are grouped together.\n\n`;
+    insights.clusters.forEach((cluster, index) => {
       const severityEmoji = {
         'critical': '🔴',
         'high': '🟠',
         'medium': '🟡',
         'low': '🟢'
-      }[issue.severity] || '⚪';
+      }[cluster.severity] || '⚪';
       
-      md += `### ${index + 1}. ${issue.category} ${severityEmoji}\n`;
-      md += `- **Occurrences**: ${issue.count}\n`;
-      md += `- **Solution**: ${issue.solution}\n`;
-      if (issue.examples.length > 0) {
-        md += `- **Examples**:\n`;
-        issue.examples.forEach(ex => {
-          md += `  - \`${ex.test}\`: ${ex.error}\n`;
-        });
+      md += `### ${index + 1}. ${cluster.title} ${severityEmoji}\n`;
+      md += `- **Category**: ${cluster.category}\n`;
+      if (cluster.rule) {
+        md += `- **Matched rule**: \`${cluster.rule.id}\` (${cluster.rule.source})\n`;
+      }
+      md += `- **Occurrences**: ${cluster.count} failure(s) in ${cluster.testCount} test(s)\n`;
+      if (cluster.frame) {
+        md += `- **Raised in**: \`${cluster.frame}\`\n`;
+      }
+      md += `- **Solution**: ${cluster.solution}${cluster.docs ? ` ([docs](${cluster.docs}))` : ''}\n`;
+      if (cluster.example) {
+        md += `- **Fix example**:\n\n\`\`\`javascript\n${cluster.example}\n\`\`\`\n`;
+      }
+      md += `- **Affected tests**:\n`;
+      cluster.tests.slice(0, 10).forEach(t => {
+        md += `  - \`${t.file}\` > ${t.fullTitle}${t.project ? ` [${t.project}]` : ''}\n`;
+      });
+      if (cluster.tests.length > 10) {
+        md += `  - …and ${cluster.tests.length - 10} more\n`;
+      }
+      if (cluster.examples.length > 0) {
+        const example = cluster.examples[0];
+        md += `\n**Example** (\`${example.test}\`${example.location ? ` at \`${example.location}\`` : ''}):\n\`\`\`\n${example.error}\n\`\`\`\n`;
+      }
+      md += '\n';
+    });
+  }
+  
+  if (insights.failures.length > 0) {
+    md += `## Failures\n\n`;
+    insights.failures.slice(0, MAX_FAILURE_DETAILS).forEach(f => {
+      const clusterIndex = insights.clusters.findIndex(c => c.id === f.clusterId);
+      md += `### ${f.status === 'flaky' ? '⚠️' : '❌'} \`${f.file}\` > ${f.fullTitle}${f.project ? ` [${f.project}]` : ''}\n`;
+      if (f.location) {
+        md += `- **Failed at**: \`${f.location}\`\n`;
+      }
+      md += `- **Error**: ${f.error.split('\n')[0].replace(/^Error:\s*/, '')}\n`;
+      if (clusterIndex >= 0 && insights.clusters[clusterIndex].testCount > 1) {
+        md += `- **Cluster**: #${clusterIndex + 1} (${insights.clusters[clusterIndex].testCount} tests)\n`;
+      }
+      if (f.rule) {
+        md += `- **Matched rule**: \`${f.rule.id}\` – ${f.rule.category}${f.matchedRules.length > 1 ? ` (also: ${f.matchedRules.slice(1).join(', ')})` : ''}\n`;
+      }
+      if (f.trace?.pageURL) {
+        md += `- **Page URL at failure**: ${f.trace.pageURL}\n`;
+      }
+      if (f.source?.frame) {
+        md += `\n\`\`\`\n${f.source.frame}\n\`\`\`\n`;
+      }
+      if (f.trace) {
+        md += traceMarkdown(f.trace);
       }
       md += '\n';
     });
+    if (insights.failures.length > MAX_FAILURE_DETAILS) {
+      md += `_…and ${insights.failures.length - MAX_FAILURE_DETAILS} more failing test(s), see test-failure-analysis.json_\n\n`;
+    }
   }
   
   if (insights.recommendations.length > 0) {
@@ -342,6 +481,8 @@ fs.writeFileSync(
 
 console.log('🔍 Test failure analysis complete');
 console.log(`📊 Found ${insights.summary.totalFailures} failures with ${insights.summary.uniqueFailurePatterns} patterns`);
+console.log(`🧩 Grouped into ${insights.summary.failureClusters} cluster(s) by error signature`);
+console.log(`🧭 Read ${insights.summary.tracesRead} trace(s) of failing tests`);
 console.log(`💡 Generated ${insights.recommendations.length} recommendations`);
 console.log('📄 Reports saved to:');
 console.log('   - artifacts/test-failure-analysis.json');
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * approve-visual.js
+ * Records visual change approvals from PR comments.
+ *
+ *   issue_comment:  /approve-visual <snapshot|test|hash> …
+ *                   /approve-visual all
+ *     Looks the names up in the visual changes embedded in the summary
+ *     comment and stores the approvals (keyed by screenshot and image hash)
+ *     in a hidden payload of the "Visual Change Approvals" comment.
+ *
+ *   --fetch (pull_request): copies the stored approvals to
+ *     artifacts/visual-approvals.json so visual-regression.js can mark
+ *     approved changes as accepted.
+ *
+ * Only users with write access (owner, member, collaborator) can approve.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { globMatch } = require('./lib/visual-config');
+const {
+  DEFAULT_APPROVALS_FILE,
+  APPROVALS_MARKER,
+  CHANGES_MARKER,
+  APPROVABLE,
+  embedPayload,
+  extractPayload,
+  parseApproveCommand
+} = require('./lib/visual-approvals');
+
+// Dynamic require for @octokit/core
+let Octokit;
+try {
+  Octokit = require('@octokit/core').Octokit;
+} catch (e1) {
+  try {
+    Octokit = require(path.join(process.cwd(), '.gui-test-review-action/node_modules/@octokit/core')).Octokit;
+  } catch (e2) {
+    try {
+      Octokit = require(path.join(__dirname, '../node_modules/@octokit/core')).Octokit;
+    } catch (e3) {
+      console.error('Could not load @octokit/core module. Please ensure @octokit/core is installed.');
+      process.exit(1);
+    }
+  }
+}
+
+const APPROVERS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+const APPROVALS_TITLE = 'Visual Change Approvals';
+const SUMMARY_TITLE = 'GUI Test Review Summary';
+
+/* GitHub context */
+let event;
+try {
+  event = JSON.parse(fs.readFileSync(process.env.GITHUB_EVENT_PATH, 'utf8'));
+} catch (e) {
+  console.error('Could not read GitHub event file:', e.message);
+  process.exit(1);
+}
+
+const prNumber =
+  event.pull_request?.number ??
+  (event.issue?.pull_request && event.issue.number);
+
+if (!prNumber) {
+  console.log('Not a PR event – nothing to approve');
+  process.exit(0);
+}
+
+const [owner, repo] = process.env.GITHUB_REPOSITORY.split('/');
+const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+
+/* ─── comments ────────────────────────────────────────── */
+
+async function listComments() {
+  const comments = [];
+  for (let page = 1; ; page++) {
+    const { data } = await octokit.request('GET /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+      owner, repo, issue_number: prNumber, per_page: 100, page
+    });
+    comments.push(...data);
+    if (data.length < 100) return comments;
+  }
+}
+
+const botComment = (comments, marker) =>
+  comments.find(c => c.user.type === 'Bot' && c.body.includes(marker));
+
+const reply = body =>
+  octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', { owner, repo, issue_number: prNumber, body });
+
+/* test titles and snapshot names may contain "|", which would end a table cell */
+const tableCell = text => String(text).replace(/\|/g, '\\|');
+
+function renderApprovals(approvals) {
+  const entries = Object.values(approvals).sort((a, b) => (a.approvedAt < b.approvedAt ? 1 : -1));
+  return `
+## ✅ ${APPROVALS_TITLE}
+
+Approved visual changes are shown as **accepted** and no longer count as visual regressions until the screenshot changes again.
+
+| Screenshot | Change | Image | Approved by |
+|------------|--------|-------|-------------|
+${entries.map(e => `| ${tableCell(e.name)}${e.snapshot ? ` (\`${tableCell(e.snapshot)}\`)` : ''} | ${e.status}${e.status === 'new' || e.status === 'removed' || e.diffPercent === null ? '' : ` ${e.diffPercent}%`} | \`${e.hash || e.key.replace(/^removed:/, '')}\` | @${e.approvedBy} |`).join('\n')}
+
+${embedPayload(APPROVALS_MARKER, { version: 1, approvals })}
+`;
+}
+
+/* ─── matching ────────────────────────────────────────── */
+
+/* a target is a hash prefix, or a glob for the snapshot name, test title or test id */
+function matchTarget(target, change) {
+  if (/^[0-9a-f]{6,16}$/i.test(target) && change.hash && change.hash.startsWith(target.toLowerCase())) return true;
+  return [change.snapshot, change.name, change.testId].some(value => value && globMatch(target, value));
+}
+
+/* ─── modes ───────────────────────────────────────────── */
+
+async function fetchApprovals() {
+  const comments = await listComments();
+  const stored = botComment(comments, APPROVALS_MARKER);
+  const approvals = (stored && extractPayload(stored.body, APPROVALS_MARKER)?.approvals) || {};
+  const file = process.env.VISUAL_APPROVALS || DEFAULT_APPROVALS_FILE;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ pr: prNumber, approvals }, null, 2));
+  console.log(`📥 ${Object.keys(approvals).length} visual approval(s) written to ${file}`);
+}
+
+async function applyCommand() {
+  const comment = event.comment;
+  const command = parseApproveCommand(comment?.body);
+  if (!command) {
+    console.log('No /approve-visual command in this comment');
+    return;
+  }
+
+  const react = content =>
+    octokit.request('POST /repos/{owner}/{repo}/issues/comments/{comment_id}/reactions', {
+      owner, repo, comment_id: comment.id, content
+    });
+
+  if (!APPROVERS.includes(comment.author_association)) {
+    console.log(`⛔ @${comment.user.login} (${comment.author_association}) may not approve visual changes`);
+    await react('-1');
+    await reply(`⛔ @${comment.user.login}, only collaborators with write access can approve visual changes.`);
+    return;
+  }
+
+  if (!command.all && !command.targets.length) {
+    await reply('ℹ️ Usage: `/approve-visual <snapshot|test|hash> …` or `/approve-visual all`');
+    return;
+  }
+
+  const comments = await listComments();
+  const summary = comments.find(c => c.user.type === 'Bot' && c.body.includes(SUMMARY_TITLE));
+  const changes = (summary && extractPayload(summary.body, CHANGES_MARKER)?.changes) || [];
+  const pending = changes.filter(c => APPROVABLE.includes(c.status) && c.key && !c.accepted);
+  if (!pending.length) {
+    await reply('ℹ️ There are no visual changes to approve on the latest run.');
+    return;
+  }
+
+  const approved = command.all ? pending : pending.filter(c => command.targets.some(t => matchTarget(t, c)));
+  const unmatched = command.targets.filter(t => !pending.some(c => matchTarget(t, c)));
+
+  const stored = botComment(comments, APPROVALS_MARKER);
+  const approvals = (stored && extractPayload(stored.body, APPROVALS_MARKER)?.approvals) || {};
+  const approvedAt = new Date().toISOString();
+  approved.forEach(change => {
+    approvals[change.key] = {
+      key: change.key,
+      hash: change.hash || null,
+      testId: change.testId || null,
+      name: change.name,
+      snapshot: change.snapshot || null,
+      status: change.status,
+      diffPercent: change.diffPercent,
+      approvedBy: comment.user.login,
+      approvedAt,
+      comment: comment.html_url
+    };
+  });
+
+  if (approved.length) {
+    const body = renderApprovals(approvals);
+    if (stored) {
+      await octokit.request('PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}', { owner, repo, comment_id: stored.id, body });
+    } else {
+      await reply(body);
+    }
+    await react('+1');
+    console.log(`✅ Approved ${approved.length} visual change(s) for @${comment.user.login}`);
+  }
+
+  if (unmatched.length || !approved.length) {
+    await reply(`⚠️ No pending visual change matches ${unmatched.map(t => `\`${t}\``).join(', ') || 'the command'}. ` +
+      'Use a snapshot name, test title (globs allowed) or the image hash from the summary comment.');
+  }
+}
+
+(async () => {
+  try {
+    if (process.argv.includes('--fetch')) await fetchApprovals();
+    else await applyCommand();
+  } catch (error) {
+    console.error('Failed to process visual approvals:', error.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * aria-diff.js
+ * Structural diff of the accessibility tree between the PR and main runs.
+ *
+ * fixtures/visual-review.js (with "ariaSnapshots": true) attaches an
+ * "aria-snapshot" to every screenshot point of a test. This script reads
+ * them from both JSON reports, pairs them by test id and screenshot point
+ * and lists what changed for assistive technology: elements added or
+ * removed, lost or changed accessible names, heading levels, checked
+ * states, link targets, …
+ *
+ *   PR report:   artifacts/playwright-metrics-pr.json (or playwright-metrics.json)
+ *   Main report: artifacts/playwright-metrics-main.json
+ *
+ * Writes artifacts/aria-diff.json and .md; visual-regression.js shows the
+ * changes next to the pixel comparison of the same screenshot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadResults } = require('./lib/playwright-results');
+const { diffAriaTrees, describeChange, isLoss } = require('./lib/aria-snapshot');
+const { loadComparisonBase, baseRecord } = require('./lib/comparison-base');
+
+const ART = 'artifacts';
+const PR_CANDIDATES = [path.join(ART, 'playwright-metrics-pr.json'), path.join(ART, 'playwright-metrics.json')];
+const MAIN_CANDIDATES = [path.join(ART, 'playwright-metrics-main.json')];
+const ATTACHMENT = 'aria-snapshot';
+
+/* ─── reading ─────────────────────────────────────────── */
+
+function readAttachment(attachment) {
+  try {
+    let text;
+    if (attachment.body) {
+      // JSON reporter stores bodies base64 encoded
+      text = attachment.body.trim().startsWith('{') ? attachment.body : Buffer.from(attachment.body, 'base64').toString('utf8');
+    } else if (attachment.path && fs.existsSync(attachment.path)) {
+      text = fs.readFileSync(attachment.path, 'utf8');
+    }
+    const data = text ? JSON.parse(text) : null;
+    return data && typeof data.aria === 'string' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * ARIA snapshots of the final attempt of every test:
+ *   Map("<testId>|<point>" → { testId, testName, project, point, url, aria })
+ */
+function readAriaSnapshots(results) {
+  const snapshots = new Map();
+  (results?.tests || []).forEach(test => {
+    (test.finalAttempt?.attachments || [])
+      .filter(a => a.name === ATTACHMENT)
+      .forEach(attachment => {
+        const data = readAttachment(attachment);
+        if (!data) return;
+        const point = data.point || 'screenshot';
+        snapshots.set(`${test.id}|${point}`, {
+          testId: test.id,
+          testName: test.project ? `${test.fullTitle} [${test.project}]` : test.fullTitle,
+          project: test.project,
+          point,
+          url: data.url || null,
+          aria: data.aria
+        });
+      });
+  });
+  return snapshots;
+}
+
+/* ─── diff ────────────────────────────────────────────── */
+
+function generateAriaDiff() {
+  console.log('♿ Comparing accessibility trees...');
+  const pr = loadResults(PR_CANDIDATES);
+  const main = loadResults(MAIN_CANDIDATES);
+  const prSnapshots = readAriaSnapshots(pr);
+  const mainSnapshots = readAriaSnapshots(main);
+  console.log(`   PR: ${prSnapshots.size} snapshot(s)${pr ? ` in ${pr.source}` : ' (no report)'}`);
+  console.log(`   Main: ${mainSnapshots.size} snapshot(s)${main ? ` in ${main.source}` : ' (no report)'}`);
+
+  const snapshots = [];
+  prSnapshots.forEach((after, key) => {
+    const before = mainSnapshots.get(key);
+    const entry = { testId: after.testId, testName: after.testName, project: after.project, point: after.point, url: after.url };
+    if (!before) {
+      snapshots.push({ ...entry, status: 'new', changes: [], losses: 0 });
+      return;
+    }
+    const changes = diffAriaTrees(before.aria, after.aria).map(change => ({ ...change, message: describeChange(change), loss: isLoss(change) }));
+    snapshots.push({
+      ...entry,
+      previousUrl: before.url !== after.url ? before.url : undefined,
+      status: changes.length ? 'changed' : 'identical',
+      changes,
+      losses: changes.filter(c => c.loss).length
+    });
+  });
+  mainSnapshots.forEach((before, key) => {
+    if (prSnapshots.has(key)) return;
+    snapshots.push({ testId: before.testId, testName: before.testName, project: before.project, point: before.point, url: before.url, status: 'removed', changes: [], losses: 0 });
+  });
+
+  // most changes first
+  snapshots.sort((a, b) => b.losses - a.losses || b.changes.length - a.changes.length || a.testName.localeCompare(b.testName));
+
+  const count = status => snapshots.filter(s => s.status === status).length;
+  const report = {
+    timestamp: new Date().toISOString(),
+    base: baseRecord(loadComparisonBase()),
+    summary: {
+      snapshots: snapshots.length,
+      identical: count('identical'),
+      changed: count('changed'),
+      new: count('new'),
+      removed: count('removed'),
+      changes: snapshots.reduce((n, s) => n + s.changes.length, 0),
+      losses: snapshots.reduce((n, s) => n + s.losses, 0)
+    },
+    snapshots
+  };
+
+  fs.mkdirSync(ART, { recursive: true });
+  fs.writeFileSync(path.join(ART, 'aria-diff.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(ART, 'aria-diff.md'), generateMarkdown(report));
+
+  if (!snapshots.length) {
+    console.log('ℹ️  No ARIA snapshots found – enable "ariaSnapshots" for fixtures/visual-review.js to record them');
+  }
+  console.log(`📊 ${report.summary.changed} changed, ${report.summary.identical} identical, ${report.summary.new} new, ${report.summary.removed} removed (${report.summary.changes} change(s), ${report.summary.losses} loss(es))`);
+  console.log('📄 Files created:');
+  console.log('   - artifacts/aria-diff.json');
+  console.log('   - artifacts/aria-diff.md');
+  return report;
+}
+
+/* ─── report ──────────────────────────────────────────── */
+
+function generateMarkdown(report) {
+  let md = '# Accessibility Tree Changes\n\n';
+  if (report.base) md += `Compared against \`${report.base.sha.slice(0, 7)}\` (${report.base.description})\n\n`;
+  if (!report.snapshots.length) {
+    md += 'No ARIA snapshots were recorded. Set `"ariaSnapshots": true` in visual-regression.config.json and use `fixtures/visual-review.js`.\n';
+    return md;
+  }
+
+  const { summary } = report;
+  md += `**${summary.changed}** changed • **${summary.identical}** identical • **${summary.new}** new • **${summary.removed}** removed`;
+  md += summary.losses ? ` • ⚠️ **${summary.losses}** element(s) or name(s) lost\n\n` : '\n\n';
+
+  report.snapshots.filter(s => s.status === 'changed').forEach(s => {
+    md += `## ${s.testName} (\`${s.point}\`)\n\n`;
+    s.changes.forEach(change => {
+      const where = change.path.length ? ` _in ${change.path.join(' › ')}_` : '';
+      md += `- ${change.loss ? '⚠️ ' : ''}${change.message}${where}\n`;
+    });
+    md += '\n';
+  });
+
+  const unmatched = report.snapshots.filter(s => s.status === 'new' || s.status === 'removed');
+  if (unmatched.length) {
+    md += '## Only in one run\n\n';
+    unmatched.forEach(s => {
+      md += `- ${s.status === 'new' ? '🆕' : '🗑️'} ${s.testName} (\`${s.point}\`)\n`;
+    });
+    md += '\n';
+  }
+  return md;
+}
+
+if (require.main === module) {
+  try {
+    generateAriaDiff();
+  } catch (error) {
+    console.error('❌ Error during accessibility tree comparison:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { generateAriaDiff, readAriaSnapshots };
@@ -0,0 +1,428 @@
+#!/usr/bin/env node
+/**
+ * audit-snapshots.js
+ * Cross-checks the committed snapshot baselines against what the tests will
+ * look for on this runner.
+ *
+ * Playwright stores baselines as
+ *   {testDir}/{spec}-snapshots/{name}{-project}{-platform}.png
+ * so baselines recorded on Windows (…-chromium-win32.png) never match on an
+ * ubuntu runner. The audit reads the toHaveScreenshot()/toMatchSnapshot()
+ * names from the spec files, the configured projects and the runner platform
+ * and reports
+ *   missing     – expected baseline for this platform does not exist
+ *   orphaned    – baseline that no test refers to
+ *   duplicates  – the same snapshot committed for several platforms
+ *
+ *   PLAYWRIGHT_CONFIG   config file (default: playwright.config.js)
+ *   SNAPSHOT_PLATFORM   platform to audit for (default: this runner)
+ *
+ * Writes artifacts/snapshot-audit.json, .md and .html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ART = 'artifacts';
+const CONFIG_FILE = process.env.PLAYWRIGHT_CONFIG || 'playwright.config.js';
+const PLATFORM = process.env.SNAPSHOT_PLATFORM || process.platform;
+
+const PLATFORMS = ['linux', 'darwin', 'win32'];
+/* browser names commonly used as project names, recognised even when not configured */
+const DEFAULT_PROJECTS = ['chromium', 'firefox', 'webkit'];
+const SPEC_PATTERN = /\.(spec|test)\.[cm]?[jt]sx?$/;
+const IMAGE_PATTERN = /\.(png|jpe?g)$/i;
+const SKIP_DIRS = new Set(['node_modules', '.git', 'artifacts', 'playwright-report', 'test-results']);
+
+/* ─── Playwright config ───────────────────────────────── */
+
+/**
+ * testDir, project names and snapshotPathTemplate. JS configs are required;
+ * anything that cannot be loaded (TypeScript, ESM) is scanned with regexes.
+ */
+function readPlaywrightConfig(file) {
+  const info = { file, testDir: 'tests', projects: [], snapshotPathTemplate: null, loaded: false };
+  if (!fs.existsSync(file)) return info;
+
+  try {
+    let config = require(path.resolve(file));
+    config = config && config.default ? config.default : config;
+    if (config && typeof config === 'object') {
+      info.testDir = config.testDir || '.';
+      info.projects = (config.projects || []).map(p => p.name).filter(name => typeof name === 'string');
+      info.snapshotPathTemplate = config.snapshotPathTemplate || null;
+      info.loaded = true;
+      return info;
+    }
+  } catch {
+    // fall through to the text scan
+  }
+
+  const source = fs.readFileSync(file, 'utf8');
+  const testDir = source.match(/testDir\s*:\s*['"`]([^'"`]+)['"`]/);
+  info.testDir = testDir ? testDir[1] : '.';
+  const projects = source.indexOf('projects');
+  if (projects !== -1) {
+    info.projects = [...source.slice(projects).matchAll(/\bname\s*:\s*['"`]([^'"`]+)['"`]/g)].map(m => m[1]);
+  }
+  const template = source.match(/snapshotPathTemplate\s*:\s*['"`]([^'"`]+)['"`]/);
+  info.snapshotPathTemplate = template ? template[1] : null;
+  return info;
+}
+
+/* ─── files ───────────────────────────────────────────── */
+
+function walk(dir, visit) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  entries.forEach(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIP_DIRS.has(entry.name)) walk(full, visit);
+    } else {
+      visit(full);
+    }
+  });
+}
+
+const posix = file => file.split(path.sep).join('/');
+
+/* same character set as Playwright's sanitizeForFilePath() */
+const sanitize = s => s.replace(/[\x00-\x2C\x2E-\x2F\x3A-\x40\x5B-\x60\x7B-\x7F]+/g, '-');
+
+function snapshotFileName(name) {
+  const ext = path.extname(name);
+  return `${sanitize(ext ? name.slice(0, -ext.length) : name)}${ext || '.png'}`;
+}
+
+/* ─── spec references ─────────────────────────────────── */
+
+/**
+ * Snapshot names used in a spec file:
+ *   names     – literal names ("home.png" or "home")
+ *   patterns  – template literals with ${…}, kept as RegExps
+ *   unnamed   – toHaveScreenshot() calls without a name (auto-numbered)
+ */
+function readReferences(specFile) {
+  const source = fs.readFileSync(specFile, 'utf8');
+  const refs = { names: new Set(), patterns: [], unnamed: 0 };
+
+  const call = /\b(toHaveScreenshot|toMatchSnapshot)\s*\(\s*(?:(['"])((?:\\.|(?!\2).)*)\2|`([^`]*)`|\[([^\]]*)\]|([^)]?))/g;
+  let m;
+  while ((m = call.exec(source))) {
+    const [, matcher, , quoted, template, list, other] = m;
+    if (quoted !== undefined) {
+      refs.names.add(snapshotFileName(quoted));
+    } else if (template !== undefined) {
+      if (template.includes('${')) {
+        const parts = template.split(/\$\{[^}]*\}/).map(p => sanitize(p).replace(/[.*+?^$()|[\]\\{}]/g, '\\$&'));
+        refs.patterns.push({ source: template, regex: new RegExp(`^${parts.join('.+')}(\\.png)?$`) });
+      } else {
+        refs.names.add(snapshotFileName(template));
+      }
+    } else if (list !== undefined) {
+      const segments = [...list.matchAll(/(['"`])([^'"`]*)\1/g)].map(s => s[2]);
+      if (segments.length) refs.names.add(segments.map((s, i) => (i === segments.length - 1 ? snapshotFileName(s) : sanitize(s))).join('/'));
+    } else if (matcher === 'toHaveScreenshot' && (other === ')' || other === '{' || other === '')) {
+      refs.unnamed++;
+    }
+  }
+  return refs;
+}
+
+/* ─── baselines ───────────────────────────────────────── */
+
+/**
+ * "tests/login.spec.ts-snapshots/form-chromium-linux.png" →
+ * { spec, snapshot: "form.png", project: "chromium", platform: "linux" }
+ */
+function parseBaseline(file, projectNames) {
+  const parts = posix(file).split('/');
+  const dirIndex = parts.findIndex(p => p.endsWith('-snapshots'));
+  const spec = [...parts.slice(0, dirIndex), parts[dirIndex].replace(/-snapshots$/, '')].join('/');
+  const relative = parts.slice(dirIndex + 1).join('/');
+  const ext = path.extname(relative);
+  let stem = relative.slice(0, -ext.length);
+
+  let platform = null;
+  const platformMatch = PLATFORMS.find(p => stem.endsWith(`-${p}`));
+  if (platformMatch) {
+    platform = platformMatch;
+    stem = stem.slice(0, -platformMatch.length - 1);
+  }
+
+  let project = null;
+  const projectMatch = [...projectNames]
+    .sort((a, b) => b.length - a.length)
+    .find(p => p && stem.endsWith(`-${sanitize(p)}`));
+  if (projectMatch) {
+    project = projectMatch;
+    stem = stem.slice(0, -sanitize(projectMatch).length - 1);
+  }
+
+  return { file: posix(file), spec, snapshot: `${stem}${ext}`, project, platform };
+}
+
+const expectedFile = (spec, snapshot, project, platform) => {
+  const ext = path.extname(snapshot);
+  return `${spec}-snapshots/${snapshot.slice(0, -ext.length)}${project ? `-${sanitize(project)}` : ''}-${platform}${ext}`;
+};
+
+const isReferenced = (refs, snapshot) =>
+  refs.names.has(snapshot) ||
+  refs.patterns.some(p => p.regex.test(snapshot)) ||
+  (refs.unnamed > 0 && /-\d+\.png$/.test(snapshot));
+
+/* ─── audit ───────────────────────────────────────────── */
+
+function auditSnapshots() {
+  console.log('🧭 Auditing snapshot baselines...');
+  const config = readPlaywrightConfig(CONFIG_FILE);
+  const testDir = path.relative(process.cwd(), path.resolve(path.dirname(config.file), config.testDir)) || '.';
+  const projects = config.projects.length ? config.projects : [''];
+  const knownProjects = [...new Set([...config.projects, ...DEFAULT_PROJECTS])];
+  console.log(`   Test dir: ${testDir}, projects: ${config.projects.join(', ') || '(none)'}, platform: ${PLATFORM}`);
+
+  const specs = new Map();
+  const baselines = [];
+  walk(testDir, file => {
+    const rel = posix(path.relative(process.cwd(), file));
+    if (SPEC_PATTERN.test(rel) && !rel.includes('-snapshots/')) specs.set(rel, readReferences(file));
+    else if (IMAGE_PATTERN.test(rel) && /-snapshots\//.test(rel)) baselines.push(parseBaseline(rel, knownProjects));
+  });
+
+  const notes = [];
+  if (config.snapshotPathTemplate) {
+    notes.push(`snapshotPathTemplate is set (${config.snapshotPathTemplate}); the audit assumes the default {spec}-snapshots layout`);
+  }
+
+  // expected baselines on this platform; without projects any browser suffix is accepted
+  const sameProject = (b, project) => !config.projects.length || (b.project || '') === project;
+  const missing = [];
+  let expected = 0;
+  specs.forEach((refs, spec) => {
+    refs.names.forEach(snapshot => {
+      projects.forEach(project => {
+        expected++;
+        const candidates = baselines.filter(b => b.spec === spec && b.snapshot === snapshot && sameProject(b, project));
+        if (candidates.some(b => b.platform === PLATFORM)) return;
+        missing.push({
+          spec,
+          snapshot,
+          project: project || null,
+          expected: expectedFile(spec, snapshot, project, PLATFORM),
+          availableOn: [...new Set(candidates.map(b => b.platform || 'any'))]
+        });
+      });
+    });
+    if (refs.unnamed) {
+      notes.push(`${spec}: ${refs.unnamed} unnamed toHaveScreenshot() call(s) – their baselines are not checked`);
+    }
+  });
+
+  // baselines no test refers to
+  const orphaned = baselines
+    .map(b => {
+      const refs = specs.get(b.spec);
+      if (!refs) return { ...b, reason: 'spec file not found' };
+      if (!isReferenced(refs, b.snapshot)) return { ...b, reason: 'not used by any toHaveScreenshot/toMatchSnapshot call' };
+      if (b.project && config.projects.length && !config.projects.includes(b.project)) return { ...b, reason: `project "${b.project}" is not configured` };
+      return null;
+    })
+    .filter(Boolean);
+
+  // the same snapshot committed for more than one platform
+  const groups = new Map();
+  baselines.forEach(b => {
+    const key = [b.spec, b.snapshot, b.project || ''].join('\u0000');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(b);
+  });
+  const duplicates = [...groups.values()]
+    .filter(group => new Set(group.map(b => b.platform)).size > 1)
+    .map(group => ({
+      spec: group[0].spec,
+      snapshot: group[0].snapshot,
+      project: group[0].project,
+      platforms: group.map(b => b.platform || 'any').sort(),
+      files: group.map(b => b.file)
+    }));
+
+  const platforms = {};
+  baselines.forEach(b => {
+    const key = b.platform || 'unknown';
+    platforms[key] = (platforms[key] || 0) + 1;
+  });
+  const platformMismatch = baselines.length > 0 && !platforms[PLATFORM];
+
+  const report = {
+    timestamp: new Date().toISOString(),
+    platform: PLATFORM,
+    config: { file: config.file, loaded: config.loaded, testDir, projects: config.projects },
+    specs: specs.size,
+    references: [...specs.values()].reduce((n, refs) => n + refs.names.size + refs.patterns.length + refs.unnamed, 0),
+    expected,
+    baselines: baselines.length,
+    platforms,
+    platformMismatch,
+    summary: {
+      missing: missing.length,
+      orphaned: orphaned.length,
+      duplicates: duplicates.length,
+      issues: missing.length + orphaned.length + duplicates.length
+    },
+    missing,
+    orphaned,
+    duplicates,
+    notes
+  };
+
+  fs.mkdirSync(ART, { recursive: true });
+  fs.writeFileSync(path.join(ART, 'snapshot-audit.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(ART, 'snapshot-audit.md'), generateMarkdown(report));
+  fs.writeFileSync(path.join(ART, 'snapshot-audit.html'), generateHTML(report));
+
+  if (platformMismatch) {
+    console.warn(`⚠️  No baselines for ${PLATFORM}; committed baselines are for ${Object.keys(platforms).join(', ')}`);
+  }
+  console.log(`📊 ${baselines.length} baseline(s), ${specs.size} spec(s): ${missing.length} missing, ${orphaned.length} orphaned, ${duplicates.length} duplicated across platforms`);
+  console.log('📄 Files created:');
+  console.log('   - artifacts/snapshot-audit.json');
+  console.log('   - artifacts/snapshot-audit.md');
+  console.log('   - artifacts/snapshot-audit.html');
+  return report;
+}
+
+/* ─── reports ─────────────────────────────────────────── */
+
+const platformList = platforms => Object.entries(platforms).map(([p, n]) => `${p} (${n})`).join(', ');
+
+function generateMarkdown(report) {
+  let md = '# Snapshot Baseline Audit\n\n';
+  md += `Runner platform: **${report.platform}** · ${report.baselines} baseline(s) in ${report.specs} spec(s)`;
+  md += report.baselines ? ` · committed for ${platformList(report.platforms)}\n\n` : '\n\n';
+
+  if (report.platformMismatch) {
+    md += `> ⚠️ **No baselines exist for ${report.platform}.** \`toHaveScreenshot\` cannot match the committed files on this runner; `;
+    md += `regenerate them on ${report.platform} (e.g. in CI or the Playwright Docker image).\n\n`;
+  }
+  if (!report.summary.issues) {
+    md += '✅ Every expected baseline exists and every baseline is in use.\n';
+  }
+
+  if (report.missing.length) {
+    md += `## ❓ Missing Baselines (${report.missing.length})\n\n| Spec | Snapshot | Project | Expected file | Available on |\n|---|---|---|---|---|\n`;
+    report.missing.forEach(m => {
+      md += `| \`${m.spec}\` | ${m.snapshot} | ${m.project || '—'} | \`${m.expected}\` | ${m.availableOn.join(', ') || '—'} |\n`;
+    });
+    md += '\n';
+  }
+  if (report.orphaned.length) {
+    md += `## 🗑️ Orphaned Baselines (${report.orphaned.length})\n\n| Baseline | Reason |\n|---|---|\n`;
+    report.orphaned.forEach(o => {
+      md += `| \`${o.file}\` | ${o.reason} |\n`;
+    });
+    md += '\n';
+  }
+  if (report.duplicates.length) {
+    md += `## 👯 Duplicated Across Platforms (${report.duplicates.length})\n\n| Spec | Snapshot | Project | Platforms |\n|---|---|---|---|\n`;
+    report.duplicates.forEach(d => {
+      md += `| \`${d.spec}\` | ${d.snapshot} | ${d.project || '—'} | ${d.platforms.join(', ')} |\n`;
+    });
+    md += '\n';
+  }
+  if (report.notes.length) {
+    md += report.notes.map(note => `> ℹ️ ${note}`).join('\n') + '\n';
+  }
+  return md;
+}
+
+function generateHTML(report) {
+  const escape = s => String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+  const table = (title, headers, rows) => rows.length === 0 ? '' : `
+  <h3>${title} (${rows.length})</h3>
+  <table class="sa-table">
+    <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+    <tbody>
+      ${rows.map(cells => `<tr>${cells.map(c => `<td>${escape(c)}</td>`).join('')}</tr>`).join('\n      ')}
+    </tbody>
+  </table>`;
+
+  return `
+<div class="snapshot-audit-container">
+  <style>
+    .snapshot-audit-container {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: #1e293b;
+      color: #f1f5f9;
+      padding: 2rem;
+      border-radius: 12px;
+      margin-top: 2rem;
+    }
+
+    .sa-warning {
+      margin: 1rem 0;
+      padding: 1rem;
+      border-radius: 8px;
+      background: rgba(245, 158, 11, 0.12);
+      border: 1px solid rgba(245, 158, 11, 0.4);
+      color: #fbbf24;
+    }
+
+    .sa-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 0.875rem;
+      margin-bottom: 1.5rem;
+    }
+
+    .sa-table th,
+    .sa-table td {
+      text-align: left;
+      padding: 0.5rem;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+      word-break: break-all;
+    }
+
+    .sa-table th {
+      color: #94a3b8;
+      font-weight: 500;
+    }
+  </style>
+
+  <h2>🧭 Snapshot Baseline Audit</h2>
+  <p style="color: #94a3b8; margin: 0;">
+    Runner platform <strong>${escape(report.platform)}</strong> · ${report.baselines} baseline(s) in ${report.specs} spec(s)${report.baselines ? ` · committed for ${escape(platformList(report.platforms))}` : ''}
+  </p>
+
+  ${report.platformMismatch ? `
+  <div class="sa-warning">
+    ⚠️ No baselines exist for <strong>${escape(report.platform)}</strong>. <code>toHaveScreenshot</code> cannot match the committed files on this runner.
+  </div>` : ''}
+
+  ${report.summary.issues === 0 ? '<p style="color: #10b981;">✅ Every expected baseline exists and every baseline is in use.</p>' : ''}
+
+  ${table('❓ Missing Baselines', ['Spec', 'Snapshot', 'Project', 'Expected file', 'Available on'],
+    report.missing.map(m => [m.spec, m.snapshot, m.project || '—', m.expected, m.availableOn.join(', ') || '—']))}
+  ${table('🗑️ Orphaned Baselines', ['Baseline', 'Reason'], report.orphaned.map(o => [o.file, o.reason]))}
+  ${table('👯 Duplicated Across Platforms', ['Spec', 'Snapshot', 'Project', 'Platforms'],
+    report.duplicates.map(d => [d.spec, d.snapshot, d.project || '—', d.platforms.join(', ')]))}
+
+  ${report.notes.map(note => `<p style="color: #94a3b8; font-size: 0.875rem;">ℹ️ ${escape(note)}</p>`).join('')}
+</div>`;
+}
+
+if (require.main === module) {
+  try {
+    auditSnapshots();
+  } catch (error) {
+    console.error('❌ Error during snapshot audit:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { auditSnapshots, readReferences, parseBaseline };
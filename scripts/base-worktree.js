@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * base-worktree.js
+ * Separate git worktree for the baseline run of the visual comparison.
+ *
+ * The baseline used to be run after checking out main's tests/ and
+ * playwright.config.js on top of the PR working tree, so "main" tests ran
+ * against the PR's application code and dependencies, and a failed run
+ * could leave the tree dirty. Instead the baseline gets its own worktree at
+ * the comparison base, with its own install, test output and web server
+ * (started by its own Playwright config).
+ *
+ *   node base-worktree.js prepare   resolve the base commit and create the worktree
+ *   node base-worktree.js remove    remove the worktree again
+ *
+ *   COMPARISON_BASE  merge-base (default), branch, tag:<name>, <tag> or <sha>
+ *   MAIN_BRANCH      branch the PR targets (default: main)
+ *   HEAD_SHA         commit the PR run tested (default: HEAD)
+ *   PR_HEAD_SHA      PR head commit, to recognise GitHub's test merge commit
+ *   BASE_WORKTREE    worktree directory (default: $RUNNER_TEMP/gui-test-base)
+ *
+ * prepare writes artifacts/comparison-base.json:
+ *   { strategy, ref, branch, sha, testMerge, head, worktree, preparedAt }
+ * which the reports, the PR comment and the dashboard show. testMerge is
+ * true when HEAD is GitHub's test merge commit and "merge-base" therefore
+ * resolved to the base branch tip it was merged onto (see resolveBase).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { BASE_FILE, describeBase } = require('./lib/comparison-base');
+
+const ART = 'artifacts';
+const MAIN_BRANCH = process.env.MAIN_BRANCH || 'main';
+const WORKTREE = path.resolve(process.env.BASE_WORKTREE || path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'gui-test-base'));
+
+/* shallow checkouts are deepened this many commits at a time while looking for the merge-base */
+const DEEPEN_STEP = 100;
+const MAX_DEEPEN_ROUNDS = 5;
+
+/* ─── git ─────────────────────────────────────────────── */
+
+const git = (args, options = {}) =>
+  execFileSync('git', args, { maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'], encoding: 'utf8', ...options }).trim();
+
+function tryGit(args) {
+  try {
+    return git(args);
+  } catch {
+    return null;
+  }
+}
+
+const isShallow = () => tryGit(['rev-parse', '--is-shallow-repository']) === 'true';
+
+/*
+ * First parent of GitHub's test merge commit (refs/pull/N/merge), i.e. the
+ * base branch tip the PR was merged onto; null for any other commit.
+ */
+function testMergeParent(head) {
+  // the raw commit keeps its parents even when a shallow clone hides them
+  const parents = (tryGit(['cat-file', '-p', head]) || '')
+    .split('\n')
+    .filter(line => line.startsWith('parent '))
+    .map(line => line.slice(7));
+  const prHead = process.env.PR_HEAD_SHA;
+  return parents.length === 2 && prHead && parents[1] === prHead ? parents[0] : null;
+}
+
+/*
+ * Commit the PR branched from. On a test merge commit that is its first
+ * parent: diffing the merge commit against it shows exactly the PR's changes.
+ */
+function mergeBase(head) {
+  const parent = testMergeParent(head);
+  if (parent) return parent;
+
+  for (let round = 0; ; round++) {
+    const base = tryGit(['merge-base', `origin/${MAIN_BRANCH}`, head]);
+    if (base) return base;
+    if (!isShallow() || round >= MAX_DEEPEN_ROUNDS) break;
+    console.log(`   Deepening shallow history by ${DEEPEN_STEP} commits to find the merge-base...`);
+    tryGit(['fetch', '--quiet', '--no-tags', `--deepen=${DEEPEN_STEP}`, 'origin', MAIN_BRANCH, head]);
+  }
+  if (isShallow()) {
+    console.log('   Fetching the full history to find the merge-base...');
+    tryGit(['fetch', '--quiet', '--no-tags', '--unshallow', 'origin']);
+    const base = tryGit(['merge-base', `origin/${MAIN_BRANCH}`, head]);
+    if (base) return base;
+  }
+  throw new Error(`No merge-base between ${head.slice(0, 7)} and origin/${MAIN_BRANCH}`);
+}
+
+/* { strategy, ref, sha, testMerge } of the COMPARISON_BASE setting */
+function resolveBase(setting, head) {
+  const value = (setting || 'merge-base').trim();
+  if (value === 'merge-base') {
+    // The PR run tested the merge commit, which already contains everything
+    // merged into the branch since the PR branched off; its first parent is
+    // the baseline that keeps those changes out of the PR's regressions.
+    // That is the same commit "branch" picks, and it is labelled as such.
+    const parent = testMergeParent(head);
+    if (parent) return { strategy: 'merge-base', ref: null, sha: parent, testMerge: true };
+    return { strategy: 'merge-base', ref: null, sha: mergeBase(head), testMerge: false };
+  }
+  if (value === 'branch') {
+    return { strategy: 'branch', ref: `origin/${MAIN_BRANCH}`, sha: git(['rev-parse', '--verify', `origin/${MAIN_BRANCH}^{commit}`]) };
+  }
+  if (/^[0-9a-f]{7,40}$/i.test(value)) {
+    // only full SHAs can be fetched; short ones must already be in the checkout
+    if (tryGit(['cat-file', '-e', `${value}^{commit}`]) === null) {
+      tryGit(['fetch', '--quiet', '--no-tags', '--depth=1', 'origin', value]);
+    }
+    return { strategy: 'sha', ref: value, sha: git(['rev-parse', '--verify', `${value}^{commit}`]) };
+  }
+  const tag = value.replace(/^tag:/, '');
+  tryGit(['fetch', '--quiet', '--no-tags', '--depth=1', 'origin', `+refs/tags/${tag}:refs/tags/${tag}`]);
+  const sha = tryGit(['rev-parse', '--verify', `refs/tags/${tag}^{commit}`]);
+  if (!sha) throw new Error(`Comparison base "${value}" is neither merge-base, branch, a tag nor a commit`);
+  return { strategy: 'tag', ref: tag, sha };
+}
+
+/* ─── worktree ────────────────────────────────────────── */
+
+function removeWorktree() {
+  if (tryGit(['worktree', 'remove', '--force', WORKTREE]) === null && fs.existsSync(WORKTREE)) {
+    fs.rmSync(WORKTREE, { recursive: true, force: true });
+  }
+  tryGit(['worktree', 'prune']);
+}
+
+function prepare() {
+  console.log(`🌳 Preparing the baseline worktree (${MAIN_BRANCH})...`);
+  tryGit(['fetch', '--quiet', '--no-tags', 'origin', `+refs/heads/${MAIN_BRANCH}:refs/remotes/origin/${MAIN_BRANCH}`]);
+  const head = git(['rev-parse', '--verify', `${process.env.HEAD_SHA || 'HEAD'}^{commit}`]);
+  const { strategy, ref, sha, testMerge = false } = resolveBase(process.env.COMPARISON_BASE, head);
+
+  if (tryGit(['cat-file', '-e', `${sha}^{commit}`]) === null) {
+    tryGit(['fetch', '--quiet', '--no-tags', '--depth=1', 'origin', sha]);
+  }
+
+  removeWorktree();
+  git(['worktree', 'add', '--detach', '--force', WORKTREE, sha]);
+
+  const base = {
+    strategy,
+    ref,
+    branch: MAIN_BRANCH,
+    sha,
+    testMerge,
+    head,
+    worktree: WORKTREE,
+    preparedAt: new Date().toISOString()
+  };
+  fs.mkdirSync(ART, { recursive: true });
+  fs.writeFileSync(BASE_FILE, JSON.stringify(base, null, 2));
+  console.log(`✅ Baseline ${sha.slice(0, 7)} (${describeBase(base)}) checked out in ${WORKTREE}`);
+  return base;
+}
+
+if (require.main === module) {
+  const command = process.argv[2];
+  try {
+    if (command === 'prepare') {
+      prepare();
+    } else if (command === 'remove') {
+      removeWorktree();
+      console.log(`🧹 Removed the baseline worktree ${WORKTREE}`);
+    } else {
+      console.error('Usage: base-worktree.js prepare | remove');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Could not prepare the baseline worktree:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { prepare, removeWorktree, mergeBase, resolveBase };
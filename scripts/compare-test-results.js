@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * compare-test-results.js
+ * Per-test comparison of the PR and main runs: which failures the PR
+ * introduced and which it fixed.
+ *
+ * Tests are paired by id (file, title path and project). Each test gets one
+ * label:
+ *   newly-failing   failed on the PR, passed (or was flaky or skipped) on main
+ *   newly-passing   failed on main, passes on the PR (also when only on retry)
+ *   still-failing   failed on both
+ *   newly-flaky     passed on the PR only on retry, not flaky on main
+ *   added           only in the PR run
+ *   removed         only in the main run
+ *   unchanged       everything else
+ * A failing added test counts as introduced, like a newly failing one; the
+ * PR regresses when it introduces at least one failure, whatever it fixed.
+ *
+ *   PR report:   artifacts/playwright-metrics-pr.json (or playwright-metrics.json)
+ *   Main report: artifacts/playwright-metrics-main.json
+ *
+ * Writes artifacts/test-comparison.json and .md, read by the PR comment,
+ * the gui-regression-detected output and the dashboard.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadResults } = require('./lib/playwright-results');
+const { stripAnsi } = require('./lib/failure-signature');
+const { loadComparisonBase, baseRecord } = require('./lib/comparison-base');
+
+const ART = 'artifacts';
+const PR_CANDIDATES = [path.join(ART, 'playwright-metrics-pr.json'), path.join(ART, 'playwright-metrics.json')];
+const MAIN_CANDIDATES = [path.join(ART, 'playwright-metrics-main.json')];
+
+/* report order: what needs attention first */
+const LABELS = ['newly-failing', 'added', 'newly-flaky', 'still-failing', 'newly-passing', 'removed', 'unchanged'];
+const LABEL_TEXT = {
+  'newly-failing': '🔴 Newly failing',
+  added: '🆕 Added',
+  'newly-flaky': '〰️ Newly flaky',
+  'still-failing': '⛔ Still failing',
+  'newly-passing': '🟢 Newly passing',
+  removed: '🗑️ Removed',
+  unchanged: 'Unchanged'
+};
+
+/* ─── classification ──────────────────────────────────── */
+
+/* label of a test from its status on main and on the PR (passed | failed | flaky | skipped | undefined) */
+function classify(main, pr) {
+  if (!main) return 'added';
+  if (!pr) return 'removed';
+  if (pr === 'failed') return main === 'failed' ? 'still-failing' : 'newly-failing';
+  if (main === 'failed' && (pr === 'passed' || pr === 'flaky')) return 'newly-passing';
+  if (pr === 'flaky' && main !== 'flaky') return 'newly-flaky';
+  return 'unchanged';
+}
+
+const firstLine = error => stripAnsi(error?.message).split('\n')[0].replace(/^Error:\s*/, '').trim() || null;
+
+const entryFor = test => ({
+  testId: test.id,
+  file: test.file,
+  fullTitle: test.fullTitle,
+  project: test.project,
+  testName: test.project ? `${test.fullTitle} [${test.project}]` : test.fullTitle
+});
+
+/**
+ * Every test of either run with its label:
+ *   [{ testId, file, fullTitle, project, testName, label, pr, main, error }]
+ * pr / main are the statuses (null when the test didn't run there); error is
+ * the first line of the PR failure.
+ */
+function compareTests(pr, main) {
+  const mainById = new Map((main?.tests || []).map(test => [test.id, test]));
+  const prIds = new Set();
+  const tests = [];
+
+  (pr?.tests || []).forEach(test => {
+    prIds.add(test.id);
+    const before = mainById.get(test.id);
+    tests.push({
+      ...entryFor(test),
+      label: classify(before?.status, test.status),
+      pr: test.status,
+      main: before ? before.status : null,
+      error: test.status === 'failed' ? firstLine(test.error) : null
+    });
+  });
+  mainById.forEach((test, id) => {
+    if (prIds.has(id)) return;
+    tests.push({ ...entryFor(test), label: 'removed', pr: null, main: test.status, error: null });
+  });
+
+  return tests.sort((a, b) => LABELS.indexOf(a.label) - LABELS.indexOf(b.label) || a.testName.localeCompare(b.testName));
+}
+
+function summarize(tests) {
+  const count = label => tests.filter(t => t.label === label).length;
+  const addedFailing = tests.filter(t => t.label === 'added' && t.pr === 'failed').length;
+  const introduced = count('newly-failing') + addedFailing;
+  return {
+    tests: tests.length,
+    newlyFailing: count('newly-failing'),
+    newlyPassing: count('newly-passing'),
+    stillFailing: count('still-failing'),
+    newlyFlaky: count('newly-flaky'),
+    added: count('added'),
+    addedFailing,
+    removed: count('removed'),
+    unchanged: count('unchanged'),
+    introducedFailures: introduced,
+    regression: introduced > 0
+  };
+}
+
+/* ─── report ──────────────────────────────────────────── */
+
+function generateComparison() {
+  console.log('🔀 Comparing test results with main...');
+  const pr = loadResults(PR_CANDIDATES);
+  const main = loadResults(MAIN_CANDIDATES);
+  if (!pr || !main) {
+    console.log(`ℹ️  No ${pr ? 'main' : 'PR'} report found, skipping the per-test comparison`);
+    return null;
+  }
+  console.log(`   PR: ${pr.tests.length} test(s) in ${pr.source}`);
+  console.log(`   Main: ${main.tests.length} test(s) in ${main.source}`);
+
+  const tests = compareTests(pr, main);
+  const report = {
+    timestamp: new Date().toISOString(),
+    base: baseRecord(loadComparisonBase()),
+    summary: summarize(tests),
+    tests
+  };
+
+  fs.mkdirSync(ART, { recursive: true });
+  fs.writeFileSync(path.join(ART, 'test-comparison.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(ART, 'test-comparison.md'), generateMarkdown(report));
+
+  const { summary } = report;
+  console.log(`📊 ${summary.newlyFailing} newly failing, ${summary.newlyPassing} newly passing, ${summary.stillFailing} still failing, ${summary.newlyFlaky} newly flaky, ${summary.added} added, ${summary.removed} removed`);
+  console.log(summary.regression
+    ? `🔴 The PR introduces ${summary.introducedFailures} failure(s)`
+    : '✅ The PR introduces no failures');
+  console.log('📄 Files created:');
+  console.log('   - artifacts/test-comparison.json');
+  console.log('   - artifacts/test-comparison.md');
+  return report;
+}
+
+function generateMarkdown(report) {
+  let md = '# Test Results vs Main\n\n';
+  if (report.base) md += `Compared against \`${report.base.sha.slice(0, 7)}\` (${report.base.description})\n\n`;
+
+  const { summary } = report;
+  md += `**${summary.newlyFailing}** newly failing • **${summary.newlyPassing}** newly passing • **${summary.stillFailing}** still failing • `;
+  md += `**${summary.newlyFlaky}** newly flaky • **${summary.added}** added • **${summary.removed}** removed\n\n`;
+
+  LABELS.filter(label => label !== 'unchanged').forEach(label => {
+    const tests = report.tests.filter(t => t.label === label);
+    if (!tests.length) return;
+    md += `## ${LABEL_TEXT[label]} (${tests.length})\n\n`;
+    tests.forEach(t => {
+      const status = label === 'added' || label === 'removed' ? ` – ${t.pr || t.main}` : '';
+      md += `- \`${t.file}\` › ${t.testName}${status}${t.error ? `: ${t.error}` : ''}\n`;
+    });
+    md += '\n';
+  });
+  return md;
+}
+
+if (require.main === module) {
+  try {
+    generateComparison();
+  } catch (error) {
+    console.error('❌ Error during test result comparison:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { LABELS, LABEL_TEXT, classify, compareTests, generateComparison };
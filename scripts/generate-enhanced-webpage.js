@@ -6,6 +6,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadComparisonBase, describeBase } = require('./lib/comparison-base');
 
 // Import existing generate-webpage functionality
 const originalGenerateWebpage = path.join(__dirname, 'generate-webpage.js');
@@ -37,6 +38,8 @@ const readFile = (filepath, defaultContent = '') => {
 
 // Read all enhanced components
 const visualRegressionHTML = readFile(path.join(ART, 'visual-regression.html'));
+const baselineChangesHTML = readFile(path.join(ART, 'baseline-changes.html'));
+const snapshotAuditHTML = readFile(path.join(ART, 'snapshot-audit.html'));
 const quickActionsHTML = readFile(path.join(ART, 'quick-actions-panel.html'));
 const testCityExists = fs.existsSync(path.join(OUT, 'test-city-3d.html'));
 
@@ -45,6 +48,7 @@ const testCityData = JSON.parse(readFile(path.join(ART, 'test-city-data.json'),
 const quickActionsData = JSON.parse(readFile(path.join(ART, 'quick-actions-data.json'), '{}'));
 const visualRegressionData = JSON.parse(readFile(path.join(ART, 'visual-regression-report.json'), '{}'));
 const testHistoryData = JSON.parse(readFile(path.join(ART, 'test-history-insights.json'), '{}'));
+const comparisonBase = loadComparisonBase(path.join(ART, 'comparison-base.json'));
 
 // Extract original content sections if base HTML exists
 let originalContent = '';
@@ -631,6 +635,11 @@ body::before {
         <p style="margin: 0; font-size: 1.125rem; opacity: 0.9;">
           Comprehensive analysis of your GUI tests with visual regression, 3D visualization, and actionable insights
         </p>
+        ${comparisonBase ? `
+        <p style="margin: 0.5rem 0 0 0; font-size: 0.875rem; opacity: 0.8;">
+          Compared against <code>${comparisonBase.sha.slice(0, 7)}</code> (${describeBase(comparisonBase)})
+        </p>
+        ` : ''}
         
         <div class="summary-stats">
           <div class="summary-stat">
@@ -759,6 +768,8 @@ body::before {
   <!-- Visual Regression Section -->
   <div id="visual-section" class="section section-hidden">
     ${visualRegressionHTML || '<p>Visual regression analysis not available. Enable visual comparison in your workflow.</p>'}
+    ${baselineChangesHTML}
+    ${snapshotAuditHTML}
   </div>
   
   <!-- 3D Test City Section -->
@@ -1006,7 +1017,10 @@ fs.writeFileSync(path.join(OUT, 'index.html'), enhancedHTML);
 // Copy any additional resources
 const additionalFiles = [
   'test-history-report.md',
-  'test-failure-analysis.md'
+  'test-failure-analysis.md',
+  'baseline-changes.md',
+  'snapshot-audit.md',
+  'aria-diff.md'
 ];
 
 additionalFiles.forEach(file => {
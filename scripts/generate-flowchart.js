@@ -6,15 +6,11 @@
 const fs   = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { loadResults } = require('./lib/playwright-results');
 
 /* locate metrics JSON no matter where it is */
-const locate = () => {
-  if (fs.existsSync('playwright-metrics.json'))                return 'playwright-metrics.json';
-  const inArt = path.join('artifacts', 'playwright-metrics.json');
-  if (fs.existsSync(inArt)) return inArt;
-  console.error('❌ playwright-metrics.json not found'); process.exit(1);
-};
-const METRICS = JSON.parse(fs.readFileSync(locate(), 'utf8'));
+const RESULTS = loadResults(['playwright-metrics.json', path.join('artifacts', 'playwright-metrics.json')]);
+if (!RESULTS) { console.error('❌ playwright-metrics.json not found'); process.exit(1); }
 
 const ART = 'artifacts';
 fs.mkdirSync(ART, { recursive: true });
@@ -48,28 +44,15 @@ m.push('  LEGEND_ANCHOR -.-> legendBox');
 
 m.push('  ROOT["🧪 Playwright Test Run"]:::rootStyle');
 
-const tests=[];
-METRICS.suites.forEach(f=>{
-  const fileTitle=f.title||path.basename(f.file);
-  f.suites.forEach(s=>{
-    s.specs.forEach(sp=>{
-      tests.push({
-        file:fileTitle,
-        suite:s.title||'NO_SUITE',
-        spec:sp.title||'NO_SPEC',
-        status:sp.tests[0]?.results[0]?.status??'unknown',
-        dur:sp.tests[0]?.results[0]?.duration??0
-      });
-    });
-  });
-});
-const summary={
-  total:tests.length,
-  passed:tests.filter(t=>['expected','passed'].includes(t.status)).length,
-  failed:tests.filter(t=>t.status==='failed').length,
-  skipped:tests.filter(t=>t.status==='skipped').length,
-  dur:METRICS.stats?.duration??0
-};
+const tests=RESULTS.tests.map(t=>({
+  id:t.id,
+  file:t.file||'NO_FILE',
+  suite:t.describePath.join(' › ')||'NO_SUITE',
+  spec:(RESULTS.multiProject&&t.project?`${t.title} [${t.project}]`:t.title)||'NO_SPEC',
+  status:t.status==='flaky'?'passed':t.status,
+  dur:t.finalDuration
+}));
+const summary={...RESULTS.summary,dur:(RESULTS.summary.duration/1000).toFixed(1)};
 m.push(`  BANNER["📊 ${summary.total} • ✅ ${summary.passed} • ❌ ${summary.failed} • ⏭️ ${summary.skipped} • ⏱️ ${summary.dur}s"]`);
 m.push('  ROOT --> BANNER');
 
@@ -89,7 +72,7 @@ files.forEach(file=>{
     m.push(`    ${sid}["📦 ${esc(suite)}"]:::suiteStyle`);
     m.push(`    ${fid} --> ${sid}`);
     tests.filter(t=>t.file===file && t.suite===suite).forEach(t=>{
-      const spid=safe(`${sid}_${t.spec}`);
+      const spid=safe(`${sid}_${t.id}`);
       const cls=t.status==='failed'?'failStyle':t.status==='skipped'?'skipStyle':'passStyle';
       const icon=t.status==='failed'?'❌':t.status==='skipped'?'⏭️':'✅';
       m.push(`    ${sid} --> ${spid}["${icon} ${esc(t.spec)}<br/><small>${t.dur}ms</small>"]:::${cls}`);
@@ -6,6 +6,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadResults } = require('./lib/playwright-results');
 
 const ART = 'artifacts';
 
@@ -28,33 +29,34 @@ const lintSummary = readJSON('lint-summary.json');
 const failureAnalysis = readJSON('test-failure-analysis.json');
 const testHistory = readJSON('test-history-insights.json');
 const visualRegression = readJSON('visual-regression-report.json');
+const failureClusters = failureAnalysis?.clusters || [];
+const tracedFailures = (failureAnalysis?.failures || []).filter(f => f.trace);
+
+const MAX_CLUSTERS = 10;
+const MAX_CLUSTER_TESTS = 5;
+const MAX_TRACES = 10;
+
+const escapeHTML = text => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
 
 // Extract failed test names from metrics
 const getFailedTests = () => {
-  const metrics = readJSON('playwright-metrics.json');
-  const failedTests = [];
+  const results = loadResults([path.join(ART, 'playwright-metrics.json'), 'playwright-metrics.json']);
+  if (!results) return [];
   
-  if (metrics && metrics.suites) {
-    metrics.suites.forEach(suite => {
-      suite.suites.forEach(s => {
-        s.specs.forEach(spec => {
-          spec.tests.forEach(test => {
-            const failed = test.results.some(r => r.status === 'failed' || r.status === 'unexpected');
-            if (failed) {
-              failedTests.push({
-                name: spec.title,
-                suite: s.title,
-                file: path.basename(suite.file || 'unknown'),
-                error: test.results.find(r => r.status === 'failed')?.error?.message
-              });
-            }
-          });
-        });
-      });
-    });
-  }
-  
-  return failedTests;
+  return results.tests
+    .filter(test => test.status === 'failed')
+    .map(test => ({
+      id: test.id,
+      name: test.title,
+      suite: test.describePath.join(' › ') || test.fileName,
+      file: test.fileName,
+      project: test.project,
+      error: test.error?.message
+    }));
 };
 
 const failedTests = getFailedTests();
@@ -141,6 +143,20 @@ const generateCommands = () => {
     });
   }
   
+  // 2b. Open the trace of the first failure that recorded one
+  if (tracedFailures.length > 0) {
+    const traced = tracedFailures[0];
+    commands.push({
+      id: 'show-trace',
+      category: 'debugging',
+      name: 'Open Failure Trace',
+      description: `Step through the recorded trace of "${traced.test}"`,
+      command: `npx playwright show-trace "${traced.trace.file}"`,
+      icon: '🔎',
+      priority: priority++
+    });
+  }
+  
   // 3. Fix linting issues
   if (lintSummary?.eslint?.fixableErrors > 0 || lintSummary?.eslint?.fixableWarnings > 0) {
     const total = (lintSummary.eslint.fixableErrors || 0) + (lintSummary.eslint.fixableWarnings || 0);
@@ -443,20 +459,20 @@ const generateActions = () => {
 const generateSnippets = () => {
   const snippets = [];
   
-  // Add snippets based on failure patterns
-  if (failureAnalysis?.topIssues?.length > 0) {
-    failureAnalysis.topIssues.forEach(issue => {
-      if (issue.example) {
-        snippets.push({
-          id: `fix-${issue.type}`,
-          name: `Fix for ${issue.category}`,
-          description: issue.solution,
-          code: issue.example,
-          language: 'javascript'
-        });
-      }
-    });
-  }
+  // Add snippets based on the failure clusters (one per kind of issue)
+  const snippetTypes = new Set();
+  failureClusters.forEach(cluster => {
+    if (cluster.example && !snippetTypes.has(cluster.type)) {
+      snippetTypes.add(cluster.type);
+      snippets.push({
+        id: `fix-${cluster.type}`,
+        name: `Fix for ${cluster.category}`,
+        description: cluster.solution,
+        code: cluster.example,
+        language: 'javascript'
+      });
+    }
+  });
   
   // Standard helpful snippets
   snippets.push({
@@ -535,11 +551,19 @@ await page.click('.button', { timeout: 30000 });`,
   return snippets;
 };
 
+// Re-run commands for the failure clusters, largest first
+const generateClusters = () => failureClusters.slice(0, MAX_CLUSTERS).map(cluster => ({
+  ...cluster,
+  command: `npx playwright test --grep "${[...new Set(cluster.tests.map(t => t.title))]
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')}"`
+}));
+
 // Generate HTML component
 const generateHTML = () => {
   const commands = generateCommands();
   const actions = generateActions();
   const snippets = generateSnippets();
+  const clusters = generateClusters();
   
   // Group commands by category
   const commandsByCategory = {};
@@ -834,6 +858,52 @@ const generateHTML = () => {
       white-space: pre;
     }
     
+    .qa-cluster-meta {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.5rem;
+      margin-bottom: 0.75rem;
+      font-size: 0.75rem;
+    }
+    
+    .qa-badge {
+      background: #334155;
+      color: #e2e8f0;
+      padding: 0.125rem 0.5rem;
+      border-radius: 9999px;
+    }
+    
+    .qa-badge.critical { background: #7f1d1d; }
+    .qa-badge.high { background: #9a3412; }
+    .qa-badge.medium { background: #854d0e; }
+    .qa-badge.low { background: #166534; }
+    
+    .qa-cluster-tests {
+      margin: 0 0 1rem;
+      padding-left: 1.25rem;
+      color: #cbd5e1;
+      font-size: 0.875rem;
+    }
+    
+    .qa-trace-list {
+      margin: 0 0 1rem;
+      padding-left: 1.5rem;
+      font-family: 'Monaco', 'Consolas', monospace;
+      font-size: 0.8125rem;
+      color: #cbd5e1;
+    }
+    
+    .qa-trace-list .failed {
+      color: #fca5a5;
+    }
+    
+    .qa-trace-heading {
+      font-size: 0.875rem;
+      font-weight: 600;
+      color: #94a3b8;
+      margin-bottom: 0.5rem;
+    }
+    
     .qa-empty {
       text-align: center;
       padding: 3rem;
@@ -882,6 +952,12 @@ const generateHTML = () => {
     <button class="qa-tab" onclick="showQuickActionsTab('actions')">
       🚀 GitHub Actions
     </button>
+    <button class="qa-tab" onclick="showQuickActionsTab('clusters')">
+      🧩 Failure Clusters
+    </button>
+    <button class="qa-tab" onclick="showQuickActionsTab('traces')">
+      🔎 Trace Context
+    </button>
     <button class="qa-tab" onclick="showQuickActionsTab('snippets')">
       📝 Code Snippets
     </button>
@@ -962,6 +1038,105 @@ const generateHTML = () => {
     `}
   </div>
   
+  <!-- Failure Clusters Tab -->
+  <div id="qa-clusters-tab" class="qa-content">
+    ${clusters.length === 0 ? `
+      <div class="qa-empty">
+        <p>No failures to group.</p>
+      </div>
+    ` : `
+      <div class="qa-grid">
+        ${clusters.map(cluster => `
+          <div class="qa-item">
+            <div class="qa-item-header">
+              <div class="qa-item-icon">🧩</div>
+              <div class="qa-item-content">
+                <div class="qa-item-title">${escapeHTML(cluster.title)}</div>
+                <div class="qa-cluster-meta">
+                  <span class="qa-badge ${escapeHTML(cluster.severity)}">${escapeHTML(cluster.severity)}</span>
+                  <span class="qa-badge">${escapeHTML(cluster.category)}</span>
+                  ${cluster.rule ? `<span class="qa-badge" title="${escapeHTML(cluster.rule.source)} rule">${escapeHTML(cluster.rule.id)}</span>` : ''}
+                  <span class="qa-badge">${cluster.count} failure(s) in ${cluster.testCount} test(s)</span>
+                  ${cluster.frame ? `<span class="qa-badge">${escapeHTML(cluster.frame)}</span>` : ''}
+                </div>
+                <div class="qa-item-desc">${escapeHTML(cluster.solution)}${cluster.docs ? ` <a href="${escapeHTML(cluster.docs)}" target="_blank" rel="noopener">Docs ↗</a>` : ''}</div>
+              </div>
+            </div>
+            <ul class="qa-cluster-tests">
+              ${cluster.tests.slice(0, MAX_CLUSTER_TESTS).map(t => `
+                <li>${escapeHTML(t.file)} › ${escapeHTML(t.fullTitle)}${t.project ? ` [${escapeHTML(t.project)}]` : ''}</li>
+              `).join('')}
+              ${cluster.tests.length > MAX_CLUSTER_TESTS ? `<li>…and ${cluster.tests.length - MAX_CLUSTER_TESTS} more</li>` : ''}
+            </ul>
+            ${cluster.examples?.[0] ? `<pre class="qa-snippet qa-snippet-code">${escapeHTML(cluster.examples[0].error)}</pre>` : ''}
+            <div class="qa-command">
+              <code>${escapeHTML(cluster.command)}</code>
+              <button class="qa-copy-btn" onclick="copyQuickCommand('cluster-${cluster.id}', this)" data-command="${escapeHTML(cluster.command)}">
+                Copy
+              </button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `}
+  </div>
+  
+  <!-- Trace Context Tab -->
+  <div id="qa-traces-tab" class="qa-content">
+    ${tracedFailures.length === 0 ? `
+      <div class="qa-empty">
+        <p>No traces of failing tests. Record them with <code>trace: 'on-first-retry'</code> in your Playwright config.</p>
+      </div>
+    ` : `
+      <div class="qa-grid">
+        ${tracedFailures.slice(0, MAX_TRACES).map((f, i) => `
+          <div class="qa-item">
+            <div class="qa-item-header">
+              <div class="qa-item-icon">🔎</div>
+              <div class="qa-item-content">
+                <div class="qa-item-title">${escapeHTML(f.file)} › ${escapeHTML(f.fullTitle)}${f.project ? ` [${escapeHTML(f.project)}]` : ''}</div>
+                <div class="qa-item-desc">
+                  ${f.trace.pageURL ? `Page at failure: <code>${escapeHTML(f.trace.pageURL)}</code><br>` : ''}
+                  ${escapeHTML(f.error.split('\n')[0])}
+                </div>
+              </div>
+            </div>
+            ${f.trace.actions.length ? `
+              <div class="qa-trace-heading">Last actions (retry #${f.trace.retry})</div>
+              <ol class="qa-trace-list">
+                ${f.trace.actions.map(a => `
+                  <li class="${a.error ? 'failed' : ''}">${escapeHTML(a.apiName)}${a.selector || a.url ? ` ${escapeHTML(a.selector || a.url)}` : ''}${a.duration !== null ? ` (${a.duration}ms)` : ''}${a.error ? ` – ${escapeHTML(a.error)}` : ''}</li>
+                `).join('')}
+              </ol>
+            ` : ''}
+            ${f.trace.failedRequests.length ? `
+              <div class="qa-trace-heading">Failed requests</div>
+              <ul class="qa-trace-list">
+                ${f.trace.failedRequests.map(r => `
+                  <li class="failed">${escapeHTML(r.method)} ${escapeHTML(r.url)} – ${escapeHTML(r.failure || `${r.status} ${r.statusText}`)}</li>
+                `).join('')}
+              </ul>
+            ` : ''}
+            ${f.trace.consoleErrors.length ? `
+              <div class="qa-trace-heading">Console errors</div>
+              <ul class="qa-trace-list">
+                ${f.trace.consoleErrors.map(e => `
+                  <li class="failed">${e.kind === 'pageerror' ? 'Uncaught: ' : ''}${escapeHTML(e.text)}</li>
+                `).join('')}
+              </ul>
+            ` : ''}
+            <div class="qa-command">
+              <code>npx playwright show-trace "${escapeHTML(f.trace.file)}"</code>
+              <button class="qa-copy-btn" onclick="copyQuickCommand('trace-${i}', this)" data-command="${escapeHTML(`npx playwright show-trace "${f.trace.file}"`)}">
+                Copy
+              </button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `}
+  </div>
+  
   <!-- Snippets Tab -->
   <div id="qa-snippets-tab" class="qa-content">
     ${snippets.length === 0 ? `
@@ -1053,13 +1228,16 @@ const panelData = {
   commands: generateCommands(),
   actions: generateActions(),
   snippets: generateSnippets(),
+  clusters: generateClusters(),
   context: context,
   stats: {
     failedTests: failedTests.length,
     lintIssues: (lintSummary?.eslint?.errors || 0) + (lintSummary?.eslint?.warnings || 0),
     fixableIssues: (lintSummary?.eslint?.fixableErrors || 0) + (lintSummary?.eslint?.fixableWarnings || 0),
     visualChanges: (visualRegression?.major || 0) + (visualRegression?.minor || 0),
-    flakyTests: testHistory?.flakyTests?.length || 0
+    flakyTests: testHistory?.flakyTests?.length || 0,
+    failureClusters: failureClusters.length,
+    tracedFailures: tracedFailures.length
   }
 };
 
@@ -1071,4 +1249,5 @@ fs.writeFileSync(
 console.log('✅ Quick Actions Panel generated');
 console.log(`📋 ${panelData.commands.length} commands available`);
 console.log(`🚀 ${panelData.actions.length} GitHub actions available`);
-console.log(`📝 ${panelData.snippets.length} code snippets included`);
\ No newline at end of file
+console.log(`📝 ${panelData.snippets.length} code snippets included`);
+console.log(`🧩 ${panelData.clusters.length} failure cluster(s) listed`);
\ No newline at end of file
@@ -8,6 +8,7 @@
 
 const fs   = require('fs');
 const path = require('path');
+const { loadResults, displayName, fileBaseName, attemptFailed } = require('./lib/playwright-results');
 
 // Constants
 const ART = 'artifacts';
@@ -28,45 +29,17 @@ function readJSON (filepath, def = null) {
 // Extract all test data
 function extractTestData () {
   // Try multiple locations for metrics
-  const candidatePaths = [
+  const results = loadResults([
     path.join(ART, 'playwright-metrics-pr.json'),
     path.join(ART, 'playwright-metrics.json'),
-    'playwright-metrics.json',
-    path.join(ART, 'playwright-summary-pr.json'),
-    path.join(ART, 'playwright-summary.json')
-  ];
-
-  let metrics = null;
-  let summaryMetrics = null;
-
-  for (const p of candidatePaths) {
-    if (!fs.existsSync(p)) continue;
-
-    const data = readJSON(p);
-    if (!data) continue;
-
-    console.log(`📁 Checking ${p}...`);
-    
-    if (data.suites) {
-      metrics = data;
-      console.log(`✅ Found detailed metrics at: ${p}`);
-      console.log(`   - Total suites: ${data.suites.length}`);
-      console.log(`   - Stats:`, data.stats);
-      break;
-    }
-
-    if (!summaryMetrics && data.total) {
-      summaryMetrics = data;
-      console.log(`📊 Found summary metrics at: ${p}`);
-    }
-  }
-
-  if (!metrics) metrics = summaryMetrics;
+    'playwright-metrics.json'
+  ]);
 
   // Fallback if only summary exists
-  if (!metrics || !metrics.suites) {
+  if (!results) {
     console.log('⚠️  No detailed metrics found, using summary fallback');
-    const summary = summaryMetrics || readJSON(path.join(ART, 'playwright-summary-pr.json'));
+    const summary = readJSON(path.join(ART, 'playwright-summary-pr.json')) ||
+                    readJSON(path.join(ART, 'playwright-summary.json'));
     if (summary && summary.total) {
       console.log('📊 Using summary data for visualization:', summary);
       return [{
@@ -86,88 +59,71 @@ function extractTestData () {
     return [];
   }
 
+  console.log(`✅ Found detailed metrics at: ${results.source}`);
+  console.log(`   - Stats:`, results.summary);
+
   // Load history
   const historyData = readJSON(HISTORY_FILE, { tests: {} });
   const historyMap  = historyData.tests || {};
 
-  const testData = [];
-
   // Process detailed test data
-  metrics.suites.forEach((suite, sIdx) => {
-    const suiteName = path.basename(suite.file || `suite-${sIdx}`)
-                      .replace(/\.(spec|test)\.(jsx?|tsx?)$/, '');
-
-    console.log(`Processing suite: ${suiteName}`);
-
-    suite.suites.forEach((describe, dIdx) => {
-      describe.specs.forEach((spec, tIdx) => {
-        const fullName = `${suiteName} > ${describe.title} > ${spec.title}`;
-        const attempts = spec.tests || [];
-
-        let durationTotal = 0;
-        let passed = 0, failed = 0, skipped = 0, lastStatus = 'unknown';
-        const errors = [];
-
-        attempts.forEach(attempt => {
-          (attempt.results || []).forEach(r => {
-            durationTotal += r.duration || 0;
-            if (r.status === 'passed' || r.status === 'expected') {
-              passed++;
-              lastStatus = 'passed';
-            } else if (r.status === 'failed' || r.status === 'unexpected') {
-              failed++;
-              lastStatus = 'failed';
-            } else if (r.status === 'skipped') {
-              skipped++;
-              lastStatus = 'skipped';
-            }
-            if (r.error) errors.push({ message: r.error.message, stack: r.error.stack });
-          });
-        });
-
-        const runs = passed + failed + skipped;
-        const avgDur = runs ? durationTotal / runs : 0;
-        const passRate = runs ? (passed / runs) * 100 : 0;
-
-        // Flakiness calculation
-        let flakiness = 0;
-        if (historyMap[fullName]) {
-          flakiness = historyMap[fullName].flakiness || 0;
-        } else if (runs > 1 && passed > 0 && failed > 0) {
-          flakiness = 50;
-        }
-
-        // Category detection
-        let category = 'standard';
-        const loTitle = spec.title.toLowerCase();
-        const loDesc = describe.title.toLowerCase();
-        if (loTitle.includes('critical') || loDesc.includes('critical')) category = 'critical';
-        else if (loTitle.includes('smoke') || loDesc.includes('smoke')) category = 'smoke';
-        else if (loTitle.includes('regression')) category = 'regression';
-
-        testData.push({
-          id: `${suiteName}-${dIdx}-${tIdx}`,
-          suite: suiteName,
-          describe: describe.title,
-          name: spec.title,
-          fullName,
-          duration: avgDur,
-          totalDuration: durationTotal,
-          passRate,
-          runs,
-          passed,
-          failed,
-          skipped,
-          lastStatus,
-          flakiness,
-          category,
-          line: spec.line || suite.line || 0,
-          column: spec.column || suite.column || 0,
-          errors,
-          priority: calcPriority(avgDur, passRate, flakiness, category)
-        });
-      });
+  const testData = results.tests.map(test => {
+    const fullName = displayName(test, { withProject: results.multiProject });
+    const describe = test.describePath.join(' › ') || '(root)';
+
+    let passed = 0, failed = 0, skipped = 0;
+    const errors = [];
+
+    test.attempts.forEach(attempt => {
+      if (attempt.status === 'skipped') skipped++;
+      else if (attemptFailed(attempt, test.expectedStatus)) failed++;
+      else passed++;
+      attempt.errors.forEach(err => errors.push({ message: err.message, stack: err.stack }));
     });
+
+    const runs = passed + failed + skipped;
+    const avgDur = runs ? test.duration / runs : 0;
+    const passRate = runs ? (passed / runs) * 100 : 0;
+    const lastStatus = test.status === 'flaky' ? 'passed' : test.status;
+
+    // Flakiness calculation
+    let flakiness = 0;
+    if (historyMap[fullName]) {
+      flakiness = historyMap[fullName].flakiness || 0;
+    } else if (test.status === 'flaky') {
+      flakiness = 50;
+    }
+
+    // Category detection
+    let category = 'standard';
+    const loTitle = test.title.toLowerCase();
+    const loDesc = describe.toLowerCase();
+    if (loTitle.includes('critical') || loDesc.includes('critical')) category = 'critical';
+    else if (loTitle.includes('smoke') || loDesc.includes('smoke')) category = 'smoke';
+    else if (loTitle.includes('regression')) category = 'regression';
+
+    return {
+      id: test.id,
+      suite: fileBaseName(test.file),
+      describe,
+      name: results.multiProject && test.project ? `${test.title} [${test.project}]` : test.title,
+      fullName,
+      project: test.project,
+      duration: avgDur,
+      totalDuration: test.duration,
+      passRate,
+      runs,
+      passed,
+      failed,
+      skipped,
+      lastStatus,
+      flakiness,
+      category,
+      line: test.location.line,
+      column: test.location.column,
+      errors,
+      priority: calcPriority(avgDur, passRate, flakiness, category)
+    };
   });
 
   console.log(`📊 Extracted ${testData.length} tests`);
@@ -5,6 +5,8 @@
  *
  * Builds a beautiful static dashboard at artifacts/web-report/index.html
  *   · Playwright card with visual progress bars
+ *   · Failed tests card with the spec lines they failed at
+ *   · Per-test changes vs main (newly failing, newly passing, still failing, …)
  *   · Prettier card with interactive elements
  *   · ESLint card with severity indicators
  *   · Flow-chart image with zoom capability
@@ -48,6 +50,8 @@ fs.mkdirSync(OUT, { recursive: true });
 const readJSON = (f,d={})=>{
   try{return JSON.parse(fs.readFileSync(path.join(ART,f),'utf8'));}catch{return d;}
 };
+const escapeHTML = text => String(text ?? '')
+  .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
 
 /* ─── load artefacts ─────────────────────────────────── */
 const lint   = readJSON('lint-summary.json');
@@ -61,6 +65,16 @@ const hasMainPlay = fs.existsSync(path.join(ART,'playwright-summary-main.json'))
 // Load performance metrics if available
 const perfMetrics = readJSON('performance-metrics.json');
 
+// Failing tests with their source context (analyze-test-failures.js)
+const failureAnalysis = readJSON('test-failure-analysis.json', { failures: [] });
+const failedTests = failureAnalysis.failures || [];
+const MAX_FAILURE_DETAILS = 50;
+
+// Per-test changes against main (compare-test-results.js)
+const testComparison = readJSON('test-comparison.json', null);
+const comparisonById = new Map((testComparison?.tests || []).map(t => [t.testId, t]));
+const MAX_COMPARISON_TESTS = 50;
+
 let checklistMD = '';
 try {
   checklistMD = fs.readFileSync(path.join(ART,'checklist.md'),'utf8');
@@ -97,7 +111,11 @@ try {
 }
 
 /* ─── copy assets ────────────────────────────────────── */
-for(const dir of ['pr-report','main-report']){
+// The visual and baseline reports show deduplicated previews from report-assets/
+// (lib/report-assets.js); the full Playwright reports can be left out of Pages.
+const publishPlaywrightReports = process.env.PUBLISH_PLAYWRIGHT_REPORTS !== 'false';
+const publishedDirs = ['report-assets'].concat(publishPlaywrightReports ? ['pr-report','main-report'] : []);
+for(const dir of publishedDirs){
   const src=path.join(ART,dir);
   if(fs.existsSync(src)) {
     try {
@@ -224,6 +242,89 @@ const playwrightCard = `
   </div>
 `;
 
+/* source lines around the failing call, the failing line highlighted */
+const codeFrame = source => {
+  if (!source?.lines) return source?.frame ? `<pre class="code-frame">${escapeHTML(source.frame)}</pre>` : '';
+  const width = String(source.lines[source.lines.length - 1].number).length;
+  return `<pre class="code-frame">${source.lines.map(l => {
+    const number = `<span class="code-line-number">${String(l.number).padStart(width)}</span>`;
+    return l.highlight
+      ? `<span class="code-line failing">${number} <mark>${escapeHTML(l.text)}</mark></span>`
+      : `<span class="code-line">${number} ${escapeHTML(l.text)}</span>`;
+  }).join('')}</pre>`;
+};
+
+/* what the PR changed per test; unchanged tests are left out */
+const comparisonGroups = [
+  { label: 'newly-failing', title: '🔴 Newly failing', name: 'newly failing', type: 'error' },
+  { label: 'added', title: '🆕 Added', name: 'added', type: 'info' },
+  { label: 'newly-flaky', title: '〰️ Newly flaky', name: 'newly flaky', type: 'warning' },
+  { label: 'still-failing', title: '⛔ Still failing', name: 'still failing', type: 'warning' },
+  { label: 'newly-passing', title: '🟢 Newly passing', name: 'newly passing', type: 'success' },
+  { label: 'removed', title: '🗑️ Removed', name: 'removed', type: 'info' }
+];
+
+const comparisonCard = testComparison ? `
+  <div class="card card-test-comparison">
+    <div class="card-header">
+      <h2><span class="icon">🔀</span> Changes vs Main</h2>
+      ${testComparison.summary.regression
+        ? pill(`${testComparison.summary.introducedFailures} introduced failure(s)`, 'error')
+        : pill('No introduced failures', 'success')}
+    </div>
+    <div class="comparison-pills">
+      ${comparisonGroups.map(g => pill(`${testComparison.tests.filter(t => t.label === g.label).length} ${g.name}`, g.type)).join(' ')}
+    </div>
+    ${comparisonGroups.map(g => {
+      const tests = testComparison.tests.filter(t => t.label === g.label);
+      if (!tests.length) return '';
+      return `
+      <details class="fancy-details" ${['newly-failing', 'added'].includes(g.label) && tests.some(t => t.pr === 'failed') ? 'open' : ''}>
+        <summary>${g.title} (${tests.length})</summary>
+        <ul class="comparison-tests">
+          ${tests.slice(0, MAX_COMPARISON_TESTS).map(t => `
+            <li>
+              <code>${escapeHTML(t.file)}</code> › ${escapeHTML(t.testName)}
+              <span class="comparison-status">${escapeHTML(t.main || '—')} → ${escapeHTML(t.pr || '—')}</span>
+              ${t.error ? `<div class="comparison-error">${escapeHTML(t.error)}</div>` : ''}
+            </li>
+          `).join('')}
+          ${tests.length > MAX_COMPARISON_TESTS ? `<li class="comparison-status">…and ${tests.length - MAX_COMPARISON_TESTS} more in test-comparison.json</li>` : ''}
+        </ul>
+      </details>`;
+    }).join('')}
+  </div>
+` : '';
+
+/* whether a failure is new with the PR (compare-test-results.js) */
+const failureOrigin = f => ({
+  'newly-failing': ' <span class="failure-origin new">new</span>',
+  added: ' <span class="failure-origin new">new test</span>',
+  'still-failing': ' <span class="failure-origin">fails on main too</span>'
+}[comparisonById.get(f.testId)?.label] || '');
+
+const failuresCard = failedTests.length ? `
+  <div class="card card-failures">
+    <div class="card-header">
+      <h2><span class="icon">❌</span> Failed Tests</h2>
+      ${pill(`${failedTests.length} failing`, 'error')}
+    </div>
+    ${failedTests.slice(0, MAX_FAILURE_DETAILS).map((f, i) => `
+      <details class="fancy-details failure-detail" ${i === 0 ? 'open' : ''}>
+        <summary>
+          ${f.status === 'flaky' ? '⚠️' : '❌'} <code>${escapeHTML(f.file)}</code> › ${escapeHTML(f.fullTitle)}${f.project ? ` <span class="failure-project">[${escapeHTML(f.project)}]</span>` : ''}${failureOrigin(f)}
+        </summary>
+        <div class="failure-body">
+          ${f.location ? `<div class="failure-location">📍 <code>${escapeHTML(f.location)}</code></div>` : ''}
+          ${codeFrame(f.source)}
+          <pre class="diff-preview failure-error">${escapeHTML(f.error)}</pre>
+        </div>
+      </details>
+    `).join('')}
+    ${failedTests.length > MAX_FAILURE_DETAILS ? `<p class="failure-more">…and ${failedTests.length - MAX_FAILURE_DETAILS} more in test-failure-analysis.json</p>` : ''}
+  </div>
+` : '';
+
 const prettierCard = `
   <div class="card card-prettier">
     <div class="card-header">
@@ -1157,6 +1258,106 @@ body::before {
   margin: 0;
 }
 
+/* Changes vs Main */
+.comparison-pills {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+  margin-bottom: 1rem;
+}
+
+.comparison-tests {
+  list-style: none;
+  margin: 0;
+  padding: 0.5rem 1rem;
+}
+
+.comparison-tests li {
+  padding: 0.4rem 0;
+  border-bottom: 1px solid var(--glass);
+}
+
+.comparison-status {
+  color: var(--text-secondary);
+  font-size: 0.875rem;
+  margin-left: 0.5rem;
+}
+
+.comparison-error {
+  color: #fca5a5;
+  font-family: 'Consolas', 'Monaco', monospace;
+  font-size: 0.8125rem;
+  margin-top: 0.25rem;
+}
+
+/* Failed Tests */
+.failure-origin {
+  color: var(--text-secondary);
+  font-size: 0.75rem;
+  border: 1px solid var(--text-secondary);
+  border-radius: 9999px;
+  padding: 0.1rem 0.5rem;
+  margin-left: 0.25rem;
+}
+
+.failure-origin.new {
+  color: var(--error);
+  border-color: var(--error);
+}
+
+.failure-body {
+  padding: 1rem;
+}
+
+.failure-project,
+.failure-location,
+.failure-more {
+  color: var(--text-secondary);
+  font-size: 0.875rem;
+}
+
+.failure-location {
+  margin-bottom: 0.75rem;
+}
+
+.code-frame {
+  background: var(--bg-primary);
+  color: var(--text-primary);
+  border-radius: 6px;
+  padding: 0.75rem 0;
+  margin: 0 0 0.75rem;
+  font-family: 'Consolas', 'Monaco', monospace;
+  font-size: 0.8125rem;
+  overflow-x: auto;
+}
+
+.code-line {
+  display: block;
+  padding: 0 1rem;
+  white-space: pre;
+}
+
+.code-line-number {
+  color: var(--text-secondary);
+  user-select: none;
+}
+
+.code-line.failing {
+  background: rgba(239, 68, 68, 0.15);
+  border-left: 3px solid var(--error);
+}
+
+.code-line.failing mark {
+  background: none;
+  color: #fca5a5;
+  font-weight: 600;
+}
+
+.failure-error {
+  border-radius: 6px;
+  color: #fca5a5;
+}
+
 /* First Error */
 .first-error {
   margin-top: 1rem;
@@ -1409,6 +1610,8 @@ body::before {
   </header>
 
   ${playwrightCard}
+  ${comparisonCard}
+  ${failuresCard}
   ${prettierCard}
   ${eslintCard}
   ${performanceCard}
@@ -1490,8 +1693,15 @@ fs.writeFileSync(path.join(OUT,'index.html'),html,'utf8');
 const dashboardEndTime = Date.now();
 const dashboardDuration = dashboardEndTime - dashboardStartTime;
 
-// Save performance metrics for future use
+// Save performance metrics for future use (next to those of earlier steps, e.g. visualRegression)
+let earlierPerformance = {};
+try {
+  earlierPerformance = JSON.parse(fs.readFileSync(path.join(ART, 'dashboard-performance.json'), 'utf8'));
+} catch {
+  // nothing recorded before the dashboard
+}
 const performanceData = {
+  ...earlierPerformance,
   dashboardGenerationMs: dashboardDuration,
   actionExecutionMs: actionDuration,
   artifactSizeMB: totalArtifactSize,
@@ -0,0 +1,233 @@
+/**
+ * lib/aria-snapshot.js
+ * Parser and structural diff for Playwright ARIA snapshots.
+ *
+ * locator.ariaSnapshot() describes the accessibility tree as YAML:
+ *
+ *   - banner:
+ *     - heading "todos" [level=1]
+ *     - textbox "What needs to be done?"
+ *   - link "All":
+ *     - /url: "#/"
+ *   - text: 2 items left
+ *
+ * parseAriaSnapshot() turns that into { role, name, attributes, text, props,
+ * children } nodes; diffAriaTrees() lists what a reviewer should know about:
+ * nodes added or removed, accessible names, attributes (level, checked, …),
+ * text and properties that changed.
+ */
+
+/* ─── parsing ─────────────────────────────────────────── */
+
+const ITEM = /^([a-z][\w-]*)(?:\s+("(?:[^"\\]|\\.)*"|\/(?:[^/\\]|\\.)*\/))?((?:\s*\[[^\]]*\])*)\s*(?::\s*(.*))?$/i;
+
+function unquote(value) {
+  const text = String(value || '').trim();
+  if (text.startsWith('"') && text.endsWith('"') && text.length > 1) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+  if (text.startsWith("'") && text.endsWith("'") && text.length > 1) return text.slice(1, -1).replace(/''/g, "'");
+  return text;
+}
+
+/* "[level=1] [checked]" → { level: '1', checked: 'true' } */
+function parseAttributes(text) {
+  const attributes = {};
+  (text.match(/\[[^\]]*\]/g) || []).forEach(token => {
+    const [key, ...value] = token.slice(1, -1).split('=');
+    if (key.trim()) attributes[key.trim()] = value.length ? value.join('=').trim() : 'true';
+  });
+  return attributes;
+}
+
+/* one "- …" entry without the dash; YAML may have quoted the whole key */
+function parseItem(raw) {
+  let item = raw.trim();
+  const quoted = item.match(/^('(?:[^']|'')*'|"(?:[^"\\]|\\.)*")(\s*:.*)?$/);
+  if (quoted) item = unquote(quoted[1]) + (quoted[2] || '');
+
+  if (item.startsWith('/')) {
+    // property of the parent, e.g. "/url: https://…"
+    const separator = item.indexOf(':');
+    return separator < 0 ? null : { prop: item.slice(1, separator).trim(), value: unquote(item.slice(separator + 1)) };
+  }
+
+  const match = item.match(ITEM);
+  if (!match) return { role: 'text', name: '', attributes: {}, text: unquote(item) };
+  const [, role, name, attributes, rest] = match;
+  return {
+    role,
+    name: name ? (name.startsWith('"') ? unquote(name) : name) : '',
+    attributes: parseAttributes(attributes || ''),
+    text: rest !== undefined && rest !== '' ? unquote(rest) : null
+  };
+}
+
+/**
+ * YAML text → tree. Unknown lines are kept as text nodes, so a snapshot
+ * produced by a newer Playwright still diffs instead of failing.
+ */
+function parseAriaSnapshot(yaml) {
+  const root = { role: 'root', name: '', attributes: {}, text: null, props: {}, children: [] };
+  const stack = [{ indent: -1, node: root }];
+
+  String(yaml || '').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^(\s*)-\s+(.*)$/);
+    if (!match) return;
+    const indent = match[1].length;
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+    const parent = stack[stack.length - 1].node;
+
+    const item = parseItem(match[2]);
+    if (!item) return;
+    if (item.prop) {
+      parent.props[item.prop] = item.value;
+      return;
+    }
+    const node = { ...item, props: {}, children: [] };
+    parent.children.push(node);
+    stack.push({ indent, node });
+  });
+
+  return root;
+}
+
+/* ─── diff ────────────────────────────────────────────── */
+
+/* 'heading "Todos" [level=1]', 'listitem: Buy milk' */
+function describeNode(node) {
+  const name = node.name ? ` "${node.name}"` : '';
+  const attributes = Object.entries(node.attributes || {})
+    .map(([key, value]) => (value === 'true' ? ` [${key}]` : ` [${key}=${value}]`))
+    .join('');
+  if (node.role === 'text') return `text "${node.text || ''}"`;
+  return `${node.role}${name}${attributes}${node.text ? `: ${node.text}` : ''}`;
+}
+
+const nodeKey = node => `${node.role}|${node.name}|${node.text ?? ''}`;
+
+/* very long lists (tables, feeds) are aligned greedily instead of by LCS */
+const MAX_ALIGN_CELLS = 1000000;
+
+function alignGreedy(before, after) {
+  const pairs = [];
+  let j = 0;
+  before.forEach((node, i) => {
+    const key = nodeKey(node);
+    const index = after.findIndex((candidate, k) => k >= j && nodeKey(candidate) === key);
+    if (index < 0) return;
+    pairs.push([i, index]);
+    j = index + 1;
+  });
+  return pairs;
+}
+
+/* longest common subsequence of two child lists, as index pairs */
+function alignChildren(before, after) {
+  const n = before.length;
+  const m = after.length;
+  if (n * m > MAX_ALIGN_CELLS) return alignGreedy(before, after);
+  const table = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = nodeKey(before[i]) === nodeKey(after[j])
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  for (let i = 0, j = 0; i < n && j < m;) {
+    if (nodeKey(before[i]) === nodeKey(after[j])) pairs.push([i++, j++]);
+    else if (table[i + 1][j] >= table[i][j + 1]) i++;
+    else j++;
+  }
+  return pairs;
+}
+
+function compareNodes(before, after, path, changes) {
+  const here = describeNode(after);
+  if (before.name !== after.name) {
+    changes.push({ type: 'name', path, node: describeNode(before), role: after.role, before: before.name, after: after.name });
+  }
+  new Set([...Object.keys(before.attributes), ...Object.keys(after.attributes)]).forEach(attribute => {
+    if (before.attributes[attribute] === after.attributes[attribute]) return;
+    changes.push({ type: 'attribute', path, node: here, role: after.role, attribute, before: before.attributes[attribute] ?? null, after: after.attributes[attribute] ?? null });
+  });
+  if ((before.text ?? null) !== (after.text ?? null)) {
+    changes.push({ type: 'text', path, node: after.role === 'text' ? 'text' : describeNode({ ...after, text: null }), role: after.role, before: before.text ?? null, after: after.text ?? null });
+  }
+  new Set([...Object.keys(before.props), ...Object.keys(after.props)]).forEach(prop => {
+    if (before.props[prop] === after.props[prop]) return;
+    changes.push({ type: 'property', path, node: here, role: after.role, attribute: prop, before: before.props[prop] ?? null, after: after.props[prop] ?? null });
+  });
+  diffChildren(before.children, after.children, after.role === 'root' ? path : [...path, here], changes);
+}
+
+/*
+ * Children are aligned on role, name and text. Between two aligned pairs,
+ * nodes with the same role are paired up in order (their name, attributes or
+ * text changed); whatever is left was added or removed.
+ */
+function diffChildren(before, after, path, changes) {
+  const pairs = alignChildren(before, after);
+  let i = 0;
+  let j = 0;
+  [...pairs, [before.length, after.length]].forEach(([nextI, nextJ]) => {
+    const removed = before.slice(i, nextI);
+    const added = after.slice(j, nextJ);
+    removed.slice().forEach(old => {
+      const index = added.findIndex(candidate => candidate.role === old.role);
+      if (index < 0) return;
+      const [replacement] = added.splice(index, 1);
+      removed.splice(removed.indexOf(old), 1);
+      compareNodes(old, replacement, path, changes);
+    });
+    removed.forEach(node => changes.push({ type: 'removed', path, node: describeNode(node), role: node.role, before: describeNode(node), after: null }));
+    added.forEach(node => changes.push({ type: 'added', path, node: describeNode(node), role: node.role, before: null, after: describeNode(node) }));
+    if (nextI < before.length) compareNodes(before[nextI], after[nextJ], path, changes);
+    i = nextI + 1;
+    j = nextJ + 1;
+  });
+}
+
+/**
+ * Structural differences between two snapshots (YAML or parsed trees):
+ *   [{ type: added|removed|name|attribute|text|property, path: [ancestors], node, role, attribute?, before, after }]
+ */
+function diffAriaTrees(before, after) {
+  const changes = [];
+  const a = typeof before === 'string' ? parseAriaSnapshot(before) : before;
+  const b = typeof after === 'string' ? parseAriaSnapshot(after) : after;
+  compareNodes(a, b, [], changes);
+  return changes;
+}
+
+/* 'button "Save" lost its accessible name', 'heading "Todos": level 1 → 2', … */
+function describeChange(change) {
+  const show = value => (value === null || value === undefined ? '–' : `"${value}"`);
+  switch (change.type) {
+    case 'added': return `${change.node} added`;
+    case 'removed': return `${change.node} removed`;
+    case 'name':
+      if (!change.after) return `${change.node} lost its accessible name`;
+      if (!change.before) return `${change.role} gained the accessible name "${change.after}"`;
+      return `${change.role} renamed from "${change.before}" to "${change.after}"`;
+    case 'attribute':
+      if (change.after === null) return `${change.node}: ${change.attribute} removed (was ${change.before})`;
+      if (change.before === null) return `${change.node}: ${change.attribute}=${change.after} added`;
+      return `${change.node}: ${change.attribute} ${change.before} → ${change.after}`;
+    case 'text': return `${change.node === 'text' ? 'text' : `${change.node}: text`} ${show(change.before)} → ${show(change.after)}`;
+    case 'property': return `${change.node}: /${change.attribute} ${show(change.before)} → ${show(change.after)}`;
+    default: return change.node;
+  }
+}
+
+/* changes that take information away from assistive technology */
+const isLoss = change =>
+  change.type === 'removed' || (change.type === 'name' && !change.after) || (change.type === 'attribute' && change.after === null);
+
+module.exports = { parseAriaSnapshot, describeNode, diffAriaTrees, describeChange, isLoss };
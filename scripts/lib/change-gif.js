@@ -0,0 +1,89 @@
+/**
+ * lib/change-gif.js
+ * Animated main → PR → diff GIF of one changed screenshot (lib/gif), small
+ * enough to embed in the PR comment.
+ *
+ * The frames are padded to the same size and cut to the changed area: a
+ * window of GIF_ASPECT around the changed regions, so a full-page screenshot
+ * does not shrink to a sliver. A strip along the top tells the frames apart:
+ * grey for main, blue for the PR, red for the diff.
+ */
+
+const fs = require('fs');
+const { decodePNG, isPNG } = require('./png');
+const { downscale, crop } = require('./image-resize');
+const { encodeGIF } = require('./gif');
+
+const GIF_WIDTH = 480;
+/* height / width of the window around the change */
+const GIF_ASPECT = 0.75;
+const STRIP_HEIGHT = 4;
+
+const FRAMES = [
+  { name: 'main', color: [107, 114, 128], delay: 1000 },
+  { name: 'pr', color: [59, 130, 246], delay: 1000 },
+  { name: 'diff', color: [239, 68, 68], delay: 1200 }
+];
+const STRIP_IDLE = [229, 231, 235];
+
+function readPNG(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  const buffer = fs.readFileSync(file);
+  return isPNG(buffer) ? decodePNG(buffer) : null;
+}
+
+/* top of the window: around all regions if they fit, otherwise around the largest */
+function windowTop(regions, height, windowHeight) {
+  if (!regions?.length || windowHeight >= height) return 0;
+  const top = Math.min(...regions.map(r => r.y));
+  const bottom = Math.max(...regions.map(r => r.y + r.height));
+  let center = (top + bottom) / 2;
+  if (bottom - top > windowHeight) {
+    const largest = regions.reduce((a, b) => (b.width * b.height > a.width * a.height ? b : a));
+    center = largest.y + largest.height / 2;
+  }
+  return Math.round(Math.min(height - windowHeight, Math.max(0, center - windowHeight / 2)));
+}
+
+function drawStrip(img, active) {
+  const segment = img.width / FRAMES.length;
+  for (let y = 0; y < Math.min(STRIP_HEIGHT, img.height); y++) {
+    for (let x = 0; x < img.width; x++) {
+      const index = Math.min(FRAMES.length - 1, Math.floor(x / segment));
+      const [r, g, b] = index === active ? FRAMES[index].color : STRIP_IDLE;
+      const pos = (y * img.width + x) * 4;
+      img.data[pos] = r;
+      img.data[pos + 1] = g;
+      img.data[pos + 2] = b;
+      img.data[pos + 3] = 255;
+    }
+  }
+}
+
+/**
+ * GIF (Buffer) of main → PR → diff, or null if main or PR can't be decoded.
+ * regions are the changed regions of the comparison, in diff coordinates.
+ */
+function changeGIF({ mainImage, prImage, diffImage, regions }, { width = GIF_WIDTH } = {}) {
+  const images = [readPNG(mainImage), readPNG(prImage), readPNG(diffImage)];
+  if (!images[0] || !images[1]) return null;
+
+  const canvasWidth = Math.max(...images.filter(Boolean).map(img => img.width));
+  const canvasHeight = Math.max(...images.filter(Boolean).map(img => img.height));
+  const windowHeight = Math.min(canvasHeight, Math.round(canvasWidth * GIF_ASPECT));
+  const top = windowTop(regions, canvasHeight, windowHeight);
+
+  const frames = [];
+  const delays = [];
+  images.forEach((img, i) => {
+    if (!img) return;
+    // crop() also pads a smaller screenshot to the common size
+    const frame = downscale(crop(img, 0, top, canvasWidth, windowHeight), width);
+    drawStrip(frame, i);
+    frames.push(frame);
+    delays.push(FRAMES[i].delay);
+  });
+  return encodeGIF(frames, delays);
+}
+
+module.exports = { GIF_WIDTH, changeGIF };
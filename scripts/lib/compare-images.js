@@ -0,0 +1,87 @@
+/**
+ * lib/compare-images.js
+ * One screenshot comparison: binary check, pixel diff, diff image and (on
+ * request) the layout-shift / colour evidence of lib/layout-diff.
+ *
+ * Runs on the main thread or inside a worker of lib/compare-pool.js, so it
+ * takes and returns plain data only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isPNG } = require('./png');
+const { diffPNGs } = require('./image-diff');
+const { detectShift, edgeChangeRatio } = require('./layout-diff');
+
+/**
+ * Compare img2Path (PR) with img1Path (main) and write the diff image to
+ * diffPath when they differ. Returns null if either image is missing or
+ * cannot be read. Differing images that are not both PNGs come back with
+ * undecodable: true and no diffPercent.
+ *
+ *   masks           areas excluded from the comparison
+ *   colorThreshold  per-pixel colour tolerance, overrides diffOptions.threshold
+ *   explain         also detect shifted content and edge changes
+ *   diffOptions     options for diffPNGs (threshold, includeAA, …)
+ *   maxRegions      changed regions kept in the result (regionCount is exact)
+ */
+function compareImages(img1Path, img2Path, diffPath, { masks = [], colorThreshold, explain = false, diffOptions = {}, maxRegions = 20 } = {}) {
+  try {
+    if (!fs.existsSync(img1Path) || !fs.existsSync(img2Path)) {
+      return null;
+    }
+
+    // Quick binary comparison
+    const buf1 = fs.readFileSync(img1Path);
+    const buf2 = fs.readFileSync(img2Path);
+
+    if (buf1.length === buf2.length && buf1.equals(buf2)) {
+      return { hasDiff: false, diffPercent: 0, identical: true, method: 'binary' };
+    }
+
+    // JPEG attachments cannot be decoded here; all we know is that the bytes differ
+    if (!isPNG(buf1) || !isPNG(buf2)) {
+      console.warn(`⚠️  ${path.basename(img2Path)} is not a PNG, cannot compare its pixels`);
+      return { hasDiff: true, diffPercent: null, undecodable: true, method: 'binary' };
+    }
+
+    const options = { ...diffOptions, ignore: masks };
+    if (colorThreshold !== undefined) options.threshold = colorThreshold;
+    const result = diffPNGs(buf1, buf2, options);
+    const hasDiff = result.diffPixels > 0;
+
+    if (hasDiff) {
+      fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+      fs.writeFileSync(diffPath, result.diffPNG);
+    }
+
+    // did the content move, change, or only change colour?
+    const change = explain && hasDiff
+      ? { shift: detectShift(result.expected, result.actual), edgeChangeRatio: edgeChangeRatio(result.expected, result.actual, result.mask, result.width) }
+      : {};
+
+    return {
+      hasDiff,
+      diffPercent: Math.round(result.diffPercent * 100) / 100,
+      diffImage: hasDiff ? diffPath : null,
+      pixelDiff: result.diffPixels,
+      antialiasedPixels: result.aaPixels,
+      ignoredPixels: result.ignoredPixels,
+      totalPixels: result.totalPixels,
+      dimensions: { width: result.width, height: result.height },
+      mainDimensions: result.expectedSize,
+      prDimensions: result.actualSize,
+      sizeMismatch: result.sizeMismatch,
+      threshold: options.threshold,
+      regionCount: result.regions.length,
+      regions: result.regions.slice(0, maxRegions),
+      ...change,
+      method: 'pixel'
+    };
+  } catch (err) {
+    console.error('Error comparing images:', err.message);
+    return null;
+  }
+}
+
+module.exports = { compareImages };
@@ -0,0 +1,178 @@
+/**
+ * lib/compare-pool.js
+ * Screenshot comparisons spread over worker threads.
+ *
+ * Decoding and diffing full-page screenshots is CPU bound, so comparisons
+ * run in a pool of workers (lib/compare-worker.js). Each comparison holds
+ * both decoded images, the diff image and the layout evidence in memory at
+ * once, roughly BYTES_PER_PIXEL bytes per pixel of the larger screenshot, so
+ * a comparison only starts while the estimated memory of all running ones
+ * stays within the budget. A single comparison larger than the budget still
+ * runs, alone.
+ *
+ *   VISUAL_WORKERS            worker threads (default: CPU cores - 1, at most 8;
+ *                             1 compares on the main thread)
+ *   VISUAL_COMPARE_MEMORY_MB  memory budget of the running comparisons (default 1024)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { compareImages } = require('./compare-images');
+
+const WORKER_FILE = path.join(__dirname, 'compare-worker.js');
+const MAX_DEFAULT_WORKERS = 8;
+const DEFAULT_MEMORY_MB = 1024;
+
+/* RGBA of both images and the diff, mask, luminance planes and the encoded diff */
+const BYTES_PER_PIXEL = 40;
+
+const MB = 1024 * 1024;
+
+function defaultWorkers() {
+  const configured = parseInt(process.env.VISUAL_WORKERS, 10);
+  if (configured > 0) return configured;
+  return Math.max(1, Math.min(MAX_DEFAULT_WORKERS, os.cpus().length - 1));
+}
+
+function defaultMemoryMB() {
+  const configured = parseInt(process.env.VISUAL_COMPARE_MEMORY_MB, 10);
+  return configured > 0 ? configured : DEFAULT_MEMORY_MB;
+}
+
+/* width × height from the IHDR chunk, without decoding; 0 for anything else */
+function pngPixels(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+    const header = Buffer.alloc(24);
+    if (fs.readSync(fd, header, 0, 24, 0) < 24 || header.toString('ascii', 12, 16) !== 'IHDR') return 0;
+    return header.readUInt32BE(16) * header.readUInt32BE(20);
+  } catch {
+    return 0;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+const estimateBytes = (img1Path, img2Path) => Math.max(pngPixels(img1Path), pngPixels(img2Path)) * BYTES_PER_PIXEL;
+
+/**
+ * compare(img1Path, img2Path, diffPath, options) takes the arguments of
+ * lib/compare-images.js and resolves to { result, ms }. close() stops the
+ * workers; stats() reports how the pool was used.
+ */
+function createComparePool({ workers = defaultWorkers(), memoryMB = defaultMemoryMB() } = {}) {
+  const budget = memoryMB * MB;
+  const queue = [];
+  const idle = [];
+  const started = [];
+  let running = 0;
+  let inFlightBytes = 0;
+  let dispatching = false;
+  // after a worker fails (or with a single worker) comparisons run on the main thread
+  let inline = workers <= 1;
+  const stats = { workers: inline ? 1 : workers, memoryBudgetMB: memoryMB, tasks: 0, busyMs: 0, peakConcurrent: 0, peakMemoryMB: 0, workerErrors: 0 };
+
+  function runInline(task) {
+    const start = Date.now();
+    const result = compareImages(...task.args);
+    done(task, { result, ms: Date.now() - start });
+  }
+
+  function done(task, outcome) {
+    running--;
+    inFlightBytes -= task.bytes;
+    stats.tasks++;
+    stats.busyMs += outcome.ms;
+    task.resolve(outcome);
+    dispatch();
+  }
+
+  function spawn() {
+    const worker = new Worker(WORKER_FILE);
+    worker.on('message', outcome => {
+      const task = worker.task;
+      worker.task = null;
+      // idle workers don't keep the process alive
+      worker.unref();
+      idle.push(worker);
+      done(task, outcome);
+    });
+    worker.on('error', err => {
+      stats.workerErrors++;
+      console.warn(`⚠️  Comparison worker failed (${err.message}), comparing on the main thread`);
+      inline = true;
+      const task = worker.task;
+      worker.task = null;
+      if (task) runInline(task);
+    });
+    started.push(worker);
+    return worker;
+  }
+
+  function dispatch() {
+    // inline comparisons finish inside the loop below; don't recurse for each of them
+    if (dispatching) return;
+    dispatching = true;
+    while (queue.length > 0) {
+      const next = queue[0];
+      const fits = running === 0 || (!inline && running < workers && inFlightBytes + next.bytes <= budget);
+      if (!fits) break;
+      queue.shift();
+      running++;
+      inFlightBytes += next.bytes;
+      stats.peakConcurrent = Math.max(stats.peakConcurrent, running);
+      stats.peakMemoryMB = Math.max(stats.peakMemoryMB, Math.round(inFlightBytes / MB));
+
+      if (inline) {
+        runInline(next);
+        continue;
+      }
+      const worker = idle.pop() || spawn();
+      worker.task = next;
+      worker.ref();
+      worker.postMessage(next.args);
+    }
+    dispatching = false;
+  }
+
+  function compare(img1Path, img2Path, diffPath, options = {}) {
+    return new Promise(resolve => {
+      queue.push({ args: [img1Path, img2Path, diffPath, options], bytes: estimateBytes(img1Path, img2Path), resolve });
+      dispatch();
+    });
+  }
+
+  async function close() {
+    await Promise.all(started.map(worker => worker.terminate()));
+  }
+
+  return { compare, close, stats: () => ({ ...stats, threads: !inline }) };
+}
+
+/*
+ * Progress lines for long comparison runs: at every 10% and at least every
+ * 15 seconds, with throughput and the estimated time left.
+ */
+function trackProgress(label, total, { log = console.log } = {}) {
+  const start = Date.now();
+  let completed = 0;
+  let lastStep = 0;
+  let lastLog = start;
+  return function tick() {
+    completed++;
+    const now = Date.now();
+    const step = Math.floor((completed / total) * 10);
+    if (completed < total && step === lastStep && now - lastLog < 15000) return;
+    lastStep = step;
+    lastLog = now;
+    const seconds = (now - start) / 1000;
+    const rate = seconds > 0 ? completed / seconds : completed;
+    const left = completed < total && rate > 0 ? `, about ${Math.ceil((total - completed) / rate)}s left` : '';
+    log(`   ⏳ ${label}: ${completed}/${total} (${Math.round((completed / total) * 100)}%) – ${rate.toFixed(1)}/s${left}`);
+  };
+}
+
+module.exports = { BYTES_PER_PIXEL, createComparePool, trackProgress, estimateBytes, defaultWorkers };
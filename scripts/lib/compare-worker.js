@@ -0,0 +1,14 @@
+/**
+ * lib/compare-worker.js
+ * Worker thread of lib/compare-pool.js: runs one compareImages call per
+ * message and posts back { result, ms }.
+ */
+
+const { parentPort } = require('worker_threads');
+const { compareImages } = require('./compare-images');
+
+parentPort.on('message', args => {
+  const start = Date.now();
+  const result = compareImages(...args);
+  parentPort.postMessage({ result, ms: Date.now() - start });
+});
@@ -0,0 +1,46 @@
+/**
+ * lib/comparison-base.js
+ * The commit the PR is compared against, as resolved by base-worktree.js
+ * (artifacts/comparison-base.json).
+ *
+ * Strategies (input "comparison-base"):
+ *   merge-base   commit the PR branched from (default); on GitHub's test
+ *                merge commit the base branch tip it was merged onto
+ *                (testMerge: true), the same commit as "branch"
+ *   branch       current tip of the base branch
+ *   tag          a tag, written "tag:<name>" or just the tag name
+ *   sha          an explicit commit
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BASE_FILE = path.join('artifacts', 'comparison-base.json');
+const STRATEGIES = ['merge-base', 'branch', 'tag', 'sha'];
+
+function loadComparisonBase(file = BASE_FILE) {
+  try {
+    const base = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return base && base.sha ? base : null;
+  } catch {
+    return null;
+  }
+}
+
+/* "merge-base with main", "main tip at merge time", "main HEAD", "tag v1.4.0", "commit 1a2b3c4" */
+function describeBase(base) {
+  if (!base) return '';
+  switch (base.strategy) {
+    case 'merge-base': return base.testMerge ? `${base.branch} tip at merge time` : `merge-base with ${base.branch}`;
+    case 'branch': return `${base.branch} HEAD`;
+    case 'tag': return `tag ${base.ref}`;
+    default: return `commit ${base.sha.slice(0, 7)}`;
+  }
+}
+
+/* what other artifacts record about the base (no local paths) */
+const baseRecord = base => (base
+  ? { strategy: base.strategy, ref: base.ref || null, branch: base.branch, sha: base.sha, testMerge: Boolean(base.testMerge), description: describeBase(base) }
+  : null);
+
+module.exports = { BASE_FILE, STRATEGIES, loadComparisonBase, describeBase, baseRecord };
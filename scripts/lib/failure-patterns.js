@@ -0,0 +1,258 @@
+/**
+ * lib/failure-patterns.js
+ * Rules that name the cause of a test failure: the built-in patterns plus
+ * the project's own from failure-patterns.config.json.
+ *
+ * {
+ *   "disableBuiltIn": ["interaction", "network"],     // or true for all of them
+ *   "patterns": [
+ *     {
+ *       "id": "auth-503",
+ *       "match": "auth\\.example\\.com.*\\b503\\b",
+ *       "flags": "i",
+ *       "in": ["message", "network"],
+ *       "category": "Auth Service Outage",
+ *       "severity": "high",
+ *       "solution": "The staging auth service is down, re-run once it is back",
+ *       "docs": "https://wiki.example.com/runbooks/auth",
+ *       "example": "await page.route('**\/auth/**', route => route.fulfill({ status: 200 }))",
+ *       "file": "tests/account/**"
+ *     }
+ *   ]
+ * }
+ *
+ * "in" picks what the regex is matched against (default message and stack):
+ *   message – the error message including Playwright's call log
+ *   stack   – the stack trace
+ *   network – failed requests from the trace, as "503 GET https://…"
+ *   console – console and page errors from the trace
+ * "test", "file" and "project" scope a rule with globs, as in
+ * visual-regression.config.json. Project rules are checked before the
+ * built-in ones, in file order; a project rule with a built-in's id
+ * replaces it. Every matching rule is recorded, the first one names the
+ * failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { globMatch } = require('./visual-config');
+
+const DEFAULT_CONFIG_FILE = 'failure-patterns.config.json';
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const SOURCES = ['message', 'stack', 'network', 'console'];
+const DEFAULT_SOURCES = ['message', 'stack'];
+const SCOPE_KEYS = ['test', 'file', 'project'];
+
+/* ─── built-in rules ──────────────────────────────────── */
+
+const BUILT_IN = [
+  {
+    id: 'timeout',
+    pattern: /timeout.*waiting for/i,
+    category: 'Timing Issues',
+    solution: 'Increase timeout values or wait for specific conditions instead of fixed delays',
+    severity: 'medium'
+  },
+  {
+    id: 'element-not-found',
+    pattern: /element.*not found|cannot find element/i,
+    category: 'Selector Issues',
+    solution: 'Check if selectors have changed or use more robust locators (data-testid)',
+    severity: 'high'
+  },
+  {
+    id: 'network',
+    pattern: /network|fetch|xhr|api/i,
+    category: 'Network Issues',
+    solution: 'Mock API responses or add proper network wait conditions',
+    severity: 'medium'
+  },
+  {
+    id: 'navigation',
+    pattern: /navigation|page.*load|navigate/i,
+    category: 'Navigation Issues',
+    solution: 'Add proper page load wait conditions or check navigation flow',
+    severity: 'medium'
+  },
+  {
+    id: 'interaction',
+    pattern: /click|tap|press/i,
+    category: 'Interaction Issues',
+    solution: 'Ensure element is visible and enabled before interaction',
+    severity: 'low'
+  },
+  {
+    id: 'assertion',
+    pattern: /assertion.*failed|expect.*to/i,
+    category: 'Assertion Failures',
+    solution: 'Review expected values and ensure test data is consistent',
+    severity: 'low'
+  },
+  {
+    id: 'permission',
+    pattern: /permission|access.*denied|forbidden/i,
+    category: 'Permission Issues',
+    solution: 'Check authentication/authorization setup in tests',
+    severity: 'high'
+  },
+  {
+    id: 'memory',
+    pattern: /memory|heap|oom/i,
+    category: 'Performance Issues',
+    solution: 'Optimize test cleanup or split large test suites',
+    severity: 'critical'
+  }
+].map(rule => ({ ...rule, type: rule.id, source: 'built-in', in: DEFAULT_SOURCES, docs: null, example: null }));
+
+const BUILT_IN_IDS = BUILT_IN.map(rule => rule.id);
+
+/* ─── validation ──────────────────────────────────────── */
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+
+function normalizePattern(entry, index, problems) {
+  const where = `patterns[${index}]`;
+  if (!entry || typeof entry !== 'object') {
+    problems.push(`${where}: must be an object`);
+    return null;
+  }
+  const name = isText(entry.id) ? `${where} "${entry.id}"` : where;
+  const errors = [];
+
+  if (!isText(entry.id)) errors.push('"id" is required');
+  if (!isText(entry.category)) errors.push('"category" is required');
+  if (!isText(entry.solution)) errors.push('"solution" is required');
+  if (entry.severity !== undefined && !SEVERITIES.includes(entry.severity)) {
+    errors.push(`"severity" must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (entry.docs !== undefined && !(isText(entry.docs) && /^https?:\/\//.test(entry.docs))) {
+    errors.push('"docs" must be an http(s) URL');
+  }
+  if (entry.example !== undefined && !isText(entry.example)) errors.push('"example" must be a non-empty string');
+
+  const sources = entry.in === undefined ? DEFAULT_SOURCES : [].concat(entry.in);
+  const unknown = sources.filter(source => !SOURCES.includes(source));
+  if (!sources.length || unknown.length) errors.push(`"in" takes ${SOURCES.join(', ')}`);
+
+  SCOPE_KEYS.forEach(key => {
+    if (entry[key] === undefined) return;
+    const globs = [].concat(entry[key]);
+    if (!globs.length || globs.some(glob => !isText(glob))) errors.push(`"${key}" must be a glob string or a list of glob strings`);
+  });
+
+  let pattern = null;
+  if (!isText(entry.match)) {
+    errors.push('"match" (a regular expression) is required');
+  } else {
+    try {
+      // g and y would make test() remember where it stopped
+      pattern = new RegExp(entry.match, entry.flags === undefined ? 'i' : String(entry.flags).replace(/[gy]/g, ''));
+    } catch (err) {
+      errors.push(`"match" is not a valid regular expression: ${err.message}`);
+    }
+  }
+
+  if (errors.length) {
+    errors.forEach(error => problems.push(`${name}: ${error}`));
+    return null;
+  }
+  return {
+    id: entry.id,
+    type: entry.id,
+    source: 'config',
+    pattern,
+    in: sources,
+    category: entry.category,
+    severity: entry.severity || 'medium',
+    solution: entry.solution,
+    docs: entry.docs || null,
+    example: entry.example || null,
+    ...Object.fromEntries(SCOPE_KEYS.filter(key => entry[key] !== undefined).map(key => [key, entry[key]]))
+  };
+}
+
+/* ─── loading ─────────────────────────────────────────── */
+
+/**
+ * The rules in match order: { source, rules, disabled, problems }.
+ * Invalid project rules are skipped and reported in `problems`; a missing
+ * file leaves the built-in rules.
+ */
+function loadFailurePatterns(file = process.env.FAILURE_PATTERNS_CONFIG || DEFAULT_CONFIG_FILE) {
+  if (!file || !fs.existsSync(file)) return { source: null, rules: BUILT_IN, disabled: [], problems: [] };
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return { source: file, rules: BUILT_IN, disabled: [], problems: [`${path.basename(file)}: ${err.message}`] };
+  }
+
+  const problems = [];
+  if (raw.patterns !== undefined && !Array.isArray(raw.patterns)) problems.push('"patterns" must be an array');
+  const own = (Array.isArray(raw.patterns) ? raw.patterns : [])
+    .map((entry, i) => normalizePattern(entry, i, problems))
+    .filter(Boolean)
+    .filter((rule, i, all) => {
+      if (all.findIndex(other => other.id === rule.id) === i) return true;
+      problems.push(`patterns: duplicate id "${rule.id}", only the first one is used`);
+      return false;
+    });
+
+  let disabled = [];
+  if (raw.disableBuiltIn === true) {
+    disabled = BUILT_IN_IDS;
+  } else if (Array.isArray(raw.disableBuiltIn)) {
+    raw.disableBuiltIn.forEach(id => {
+      if (BUILT_IN_IDS.includes(id)) disabled.push(id);
+      else problems.push(`disableBuiltIn: unknown built-in pattern "${id}" (built-in: ${BUILT_IN_IDS.join(', ')})`);
+    });
+  } else if (raw.disableBuiltIn !== undefined && raw.disableBuiltIn !== false) {
+    problems.push('"disableBuiltIn" must be true or a list of built-in pattern ids');
+  }
+
+  const replaced = own.map(rule => rule.id);
+  const builtIn = BUILT_IN.filter(rule => !disabled.includes(rule.id) && !replaced.includes(rule.id));
+  return { source: file, rules: [...own, ...builtIn], disabled, problems };
+}
+
+/* ─── matching ────────────────────────────────────────── */
+
+const inScope = (rule, failure) => SCOPE_KEYS.every(key => {
+  if (rule[key] === undefined) return true;
+  const values = {
+    test: [failure.fullTitle, failure.test],
+    file: [failure.filePath, failure.file],
+    project: [failure.project]
+  }[key];
+  return [].concat(rule[key]).some(glob => values.some(value => value && globMatch(glob, value)));
+});
+
+/* the text each "in" source stands for */
+const sourceText = (failure, source) => {
+  switch (source) {
+    case 'message': return failure.error || '';
+    case 'stack': return failure.stack || '';
+    case 'network': return (failure.trace?.failedRequests || [])
+      .map(r => `${r.failure || r.status} ${r.method} ${r.url}`).join('\n');
+    case 'console': return (failure.trace?.consoleErrors || []).map(e => e.text).join('\n');
+    default: return '';
+  }
+};
+
+/**
+ * Every rule matching a failure ({ error, stack, trace, test, fullTitle,
+ * file, filePath, project }), in rule order.
+ */
+function matchRules(rules, failure) {
+  return rules.filter(rule =>
+    inScope(rule, failure) && rule.in.some(source => rule.pattern.test(sourceText(failure, source))));
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  BUILT_IN,
+  BUILT_IN_IDS,
+  loadFailurePatterns,
+  matchRules
+};
@@ -0,0 +1,125 @@
+/**
+ * lib/failure-signature.js
+ * Error signatures: the parts of a test failure that stay the same when the
+ * same problem breaks several tests.
+ *
+ * The message is stripped of ANSI colours, the call log and code frame, and
+ * everything that changes from run to run – numbers, ids, timings, quoted
+ * received values, line:column positions – while selectors and the failing
+ * call are kept. When the failure surfaces in shared code (a page object or
+ * helper) rather than in the test file itself, that frame is part of the
+ * signature too, without its line number. Failures with the same signature
+ * form one cluster in analyze-test-failures.js.
+ */
+
+const crypto = require('crypto');
+
+const ANSI = /\u001b\[[0-9;]*[A-Za-z]/g;
+const TITLE_LENGTH = 120;
+
+/* frames of Playwright, Node and dependencies say nothing about the cause */
+const LIBRARY_FRAME = /node_modules|node:internal|internal\/|playwright-core|@playwright/;
+
+const stripAnsi = text => String(text || '').replace(ANSI, '');
+
+/* ─── message ─────────────────────────────────────────── */
+
+/*
+ * Placeholders applied in order: ids before numbers, so a uuid doesn't
+ * become a row of <n>s.
+ */
+const REPLACEMENTS = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<id>'],
+  [/\b\d+(\.\d+)?\s*(ms|milliseconds?|s|sec|seconds?)\b/gi, '<duration>'],
+  [/(\.(?:[cm]?[jt]sx?)):\d+(:\d+)?/g, '$1:<line>'],
+  [/\b\d+(\.\d+)?\b/g, '<n>']
+];
+
+/* the received value of an assertion changes per run; the expected one is part of the test */
+const VALUE_LINE = /^(\s*Received(?: string| value)?:\s*)(["'`]).*\2\s*$/;
+
+/**
+ * The stable part of an error message: first block of the message up to the
+ * call log or code frame, with dynamic values replaced by placeholders.
+ */
+function normalizeMessage(message) {
+  const lines = [];
+  for (const raw of stripAnsi(message).split('\n')) {
+    const line = raw.trimEnd();
+    // the call log lists every retry with its timing; the code frame shows source lines
+    if (/^\s*Call log:/.test(line) || /^\s*(>\s*)?\d+\s*\|/.test(line)) break;
+    if (!line.trim()) continue;
+    lines.push(line.replace(VALUE_LINE, '$1$2<value>$2'));
+  }
+  let text = lines.join('\n');
+  REPLACEMENTS.forEach(([pattern, replacement]) => {
+    text = text.replace(pattern, replacement);
+  });
+  return text.replace(/[ \t]+/g, ' ').trim();
+}
+
+/* ─── stack ───────────────────────────────────────────── */
+
+/* "at fn (file:line:col)" / "at file:line:col" → { fn, file, line, column }, null for anything else */
+function parseFrame(line) {
+  const match = stripAnsi(line).match(/^\s*at\s+(?:(.*?)\s+\()?(.+?):(\d+):(\d+)\)?\s*$/);
+  if (!match) return null;
+  return {
+    fn: match[1] || '',
+    file: match[2].replace(/^file:\/\//, ''),
+    line: Number(match[3]),
+    column: Number(match[4])
+  };
+}
+
+/* the frames of a stack trace, library frames marked */
+const parseStack = stack => stripAnsi(stack)
+  .split('\n')
+  .map(parseFrame)
+  .filter(Boolean)
+  .map(frame => ({ ...frame, library: LIBRARY_FRAME.test(frame.file) }));
+
+/* same file, one path possibly relative to a folder of the other (report paths are relative to the test dir) */
+const sameFile = (a, b) => {
+  if (!a || !b) return false;
+  const [x, y] = [a, b].map(file => `/${file.replace(/\\/g, '/').replace(/^\.?\//, '')}`);
+  return x.endsWith(y) || y.endsWith(x);
+};
+
+/**
+ * First frame of the project's own code, as "fn (dir/file)" without line and
+ * column; null when the failure surfaces in the test file itself or the
+ * stack has no such frame.
+ */
+function sharedFrame(stack, testFile) {
+  for (const frame of parseStack(stack)) {
+    if (frame.library) continue;
+    if (sameFile(frame.file, testFile)) return null;
+    const parts = frame.file.replace(/\\/g, '/').split('/');
+    const file = parts.slice(-2).join('/');
+    return frame.fn ? `${frame.fn} (${file})` : file;
+  }
+  return null;
+}
+
+/* ─── signature ───────────────────────────────────────── */
+
+/**
+ * Signature of a failed attempt's error ({ message, stack }):
+ *   { hash, signature, title, frame }
+ * hash is short and stable, suitable as a cluster id; title is the first
+ * line of the normalized message, for headings.
+ */
+function errorSignature(error, { testFile } = {}) {
+  const message = normalizeMessage(error?.message) || 'Unknown error';
+  const frame = sharedFrame(error?.stack, testFile);
+  const signature = frame ? `${message}\n@ ${frame}` : message;
+  const hash = crypto.createHash('sha1').update(signature).digest('hex').slice(0, 12);
+
+  let title = message.split('\n')[0].replace(/^Error:\s*/, '');
+  if (title.length > TITLE_LENGTH) title = `${title.slice(0, TITLE_LENGTH - 1)}…`;
+  return { hash, signature, title, frame };
+}
+
+module.exports = { stripAnsi, normalizeMessage, parseStack, sameFile, sharedFrame, errorSignature };
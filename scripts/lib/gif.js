@@ -0,0 +1,175 @@
+/**
+ * lib/gif.js
+ * Small animated GIF encoder – no native or npm dependencies.
+ *
+ * All frames share one 256-colour palette built from the most frequent
+ * colours (12-bit buckets, averaged) of every frame, which suits UI
+ * screenshots with their few flat colours. Transparent pixels are put on
+ * white. Frames are LZW-compressed with the usual variable code size.
+ */
+
+const MAX_CODE = 4096;
+
+/* ─── palette ─────────────────────────────────────────── */
+
+const bucketOf = (r, g, b) => ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+
+/* RGB of an RGBA pixel composited over white */
+function opaque(data, pos) {
+  const a = data[pos + 3] / 255;
+  return [
+    Math.round(255 + (data[pos] - 255) * a),
+    Math.round(255 + (data[pos + 1] - 255) * a),
+    Math.round(255 + (data[pos + 2] - 255) * a)
+  ];
+}
+
+/*
+ * Palette of the 256 most used buckets (their average colour) and a lookup
+ * from every bucket to its nearest palette entry.
+ */
+function buildPalette(frames) {
+  const counts = new Uint32Array(4096);
+  const sums = new Float64Array(4096 * 3);
+  frames.forEach(({ data }) => {
+    for (let pos = 0; pos < data.length; pos += 4) {
+      const [r, g, b] = opaque(data, pos);
+      const bucket = bucketOf(r, g, b);
+      counts[bucket]++;
+      sums[bucket * 3] += r;
+      sums[bucket * 3 + 1] += g;
+      sums[bucket * 3 + 2] += b;
+    }
+  });
+
+  const used = [];
+  counts.forEach((count, bucket) => count && used.push(bucket));
+  used.sort((a, b) => counts[b] - counts[a]);
+  const palette = used.slice(0, 256).map(bucket => [0, 1, 2].map(c => Math.round(sums[bucket * 3 + c] / counts[bucket])));
+  while (palette.length < 256) palette.push([0, 0, 0]);
+
+  const lookup = new Int16Array(4096).fill(-1);
+  const nearest = bucket => {
+    if (lookup[bucket] >= 0) return lookup[bucket];
+    const [r, g, b] = counts[bucket]
+      ? [0, 1, 2].map(c => sums[bucket * 3 + c] / counts[bucket])
+      : [(bucket >> 8) * 17, ((bucket >> 4) & 15) * 17, (bucket & 15) * 17];
+    let best = 0;
+    let bestDistance = Infinity;
+    palette.forEach(([pr, pg, pb], i) => {
+      const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    });
+    lookup[bucket] = best;
+    return best;
+  };
+  return { palette, nearest };
+}
+
+function indexFrame({ data }, nearest) {
+  const indices = new Uint8Array(data.length / 4);
+  for (let i = 0, pos = 0; i < indices.length; i++, pos += 4) {
+    const [r, g, b] = opaque(data, pos);
+    indices[i] = nearest(bucketOf(r, g, b));
+  }
+  return indices;
+}
+
+/* ─── LZW ─────────────────────────────────────────────── */
+
+/* LZW code stream of colour indices, split into GIF sub-blocks of up to 255 bytes */
+function lzw(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let bits = 0;
+  let bitCount = 0;
+  const emit = code => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bits & 0xff);
+      bits >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  let table = new Map();
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) bytes.push(bits & 0xff);
+
+  const blocks = [];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const block = bytes.slice(i, i + 255);
+    blocks.push(block.length, ...block);
+  }
+  blocks.push(0);
+  return Buffer.from(blocks);
+}
+
+/* ─── file ────────────────────────────────────────────── */
+
+const u16 = value => [value & 0xff, (value >> 8) & 0xff];
+
+/**
+ * Encode frames ([{ width, height, data (RGBA) }], all the same size) as an
+ * endlessly looping GIF. delays are in milliseconds, one per frame.
+ */
+function encodeGIF(frames, delays = []) {
+  const { width, height } = frames[0];
+  const { palette, nearest } = buildPalette(frames);
+
+  const parts = [
+    Buffer.from('GIF89a', 'ascii'),
+    // logical screen: global colour table of 256 entries
+    Buffer.from([...u16(width), ...u16(height), 0xf7, 0, 0]),
+    Buffer.from(palette.flat()),
+    // NETSCAPE2.0: loop forever
+    Buffer.from([0x21, 0xff, 0x0b, ...Buffer.from('NETSCAPE2.0', 'ascii'), 0x03, 0x01, 0, 0, 0])
+  ];
+
+  frames.forEach((frame, i) => {
+    const delay = Math.round((delays[i] || 1000) / 10);
+    parts.push(
+      // graphic control: delay in 1/100 s, no transparency
+      Buffer.from([0x21, 0xf9, 0x04, 0x04, ...u16(delay), 0, 0]),
+      // image descriptor: full frame, global palette
+      Buffer.from([0x2c, 0, 0, 0, 0, ...u16(width), ...u16(height), 0]),
+      Buffer.from([8]),
+      lzw(indexFrame(frame, nearest), 8)
+    );
+  });
+
+  parts.push(Buffer.from([0x3b]));
+  return Buffer.concat(parts);
+}
+
+module.exports = { encodeGIF };
@@ -0,0 +1,375 @@
+/**
+ * lib/image-diff.js
+ * Pixel-level image comparison for the visual regression report.
+ *
+ * Colour distance is measured in YIQ space (perceptual, same scale as
+ * Playwright's toHaveScreenshot threshold) and pixels that only differ
+ * because of anti-aliasing can be told apart from real changes.
+ */
+
+const { decodePNG, encodePNG, isPNG } = require('./png');
+
+const DEFAULT_OPTIONS = {
+  threshold: 0.1,         // 0 = exact, 1 = anything goes; per-pixel colour tolerance
+  includeAA: false,       // count anti-aliased pixels as changes
+  alpha: 0.1,             // opacity of the unchanged image in the diff output
+  diffColor: [255, 0, 0],
+  aaColor: [255, 255, 0],
+  sizeColor: [255, 0, 255], // pixels outside the overlap when dimensions differ
+  ignore: []              // [{ x, y, width, height }] excluded from the comparison
+};
+
+/* largest possible YIQ delta, used to scale the threshold */
+const MAX_DELTA = 35215;
+
+/* ─── colour helpers ──────────────────────────────────── */
+
+/* blend a pixel channel with white according to its alpha */
+const blend = (c, a) => 255 + (c - 255) * a;
+
+const rgb2y = (r, g, b) => r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+const rgb2i = (r, g, b) => r * 0.59597799 - g * 0.2741761 - b * 0.32180189;
+const rgb2q = (r, g, b) => r * 0.21147017 - g * 0.52261711 + b * 0.31114694;
+
+/**
+ * Squared YIQ distance between pixel k of img1 and pixel m of img2.
+ * With yOnly the brightness delta is returned (signed).
+ */
+function colorDelta(img1, img2, k, m, yOnly = false) {
+  let r1 = img1[k], g1 = img1[k + 1], b1 = img1[k + 2];
+  let r2 = img2[m], g2 = img2[m + 1], b2 = img2[m + 2];
+  const a1 = img1[k + 3], a2 = img2[m + 3];
+
+  if (a1 === a2 && r1 === r2 && g1 === g2 && b1 === b2) return 0;
+
+  if (a1 < 255) {
+    r1 = blend(r1, a1 / 255); g1 = blend(g1, a1 / 255); b1 = blend(b1, a1 / 255);
+  }
+  if (a2 < 255) {
+    r2 = blend(r2, a2 / 255); g2 = blend(g2, a2 / 255); b2 = blend(b2, a2 / 255);
+  }
+
+  const y1 = rgb2y(r1, g1, b1);
+  const y2 = rgb2y(r2, g2, b2);
+  const y = y1 - y2;
+  if (yOnly) return y;
+
+  const i = rgb2i(r1, g1, b1) - rgb2i(r2, g2, b2);
+  const q = rgb2q(r1, g1, b1) - rgb2q(r2, g2, b2);
+  const delta = 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+
+  // sign tells whether the pixel got darker or lighter
+  return y1 > y2 ? -delta : delta;
+}
+
+/* ─── anti-aliasing detection ─────────────────────────── */
+
+function hasManySiblings(img, x1, y1, width, height) {
+  const x0 = Math.max(x1 - 1, 0);
+  const y0 = Math.max(y1 - 1, 0);
+  const x2 = Math.min(x1 + 1, width - 1);
+  const y2 = Math.min(y1 + 1, height - 1);
+  const pos = (y1 * width + x1) * 4;
+  let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+
+  for (let x = x0; x <= x2; x++) {
+    for (let y = y0; y <= y2; y++) {
+      if (x === x1 && y === y1) continue;
+      const pos2 = (y * width + x) * 4;
+      if (
+        img[pos] === img[pos2] &&
+        img[pos + 1] === img[pos2 + 1] &&
+        img[pos + 2] === img[pos2 + 2] &&
+        img[pos + 3] === img[pos2 + 3]
+      ) zeroes++;
+      if (zeroes > 2) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * A pixel is anti-aliased when, in one of the images, it sits between its
+ * darkest and brightest neighbours and either of those neighbours belongs
+ * to a flat area in both images (Vysniauskas, 2009).
+ */
+function isAntialiased(img, x1, y1, width, height, img2) {
+  const x0 = Math.max(x1 - 1, 0);
+  const y0 = Math.max(y1 - 1, 0);
+  const x2 = Math.min(x1 + 1, width - 1);
+  const y2 = Math.min(y1 + 1, height - 1);
+  const pos = (y1 * width + x1) * 4;
+  let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+  let min = 0, max = 0;
+  let minX, minY, maxX, maxY;
+
+  for (let x = x0; x <= x2; x++) {
+    for (let y = y0; y <= y2; y++) {
+      if (x === x1 && y === y1) continue;
+      const delta = colorDelta(img, img, pos, (y * width + x) * 4, true);
+
+      if (delta === 0) {
+        zeroes++;
+        // more than 2 identical neighbours: an edge, not a gradient
+        if (zeroes > 2) return false;
+      } else if (delta < min) {
+        min = delta; minX = x; minY = y;
+      } else if (delta > max) {
+        max = delta; maxX = x; maxY = y;
+      }
+    }
+  }
+
+  // no darker or no brighter neighbour: not anti-aliasing
+  if (min === 0 || max === 0) return false;
+
+  return (
+    (hasManySiblings(img, minX, minY, width, height) && hasManySiblings(img2, minX, minY, width, height)) ||
+    (hasManySiblings(img, maxX, maxY, width, height) && hasManySiblings(img2, maxX, maxY, width, height))
+  );
+}
+
+/* ─── comparison ──────────────────────────────────────── */
+
+function drawPixel(out, pos, [r, g, b]) {
+  out[pos] = r;
+  out[pos + 1] = g;
+  out[pos + 2] = b;
+  out[pos + 3] = 255;
+}
+
+/* diagonal stripes so ignored areas are recognisable in the diff image */
+function drawHatch(out, pos, x, y) {
+  const value = ((x + y) >> 3) & 1 ? 150 : 205;
+  drawPixel(out, pos, [value, value, value]);
+}
+
+/* 1 for every pixel covered by an ignore rectangle (clipped to the image) */
+function ignoreMask(rects, width, height) {
+  if (!rects || !rects.length) return null;
+  const mask = new Uint8Array(width * height);
+  rects.forEach(({ x, y, width: w, height: h }) => {
+    const x0 = Math.max(0, Math.floor(x));
+    const y0 = Math.max(0, Math.floor(y));
+    const x1 = Math.min(width, Math.ceil(x + w));
+    const y1 = Math.min(height, Math.ceil(y + h));
+    for (let yy = y0; yy < y1; yy++) mask.fill(1, yy * width + x0, Math.max(yy * width + x0, yy * width + x1));
+  });
+  return mask;
+}
+
+function drawGray(out, pos, img, k, alpha) {
+  const y = rgb2y(img[k], img[k + 1], img[k + 2]);
+  const value = blend(y, (alpha * img[k + 3]) / 255);
+  drawPixel(out, pos, [value, value, value]);
+}
+
+/**
+ * Compare two decoded RGBA images.
+ *
+ * Images of different size are compared over their overlap; pixels outside
+ * it count as changed. Pixels inside `ignore` rectangles are not compared
+ * and do not count towards diffPercent. Returns
+ *   { width, height, diffPixels, aaPixels, ignoredPixels, totalPixels,
+ *     comparedPixels, diffPercent, sizeMismatch,
+ *     mask (Uint8Array, 1 = changed), diff (RGBA Buffer) }
+ */
+function diffImages(img1, img2, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const width = Math.max(img1.width, img2.width);
+  const height = Math.max(img1.height, img2.height);
+  const overlapW = Math.min(img1.width, img2.width);
+  const overlapH = Math.min(img1.height, img2.height);
+  const maxDelta = MAX_DELTA * opts.threshold * opts.threshold;
+  const out = Buffer.alloc(width * height * 4);
+  const mask = new Uint8Array(width * height);
+  const ignored = ignoreMask(opts.ignore, width, height);
+  let diffPixels = 0;
+  let aaPixels = 0;
+  let ignoredPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pos = (y * width + x) * 4;
+
+      if (ignored && ignored[y * width + x]) {
+        drawHatch(out, pos, x, y);
+        ignoredPixels++;
+        continue;
+      }
+
+      if (x >= overlapW || y >= overlapH) {
+        const source = x < img1.width && y < img1.height ? img1 : img2;
+        if (x < source.width && y < source.height) {
+          drawPixel(out, pos, opts.sizeColor);
+          mask[y * width + x] = 1;
+          diffPixels++;
+        }
+        continue;
+      }
+
+      const k = (y * img1.width + x) * 4;
+      const m = (y * img2.width + x) * 4;
+      const delta = colorDelta(img1.data, img2.data, k, m);
+
+      if (Math.abs(delta) <= maxDelta) {
+        drawGray(out, pos, img1.data, k, opts.alpha);
+        continue;
+      }
+
+      const antialiased = !opts.includeAA && (
+        (img1.width === img2.width &&
+          (isAntialiased(img1.data, x, y, overlapW, overlapH, img2.data) ||
+           isAntialiased(img2.data, x, y, overlapW, overlapH, img1.data)))
+      );
+
+      if (antialiased) {
+        drawPixel(out, pos, opts.aaColor);
+        aaPixels++;
+      } else {
+        drawPixel(out, pos, opts.diffColor);
+        mask[y * width + x] = 1;
+        diffPixels++;
+      }
+    }
+  }
+
+  const totalPixels = width * height;
+  const comparedPixels = totalPixels - ignoredPixels;
+  return {
+    width,
+    height,
+    diffPixels,
+    aaPixels,
+    ignoredPixels,
+    totalPixels,
+    comparedPixels,
+    diffPercent: comparedPixels ? (diffPixels / comparedPixels) * 100 : 0,
+    sizeMismatch: img1.width !== img2.width || img1.height !== img2.height,
+    mask,
+    diff: out
+  };
+}
+
+/* ─── changed regions ─────────────────────────────────── */
+
+/* where a box sits on the page, on a 3×3 grid: "top-right", "center", … */
+function positionLabel(box, width, height) {
+  const cx = (box.x + box.width / 2) / width;
+  const cy = (box.y + box.height / 2) / height;
+  const vertical = cy < 1 / 3 ? 'top' : cy < 2 / 3 ? 'middle' : 'bottom';
+  const horizontal = cx < 1 / 3 ? 'left' : cx < 2 / 3 ? 'center' : 'right';
+  if (vertical === 'middle' && horizontal === 'center') return 'center';
+  return `${vertical}-${horizontal}`;
+}
+
+/* grow the mask by `radius` pixels in every direction (separable box dilation) */
+function dilate(mask, width, height, radius) {
+  if (radius <= 0) return mask;
+  const rows = new Uint8Array(mask.length);
+  const out = new Uint8Array(mask.length);
+
+  for (let y = 0; y < height; y++) {
+    // forward: distance to the previous set pixel; backward: to the next one
+    let last = -Infinity;
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) last = x;
+      if (x - last <= radius) rows[y * width + x] = 1;
+    }
+    last = Infinity;
+    for (let x = width - 1; x >= 0; x--) {
+      if (mask[y * width + x]) last = x;
+      if (last - x <= radius) rows[y * width + x] = 1;
+    }
+  }
+
+  for (let x = 0; x < width; x++) {
+    let last = -Infinity;
+    for (let y = 0; y < height; y++) {
+      if (rows[y * width + x]) last = y;
+      if (y - last <= radius) out[y * width + x] = 1;
+    }
+    last = Infinity;
+    for (let y = height - 1; y >= 0; y--) {
+      if (rows[y * width + x]) last = y;
+      if (last - y <= radius) out[y * width + x] = 1;
+    }
+  }
+  return out;
+}
+
+/**
+ * Group changed pixels (mask from diffImages) into connected regions
+ * (8-connectivity). Changes closer than `gap` pixels end up in the same
+ * region, so a changed line of text is one region instead of one per glyph.
+ * Boxes are measured on the changed pixels themselves, not the padding.
+ *
+ * Returns regions sorted by area, largest first:
+ *   [{ x, y, width, height, area, pixels, position }]
+ */
+function findRegions(mask, width, height, { gap = 8 } = {}) {
+  const grown = dilate(mask, width, height, Math.ceil(gap / 2));
+  const seen = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  const regions = [];
+
+  for (let start = 0; start < grown.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+
+    let top = 0;
+    let minX = width, minY = height, maxX = -1, maxY = -1, pixels = 0;
+    stack[top++] = start;
+    seen[start] = 1;
+
+    while (top > 0) {
+      const p = stack[--top];
+      const x = p % width;
+      const y = (p - x) / width;
+      if (mask[p]) {
+        pixels++;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          const q = ny * width + nx;
+          if (grown[q] && !seen[q]) {
+            seen[q] = 1;
+            stack[top++] = q;
+          }
+        }
+      }
+    }
+
+    const box = { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    regions.push({ ...box, area: box.width * box.height, pixels, position: positionLabel(box, width, height) });
+  }
+
+  return regions.sort((a, b) => b.area - a.area);
+}
+
+/**
+ * Compare two PNG buffers. Returns the diffImages() result plus the encoded
+ * diff PNG (diffPNG), both source dimensions, the changed regions and the
+ * decoded images (expected, actual) for further analysis.
+ */
+function diffPNGs(buf1, buf2, options = {}) {
+  if (!isPNG(buf1) || !isPNG(buf2)) throw new Error('Only PNG images can be compared pixel by pixel');
+  const img1 = decodePNG(buf1);
+  const img2 = decodePNG(buf2);
+  const result = diffImages(img1, img2, options);
+  return {
+    ...result,
+    expectedSize: { width: img1.width, height: img1.height },
+    actualSize: { width: img2.width, height: img2.height },
+    regions: result.diffPixels ? findRegions(result.mask, result.width, result.height, { gap: options.regionGap }) : [],
+    diffPNG: encodePNG({ width: result.width, height: result.height, data: result.diff }),
+    expected: img1,
+    actual: img2
+  };
+}
+
+module.exports = { DEFAULT_OPTIONS, colorDelta, isAntialiased, diffImages, diffPNGs, findRegions, positionLabel };
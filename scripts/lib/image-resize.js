@@ -0,0 +1,79 @@
+/**
+ * lib/image-resize.js
+ * Downscaling of decoded RGBA images (lib/png) for thumbnails and previews.
+ *
+ * Every output pixel is the average of the source pixels it covers (box
+ * filter), weighted by alpha so transparent pixels don't darken the edges.
+ * Good enough for screenshots, which are only ever made smaller.
+ */
+
+/* scale to at most maxWidth wide, keeping the aspect ratio; images already that small are returned as they are */
+function downscale(img, maxWidth) {
+  if (img.width <= maxWidth) return img;
+  const width = maxWidth;
+  const height = Math.max(1, Math.round((img.height * maxWidth) / img.width));
+  return resize(img, width, height);
+}
+
+function resize({ width: sw, height: sh, data: src }, width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  // source columns covered by each output column, computed once
+  const x0 = new Uint32Array(width);
+  const x1 = new Uint32Array(width);
+  for (let x = 0; x < width; x++) {
+    x0[x] = Math.floor((x * sw) / width);
+    x1[x] = Math.max(x0[x] + 1, Math.floor(((x + 1) * sw) / width));
+  }
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor((y * sh) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * sh) / height));
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      let count = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0[x], pos = (sy * sw + sx) * 4; sx < x1[x]; sx++, pos += 4) {
+          const alpha = src[pos + 3];
+          r += src[pos] * alpha;
+          g += src[pos + 1] * alpha;
+          b += src[pos + 2] * alpha;
+          a += alpha;
+          count++;
+        }
+      }
+      const out = (y * width + x) * 4;
+      if (a > 0) {
+        data[out] = Math.round(r / a);
+        data[out + 1] = Math.round(g / a);
+        data[out + 2] = Math.round(b / a);
+      }
+      data[out + 3] = Math.round(a / count);
+    }
+  }
+  return { width, height, data };
+}
+
+/* the width × height area at (x, y), padded with white where it leaves the image */
+function crop(img, x, y, width, height) {
+  const data = Buffer.alloc(width * height * 4, 255);
+  for (let row = 0; row < height; row++) {
+    const sy = y + row;
+    if (sy < 0 || sy >= img.height) continue;
+    const from = Math.max(0, x);
+    const to = Math.min(img.width, x + width);
+    if (to <= from) continue;
+    data.set(img.data.subarray((sy * img.width + from) * 4, (sy * img.width + to) * 4), (row * width + (from - x)) * 4);
+  }
+  return { width, height, data };
+}
+
+/* the top `height` rows of an image */
+function cropTop(img, height) {
+  if (img.height <= height) return img;
+  return { width: img.width, height, data: img.data.subarray(0, img.width * height * 4) };
+}
+
+module.exports = { downscale, resize, crop, cropTop };
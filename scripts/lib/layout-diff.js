@@ -0,0 +1,259 @@
+/**
+ * lib/layout-diff.js
+ * Explains what kind of change a visual difference is.
+ *
+ * A header that grew by 4px pushes everything below it down, so nearly every
+ * pixel differs although nothing but the header changed. This module tells
+ *
+ *   layout-shift – content moved: the rows (or columns) of both screenshots
+ *                  line up again after shifting, or the element boxes
+ *                  recorded by fixtures/visual-review.js moved or resized
+ *   colour       – the same shapes in other colours: the edges around the
+ *                  changed pixels are in the same places in both
+ *   content      – anything else
+ *
+ * and, with element boxes, says which element caused it:
+ * "header height +4px; all elements below shifted down 4px".
+ */
+
+/* largest shift (px) searched for between the two screenshots */
+const MAX_SHIFT = 200;
+/* share of the non-blank rows that must line up after shifting */
+const SHIFT_MATCH = 0.9;
+/* luminance step between neighbouring pixels that counts as an edge */
+const EDGE_THRESHOLD = 24;
+/* below this share of edges near the change found in only one image, a change is only colour */
+const COLOUR_EDGE_RATIO = 0.2;
+/* box differences up to this many px are rounding, not movement */
+const GEOMETRY_TOLERANCE = 1;
+
+const CHANGE_KINDS = ['layout-shift', 'content', 'colour'];
+
+/* ─── pixels ──────────────────────────────────────────── */
+
+function luminance({ width, height, data }) {
+  const lum = new Float32Array(width * height);
+  for (let i = 0; i < lum.length; i++) {
+    lum[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return lum;
+}
+
+/*
+ * FNV-1a hash of every row (axis 'y') or column (axis 'x') over the first
+ * `span` pixels, on luminance quantised to 32 levels. Flat lines (a single
+ * colour) match anywhere and are flagged so they don't count as evidence.
+ */
+function lineSignatures(lum, width, height, axis, span) {
+  const lines = axis === 'y' ? height : width;
+  const signatures = new Uint32Array(lines);
+  const flat = new Uint8Array(lines);
+  let contentLines = 0;
+  for (let line = 0; line < lines; line++) {
+    let hash = 0x811c9dc5;
+    let first = -1;
+    let isFlat = 1;
+    for (let i = 0; i < span; i++) {
+      const value = lum[axis === 'y' ? line * width + i : i * width + line] >> 3;
+      if (first < 0) first = value;
+      else if (value !== first) isFlat = 0;
+      hash = Math.imul(hash ^ value, 0x01000193) >>> 0;
+    }
+    signatures[line] = hash;
+    flat[line] = isFlat;
+    contentLines += 1 - isFlat;
+  }
+  return { signatures, flat, contentLines };
+}
+
+/*
+ * Share of the non-flat lines of `a` that equal the line `offset` further in
+ * `b`. Lines shifted out of `b` count as mismatches, so large offsets with
+ * little overlap can't win.
+ */
+function lineMatch(a, b, offset) {
+  let matched = 0;
+  for (let i = Math.max(0, -offset); i < a.signatures.length && i + offset < b.signatures.length; i++) {
+    if (!a.flat[i] && a.signatures[i] === b.signatures[i + offset]) matched++;
+  }
+  return a.contentLines ? matched / a.contentLines : 0;
+}
+
+/*
+ * Offset (px) by which the content of img2 is shifted against img1 along one
+ * axis, with the first line where the two start to differ, or null.
+ */
+function detectAxisShift(lum1, img1, lum2, img2, axis) {
+  const span = axis === 'y' ? Math.min(img1.width, img2.width) : Math.min(img1.height, img2.height);
+  const a = lineSignatures(lum1, img1.width, img1.height, axis, span);
+  const b = lineSignatures(lum2, img2.width, img2.height, axis, span);
+  const atZero = lineMatch(a, b, 0);
+  let best = { offset: 0, match: atZero };
+  for (let offset = -MAX_SHIFT; offset <= MAX_SHIFT; offset++) {
+    if (offset === 0) continue;
+    const match = lineMatch(a, b, offset);
+    if (match > best.match) best = { offset, match };
+  }
+  if (best.offset === 0 || best.match < SHIFT_MATCH || best.match - atZero < 0.2) return null;
+
+  let from = 0;
+  while (from < a.signatures.length && from < b.signatures.length && a.signatures[from] === b.signatures[from]) from++;
+  return { offset: best.offset, from, match: Math.round(best.match * 1000) / 1000 };
+}
+
+/* { dx, dy, from, axis, match } when the content of img2 is a shifted img1 */
+function detectShift(img1, img2) {
+  const lum1 = luminance(img1);
+  const lum2 = luminance(img2);
+  const vertical = detectAxisShift(lum1, img1, lum2, img2, 'y');
+  if (vertical) return { dx: 0, dy: vertical.offset, from: vertical.from, axis: 'y', match: vertical.match };
+  const horizontal = detectAxisShift(lum1, img1, lum2, img2, 'x');
+  if (horizontal) return { dx: horizontal.offset, dy: 0, from: horizontal.from, axis: 'x', match: horizontal.match };
+  return null;
+}
+
+/*
+ * Of the edges in and right around the changed pixels (mask from diffImages,
+ * `width` wide), the share that only one of the images has. Low values mean
+ * the shapes are unchanged and only their colours differ. null when there
+ * are no edges near the change.
+ */
+function edgeChangeRatio(img1, img2, mask, width) {
+  const w = Math.min(img1.width, img2.width) - 1;
+  const h = Math.min(img1.height, img2.height) - 1;
+  const lum1 = luminance(img1);
+  const lum2 = luminance(img2);
+  const edge = (lum, imgWidth, x, y) => {
+    const p = y * imgWidth + x;
+    return Math.abs(lum[p + 1] - lum[p]) > EDGE_THRESHOLD || Math.abs(lum[p + imgWidth] - lum[p]) > EDGE_THRESHOLD;
+  };
+  // a pixel next to a changed one may hold the edge of the changed shape
+  const nearChange = (x, y) => {
+    for (let yy = Math.max(0, y - 1); yy <= y + 1; yy++) {
+      for (let xx = Math.max(0, x - 1); xx <= x + 1; xx++) {
+        if (mask[yy * width + xx]) return true;
+      }
+    }
+    return false;
+  };
+  let edges = 0;
+  let moved = 0;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const a = edge(lum1, img1.width, x, y);
+      const b = edge(lum2, img2.width, x, y);
+      if ((!a && !b) || !nearChange(x, y)) continue;
+      edges++;
+      if (a !== b) moved++;
+    }
+  }
+  return edges ? Math.round((moved / edges) * 1000) / 1000 : null;
+}
+
+/* ─── element boxes ───────────────────────────────────── */
+
+const signed = value => (value > 0 ? `+${value}` : `${value}`);
+
+function direction(dx, dy) {
+  const parts = [];
+  if (dy) parts.push(`${dy > 0 ? 'down' : 'up'} ${Math.abs(dy)}px`);
+  if (dx) parts.push(`${dx > 0 ? 'right' : 'left'} ${Math.abs(dx)}px`);
+  return parts.join(' and ');
+}
+
+/**
+ * Compare element boxes ([{ key, label, x, y, width, height }]) of the main
+ * and PR screenshot. Returns the resized, moved, added and removed elements
+ * plus messages such as "header height +4px; all elements below shifted
+ * down 4px".
+ */
+function compareGeometry(before, after) {
+  const beforeByKey = new Map((before || []).map(e => [e.key, e]));
+  const afterByKey = new Map((after || []).map(e => [e.key, e]));
+  const differs = (a, b) => Math.abs(a - b) > GEOMETRY_TOLERANCE;
+
+  const resized = [];
+  const moved = [];
+  afterByKey.forEach((now, key) => {
+    const was = beforeByKey.get(key);
+    if (!was) return;
+    const dw = now.width - was.width;
+    const dh = now.height - was.height;
+    const dx = now.x - was.x;
+    const dy = now.y - was.y;
+    if (differs(now.width, was.width) || differs(now.height, was.height)) {
+      resized.push({ key, label: now.label, dx, dy, dw, dh, before: was, after: now });
+    } else if (differs(now.x, was.x) || differs(now.y, was.y)) {
+      moved.push({ key, label: now.label, dx, dy, before: was, after: now });
+    }
+  });
+  const added = (after || []).filter(e => !beforeByKey.has(e.key));
+  const removed = (before || []).filter(e => !afterByKey.has(e.key));
+
+  const messages = [];
+  resized.forEach(r => {
+    const parts = [];
+    if (differs(r.after.height, r.before.height)) parts.push(`height ${signed(r.dh)}px`);
+    if (differs(r.after.width, r.before.width)) parts.push(`width ${signed(r.dw)}px`);
+    messages.push(`${r.label} ${parts.join(', ')}`);
+  });
+
+  // moved elements grouped by how far they moved; the biggest group is usually the knock-on effect
+  const groups = new Map();
+  moved.forEach(m => {
+    const key = `${m.dx},${m.dy}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(m);
+  });
+  Array.from(groups.values())
+    .sort((a, b) => b.length - a.length)
+    .forEach(group => {
+      const { dx, dy } = group[0];
+      if (group.length === 1) {
+        messages.push(`${group[0].label} moved ${direction(dx, dy)}`);
+        return;
+      }
+      // everything below (or right of) a resized element moved by the same amount
+      const cause = resized.find(r => (dy && r.before.y + r.before.height <= Math.min(...group.map(m => m.before.y)) + GEOMETRY_TOLERANCE) ||
+        (dx && r.before.x + r.before.width <= Math.min(...group.map(m => m.before.x)) + GEOMETRY_TOLERANCE));
+      const beyond = cause && (before || []).filter(e => (dy ? e.y >= cause.before.y + cause.before.height - GEOMETRY_TOLERANCE : e.x >= cause.before.x + cause.before.width - GEOMETRY_TOLERANCE) && afterByKey.has(e.key));
+      const all = beyond && beyond.every(e => group.some(m => m.key === e.key));
+      const where = dy ? 'below' : 'to the right';
+      messages.push(all ? `all elements ${where} shifted ${direction(dx, dy)}` : `${group.length} elements shifted ${direction(dx, dy)}`);
+    });
+
+  added.forEach(e => messages.push(`${e.label} appeared`));
+  removed.forEach(e => messages.push(`${e.label} disappeared`));
+
+  return { resized, moved, added, removed, messages };
+}
+
+/* ─── classification ──────────────────────────────────── */
+
+/**
+ * layout-shift | colour | content for a changed screenshot, from the shift
+ * detection, the edge comparison and (if recorded) the element boxes.
+ */
+function classifyChange({ shift, edgeRatio, geometry, sizeMismatch }) {
+  if (shift) return 'layout-shift';
+  const boxesMoved = geometry && (geometry.moved.length || geometry.resized.length);
+  if (boxesMoved && !geometry.added.length && !geometry.removed.length) return 'layout-shift';
+  if (!sizeMismatch && edgeRatio !== null && edgeRatio !== undefined && edgeRatio < COLOUR_EDGE_RATIO) return 'colour';
+  return 'content';
+}
+
+/* "content below y=120 shifted down 4px" */
+function describeShift(shift) {
+  if (!shift) return '';
+  const where = shift.axis === 'y' ? `below y=${shift.from}` : `right of x=${shift.from}`;
+  return `content ${where} shifted ${direction(shift.dx, shift.dy)} (${Math.round(shift.match * 100)}% of lines line up)`;
+}
+
+module.exports = {
+  CHANGE_KINDS,
+  detectShift,
+  edgeChangeRatio,
+  compareGeometry,
+  classifyChange,
+  describeShift
+};
@@ -0,0 +1,117 @@
+/**
+ * lib/perceptual-hash.js
+ * Perceptual image hashes for finding the same screen under another name.
+ *
+ * dHash: the image is shrunk to 9×8 grey values and every bit records
+ * whether a pixel is brighter than its right neighbour. Re-encoding, small
+ * rendering differences and scaling barely change the hash, so the Hamming
+ * distance between two hashes tells how alike two screenshots look.
+ */
+
+const fs = require('fs');
+const { decodePNG, isPNG } = require('./png');
+
+const HASH_BITS = 64;
+
+/* ─── hashing ─────────────────────────────────────────── */
+
+/* average luminance of each cell of a cols × rows grid; transparent pixels count as white */
+function shrink({ width, height, data }, cols, rows) {
+  const sums = new Float64Array(cols * rows);
+  const counts = new Uint32Array(cols * rows);
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(rows - 1, Math.floor((y * rows) / height)) * cols;
+    for (let x = 0; x < width; x++) {
+      const pos = (y * width + x) * 4;
+      const a = data[pos + 3] / 255;
+      const luma = 0.299 * data[pos] + 0.587 * data[pos + 1] + 0.114 * data[pos + 2];
+      const cell = row + Math.min(cols - 1, Math.floor((x * cols) / width));
+      sums[cell] += 255 + (luma - 255) * a;
+      counts[cell]++;
+    }
+  }
+  return Array.from(sums, (sum, i) => (counts[i] ? sum / counts[i] : 255));
+}
+
+/* 64-bit difference hash of a decoded RGBA image, as 16 hex characters */
+function dHash(img) {
+  const cells = shrink(img, 9, 8);
+  let hex = '';
+  for (let y = 0; y < 8; y++) {
+    let nibble = 0;
+    for (let x = 0; x < 8; x++) {
+      nibble = (nibble << 1) | (cells[y * 9 + x] > cells[y * 9 + x + 1] ? 1 : 0);
+      if (x % 4 === 3) {
+        hex += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hex;
+}
+
+/* { hash, width, height } of a PNG file, or null if it cannot be read */
+function perceptualHash(file) {
+  try {
+    const buf = fs.readFileSync(file);
+    if (!isPNG(buf)) return null;
+    const img = decodePNG(buf);
+    return { hash: dHash(img), width: img.width, height: img.height };
+  } catch {
+    return null;
+  }
+}
+
+/* ─── comparison ──────────────────────────────────────── */
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+/* 1 for identical hashes, 0 for opposite ones */
+const similarity = (a, b) => 1 - hammingDistance(a, b) / HASH_BITS;
+
+/* ─── index ───────────────────────────────────────────── */
+
+const toBits = hash => Array.from(hash, c => parseInt(c, 16).toString(2).padStart(4, '0')).join('');
+
+/*
+ * Lookup of hashes within maxDistance bits without comparing every pair:
+ * the bits are cut into maxDistance + 1 bands, and two hashes that differ in
+ * at most maxDistance bits agree completely in at least one band. query()
+ * returns the items sharing a band with the hash; callers still check the
+ * real distance.
+ */
+function createHashIndex(maxDistance) {
+  const bands = Math.min(HASH_BITS, Math.max(1, maxDistance + 1));
+  const bounds = Array.from({ length: bands + 1 }, (_, i) => Math.round((i * HASH_BITS) / bands));
+  const buckets = new Map();
+  const keysOf = hash => {
+    const bits = toBits(hash);
+    return bounds.slice(0, -1).map((start, i) => `${i}:${bits.slice(start, bounds[i + 1])}`);
+  };
+
+  return {
+    add(hash, item) {
+      keysOf(hash).forEach(key => {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(item);
+      });
+    },
+    query(hash) {
+      const found = new Set();
+      keysOf(hash).forEach(key => (buckets.get(key) || []).forEach(item => found.add(item)));
+      return Array.from(found);
+    }
+  };
+}
+
+module.exports = { HASH_BITS, dHash, perceptualHash, hammingDistance, similarity, createHashIndex };
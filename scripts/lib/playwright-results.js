@@ -0,0 +1,265 @@
+/**
+ * lib/playwright-results.js
+ * Shared, normalized view of Playwright's JSON reporter output.
+ *
+ * Every script that needs per-test data should go through this module so the
+ * dashboard, PR comment and history agree on the numbers. It walks the full
+ * suite tree (nested describes, top-level tests), keeps every project and
+ * every retry, and gives each test a stable id.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ART = 'artifacts';
+
+/* default lookup order for the metrics file */
+const DEFAULT_CANDIDATES = [
+  'playwright-metrics.json',
+  path.join(ART, 'playwright-metrics.json'),
+  path.join(ART, 'playwright-metrics-pr.json'),
+  'metrics.json'
+];
+
+const SPEC_EXT = /\.(spec|test)\.(jsx?|tsx?|mjs|cjs)$/;
+
+/* ─── ids & names ─────────────────────────────────────── */
+
+/**
+ * Stable id for a test: same file, title path and project → same id,
+ * regardless of run, branch or report format.
+ */
+const testId = (file, titlePath, project = '') =>
+  crypto
+    .createHash('sha1')
+    .update([String(file || '').replace(/\\/g, '/'), ...titlePath, project || ''].join('\u0000'))
+    .digest('hex')
+    .slice(0, 16);
+
+const fileBaseName = file => path.basename(file || 'unknown').replace(SPEC_EXT, '');
+
+/**
+ * Human readable name used as history key and in reports:
+ *   "demo-todo-app > New Todo > should add items"  (+ " [project]" when several projects ran)
+ */
+const displayName = (test, { withProject = false } = {}) => {
+  const base = [fileBaseName(test.file), ...test.titlePath].join(' > ');
+  return withProject && test.project ? `${base} [${test.project}]` : base;
+};
+
+/* ─── status helpers ──────────────────────────────────── */
+
+const FAILED = ['failed', 'unexpected', 'timedOut', 'interrupted'];
+
+const attemptFailed = (attempt, expectedStatus = 'passed') =>
+  FAILED.includes(attempt.status) && attempt.status !== expectedStatus;
+
+/* Playwright's per-test outcome → our status (passed | failed | flaky | skipped) */
+function deriveStatus(outcome, attempts, expectedStatus) {
+  switch (outcome) {
+    case 'expected': return 'passed';
+    case 'unexpected': return 'failed';
+    case 'flaky': return 'flaky';
+    case 'skipped': return 'skipped';
+  }
+  // older reports / summaries without an outcome: derive from attempts
+  if (!attempts.length) return 'skipped';
+  const last = attempts[attempts.length - 1];
+  if (last.status === 'skipped') return 'skipped';
+  if (attemptFailed(last, expectedStatus)) return 'failed';
+  return attempts.some(a => attemptFailed(a, expectedStatus)) ? 'flaky' : 'passed';
+}
+
+/* ─── normalization ───────────────────────────────────── */
+
+function normalizeAttachment(attachment, retry) {
+  return {
+    name: attachment.name || '',
+    contentType: attachment.contentType || '',
+    path: attachment.path || null,
+    body: attachment.body,
+    retry
+  };
+}
+
+function normalizeError(error) {
+  if (!error) return null;
+  return {
+    message: error.message || error.value || 'Unknown error',
+    stack: error.stack || '',
+    location: error.location || null,
+    snippet: error.snippet || null
+  };
+}
+
+function normalizeAttempt(result, index) {
+  const retry = result.retry ?? index;
+  const errors = (result.errors && result.errors.length ? result.errors : [result.error])
+    .map(normalizeError)
+    .filter(Boolean);
+  return {
+    retry,
+    status: result.status || 'unknown',
+    duration: result.duration || 0,
+    startTime: result.startTime || null,
+    workerIndex: result.workerIndex ?? null,
+    error: errors[0] || null,
+    errors,
+    errorLocation: result.errorLocation || errors[0]?.location || null,
+    attachments: (result.attachments || []).map(a => normalizeAttachment(a, retry)),
+    annotations: result.annotations || []
+  };
+}
+
+function projectNameFor(test, projectsById) {
+  return test.projectName || projectsById[test.projectId] || test.projectId || '';
+}
+
+function normalizeTest(spec, test, ctx) {
+  const titlePath = [...ctx.describePath, spec.title || 'Unnamed test'];
+  const file = spec.file || ctx.file || '';
+  const project = projectNameFor(test, ctx.projectsById);
+  const expectedStatus = test.expectedStatus || 'passed';
+  const attempts = (test.results || []).map(normalizeAttempt);
+  const status = deriveStatus(test.status, attempts, expectedStatus);
+  const last = attempts[attempts.length - 1] || null;
+  const failing = attempts.filter(a => attemptFailed(a, expectedStatus));
+
+  return {
+    id: testId(file, titlePath, project),
+    specId: spec.id || null,
+    file,
+    fileName: path.basename(file),
+    title: spec.title || 'Unnamed test',
+    titlePath,
+    describePath: ctx.describePath,
+    fullTitle: titlePath.join(' › '),
+    project,
+    location: { file, line: spec.line || 0, column: spec.column || 0 },
+    tags: spec.tags || [],
+    annotations: test.annotations || [],
+    expectedStatus,
+    outcome: test.status || null,
+    status,
+    ok: status === 'passed' || status === 'flaky' || status === 'skipped',
+    attempts,
+    retries: Math.max(0, attempts.length - 1),
+    duration: attempts.reduce((sum, a) => sum + a.duration, 0),
+    finalDuration: last ? last.duration : 0,
+    finalAttempt: last,
+    error: (failing[failing.length - 1] || {}).error || null,
+    attachments: attempts.flatMap(a => a.attachments)
+  };
+}
+
+function walkSuite(suite, ctx, out) {
+  (suite.specs || []).forEach(spec => {
+    (spec.tests || []).forEach(test => out.push(normalizeTest(spec, test, ctx)));
+  });
+  (suite.suites || []).forEach(child => {
+    walkSuite(child, {
+      ...ctx,
+      file: child.file || ctx.file,
+      describePath: child.title ? [...ctx.describePath, child.title] : ctx.describePath
+    }, out);
+  });
+}
+
+/**
+ * Turn a raw Playwright JSON report into
+ *   { tests, projects, stats, errors, config, summary }
+ * Top-level suites are files; their titles are not part of the title path.
+ */
+function normalizeReport(report) {
+  const configProjects = report?.config?.projects || [];
+  const projectsById = {};
+  configProjects.forEach(p => { projectsById[p.id || p.name] = p.name || p.id; });
+
+  const tests = [];
+  (report?.suites || []).forEach(fileSuite => {
+    walkSuite(fileSuite, {
+      file: fileSuite.file || fileSuite.title || '',
+      describePath: [],
+      projectsById
+    }, tests);
+  });
+
+  const projects = [...new Set([
+    ...configProjects.map(p => p.name).filter(Boolean),
+    ...tests.map(t => t.project).filter(Boolean)
+  ])];
+
+  return {
+    tests,
+    projects,
+    multiProject: projects.length > 1,
+    stats: report?.stats || {},
+    errors: report?.errors || [],
+    config: {
+      rootDir: report?.config?.rootDir || '',
+      projects: configProjects
+    },
+    summary: summarize(tests, report?.stats)
+  };
+}
+
+/* ─── summary ─────────────────────────────────────────── */
+
+/**
+ * Same shape as artifacts/playwright-summary-*.json.
+ * Flaky tests passed in the end, so they count as passed (and are also
+ * reported on their own).
+ */
+function summarize(tests, stats = {}) {
+  const count = s => tests.filter(t => t.status === s).length;
+  const flaky = count('flaky');
+  const passed = count('passed') + flaky;
+  const failed = count('failed');
+  const skipped = count('skipped');
+  const total = tests.length;
+  return {
+    total,
+    passed,
+    failed,
+    skipped,
+    flaky,
+    duration: stats?.duration ?? tests.reduce((sum, t) => sum + t.duration, 0),
+    pass_rate: total ? Math.floor((passed * 100) / total) : 0
+  };
+}
+
+/* ─── loading ─────────────────────────────────────────── */
+
+const locateMetrics = (candidates = DEFAULT_CANDIDATES) =>
+  candidates.find(p => fs.existsSync(p)) || null;
+
+/**
+ * Load and normalize a metrics file. Returns null when none of the
+ * candidates exists or the file is not a Playwright JSON report.
+ */
+function loadResults(candidates = DEFAULT_CANDIDATES) {
+  const list = Array.isArray(candidates) ? candidates : [candidates];
+  const file = locateMetrics(list);
+  if (!file) return null;
+  try {
+    const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(report.suites)) return null;
+    return { source: file, ...normalizeReport(report) };
+  } catch (err) {
+    console.warn(`⚠️  Could not parse ${file}:`, err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_CANDIDATES,
+  testId,
+  fileBaseName,
+  displayName,
+  attemptFailed,
+  normalizeReport,
+  summarize,
+  locateMetrics,
+  loadResults
+};
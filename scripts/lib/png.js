@@ -0,0 +1,267 @@
+/**
+ * lib/png.js
+ * Small PNG codec built on zlib – no native or npm dependencies.
+ *
+ * decodePNG() understands every colour type, bit depths 1–16, palettes,
+ * tRNS transparency and Adam7 interlacing, and always returns 8-bit RGBA.
+ * encodePNG() writes 8-bit RGBA, which is all the diff images need.
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/* channels per colour type: gray, -, rgb, palette, gray+alpha, -, rgba */
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/* Adam7 passes: [xStart, yStart, xStep, yStep] */
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
+/* ─── crc32 ───────────────────────────────────────────── */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/* ─── decoding ────────────────────────────────────────── */
+
+const isPNG = buf => buf.length >= 8 && buf.subarray(0, 8).equals(SIGNATURE);
+
+function readChunks(buf) {
+  const chunks = [];
+  let offset = 8;
+  while (offset + 8 <= buf.length) {
+    const length = buf.readUInt32BE(offset);
+    const type = buf.toString('latin1', offset + 4, offset + 8);
+    chunks.push({ type, data: buf.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/* undo the per-scanline filters in place; returns the raw scanlines */
+function unfilter(data, offset, width, height, bitsPerPixel) {
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const out = Buffer.alloc(stride * height);
+  let prev = Buffer.alloc(stride);
+
+  for (let y = 0; y < height; y++) {
+    const filter = data[offset];
+    const line = data.subarray(offset + 1, offset + 1 + stride);
+    const row = out.subarray(y * stride, (y + 1) * stride);
+    offset += stride + 1;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bpp ? row[x - bpp] : 0;
+      const up = prev[x];
+      const upLeft = x >= bpp ? prev[x - bpp] : 0;
+      let value = line[x];
+      switch (filter) {
+        case 0: break;
+        case 1: value += left; break;
+        case 2: value += up; break;
+        case 3: value += (left + up) >> 1; break;
+        case 4: value += paeth(left, up, upLeft); break;
+        default: throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+      row[x] = value & 0xff;
+    }
+    prev = row;
+  }
+  return { pixels: out, stride, next: offset };
+}
+
+/* read one sample (any bit depth) scaled to 0–255 */
+function sampleReader(raw, stride, bitDepth) {
+  if (bitDepth === 8) return (y, i) => raw[y * stride + i];
+  if (bitDepth === 16) return (y, i) => Math.round(raw.readUInt16BE(y * stride + i * 2) / 257);
+  const max = (1 << bitDepth) - 1;
+  const perByte = 8 / bitDepth;
+  return (y, i, scale = true) => {
+    const byte = raw[y * stride + Math.floor(i / perByte)];
+    const shift = 8 - bitDepth * ((i % perByte) + 1);
+    const value = (byte >> shift) & max;
+    return scale ? Math.round((value * 255) / max) : value;
+  };
+}
+
+/* raw 16-bit sample, used to match tRNS keys exactly */
+function rawSample(raw, stride, bitDepth, y, i) {
+  if (bitDepth === 16) return raw.readUInt16BE(y * stride + i * 2);
+  if (bitDepth === 8) return raw[y * stride + i];
+  return sampleReader(raw, stride, bitDepth)(y, i, false);
+}
+
+function writePixels(target, width, header, raw, stride, w, h, place) {
+  const { colorType, bitDepth, palette, transparency } = header;
+  const channels = CHANNELS[colorType];
+  const read = sampleReader(raw, stride, bitDepth);
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const [tx, ty] = place(x, y);
+      const o = (ty * width + tx) * 4;
+      const i = x * channels;
+      let r, g, b, a = 255;
+
+      if (colorType === 3) {
+        const index = read(y, i, false);
+        r = palette[index * 3];
+        g = palette[index * 3 + 1];
+        b = palette[index * 3 + 2];
+        if (transparency && index < transparency.length) a = transparency[index];
+      } else if (colorType === 0 || colorType === 4) {
+        r = g = b = read(y, i);
+        if (colorType === 4) a = read(y, i + 1);
+        else if (transparency && rawSample(raw, stride, bitDepth, y, i) === transparency.readUInt16BE(0)) a = 0;
+      } else {
+        r = read(y, i);
+        g = read(y, i + 1);
+        b = read(y, i + 2);
+        if (colorType === 6) a = read(y, i + 3);
+        else if (
+          transparency &&
+          rawSample(raw, stride, bitDepth, y, i) === transparency.readUInt16BE(0) &&
+          rawSample(raw, stride, bitDepth, y, i + 1) === transparency.readUInt16BE(2) &&
+          rawSample(raw, stride, bitDepth, y, i + 2) === transparency.readUInt16BE(4)
+        ) a = 0;
+      }
+
+      target[o] = r;
+      target[o + 1] = g;
+      target[o + 2] = b;
+      target[o + 3] = a;
+    }
+  }
+}
+
+/**
+ * Decode a PNG buffer into { width, height, data } where data is RGBA,
+ * 4 bytes per pixel, row-major.
+ */
+function decodePNG(buf) {
+  if (!isPNG(buf)) throw new Error('Not a PNG file');
+
+  const header = { palette: null, transparency: null };
+  const idat = [];
+
+  readChunks(buf).forEach(({ type, data }) => {
+    if (type === 'IHDR') {
+      header.width = data.readUInt32BE(0);
+      header.height = data.readUInt32BE(4);
+      header.bitDepth = data[8];
+      header.colorType = data[9];
+      header.interlace = data[12];
+    } else if (type === 'PLTE') {
+      header.palette = data;
+    } else if (type === 'tRNS') {
+      header.transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    }
+  });
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  if (!width || !height) throw new Error('PNG has no IHDR chunk');
+  if (!(colorType in CHANNELS)) throw new Error(`Unsupported PNG colour type ${colorType}`);
+  if (colorType === 3 && !header.palette) throw new Error('Palette PNG without PLTE chunk');
+
+  const inflated = zlib.inflateSync(Buffer.concat(idat));
+  const bitsPerPixel = CHANNELS[colorType] * bitDepth;
+  const data = Buffer.alloc(width * height * 4);
+
+  if (!interlace) {
+    const { pixels, stride } = unfilter(inflated, 0, width, height, bitsPerPixel);
+    // 8-bit RGBA (what browsers write) is already in the output layout
+    if (colorType === 6 && bitDepth === 8) return { width, height, data: pixels };
+    writePixels(data, width, header, pixels, stride, width, height, (x, y) => [x, y]);
+  } else {
+    let offset = 0;
+    ADAM7.forEach(([x0, y0, dx, dy]) => {
+      const w = Math.ceil((width - x0) / dx);
+      const h = Math.ceil((height - y0) / dy);
+      if (w <= 0 || h <= 0) return;
+      const { pixels, stride, next } = unfilter(inflated, offset, w, h, bitsPerPixel);
+      writePixels(data, width, header, pixels, stride, w, h, (x, y) => [x0 + x * dx, y0 + y * dy]);
+      offset = next;
+    });
+  }
+
+  return { width, height, data };
+}
+
+/* ─── encoding ────────────────────────────────────────── */
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode { width, height, data (RGBA) } as an 8-bit RGBA PNG.
+ * Rows use the Sub filter, which keeps flat diff images small.
+ */
+function encodePNG({ width, height, data }) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * (stride + 1);
+    raw[row] = 1;
+    for (let x = 0; x < stride; x++) {
+      const value = data[y * stride + x];
+      const left = x >= 4 ? data[y * stride + x - 4] : 0;
+      raw[row + 1 + x] = (value - left) & 0xff;
+    }
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 6 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = { decodePNG, encodePNG, isPNG, crc32 };
@@ -0,0 +1,143 @@
+/**
+ * lib/report-assets.js
+ * Downscaled, deduplicated copies of the screenshots shown in the reports.
+ *
+ * Full-page screenshots are several MB each, and most of them are identical
+ * in the PR and main runs. Every image a report shows is stored once per
+ * content hash under artifacts/report-assets/:
+ *
+ *   thumb/<hash>.png     at most THUMB_WIDTH × THUMB_HEIGHT (top of the page)
+ *   preview/<hash>.png   at most PREVIEW_WIDTH wide, shown in the reports
+ *   full/<hash>.<ext>    the original, only loaded on demand (zoom, full view)
+ *
+ * Images that are already small enough point to the original for every size.
+ * manifest.json maps the original paths (relative to artifacts/) to their
+ * asset; it is shared by every script that publishes images, and
+ * generate-webpage.js publishes the folder with the dashboard.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { decodePNG, encodePNG, isPNG } = require('./png');
+const { downscale, cropTop } = require('./image-resize');
+
+const ART = 'artifacts';
+const ASSET_DIR = path.join(ART, 'report-assets');
+const MANIFEST_FILE = path.join(ASSET_DIR, 'manifest.json');
+
+const THUMB_WIDTH = 240;
+const THUMB_HEIGHT = 360;
+const PREVIEW_WIDTH = 800;
+
+/* paths in the HTML are relative to artifacts/, which web-report mirrors */
+const relative = file => path.relative(ART, file).split(path.sep).join('/');
+
+let manifest = null;
+
+function loadManifest() {
+  if (manifest) return manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  } catch {
+    manifest = {};
+  }
+  manifest.images = manifest.images || {};
+  manifest.assets = manifest.assets || {};
+  return manifest;
+}
+
+function writeAsset(kind, hash, ext, buffer) {
+  const file = path.join(ASSET_DIR, kind, `${hash}${ext}`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, buffer);
+  return relative(file);
+}
+
+function createAsset(hash, buffer, ext) {
+  const full = writeAsset('full', hash, ext, buffer);
+  const asset = { hash, bytes: buffer.length, width: null, height: null, full, preview: full, thumb: full };
+  if (!isPNG(buffer)) return asset;
+
+  try {
+    const img = decodePNG(buffer);
+    asset.width = img.width;
+    asset.height = img.height;
+    const preview = downscale(img, PREVIEW_WIDTH);
+    if (preview !== img) asset.preview = writeAsset('preview', hash, '.png', encodePNG(preview));
+    const thumb = cropTop(downscale(preview, THUMB_WIDTH), THUMB_HEIGHT);
+    if (thumb !== img) asset.thumb = writeAsset('thumb', hash, '.png', encodePNG(thumb));
+  } catch (err) {
+    console.warn(`⚠️  Could not downscale ${hash}${ext}: ${err.message}`);
+  }
+  return asset;
+}
+
+/**
+ * The asset ({ hash, width, height, bytes, full, preview, thumb }) of an
+ * image file, created on first use; null if the file can't be read.
+ */
+function publishImage(file) {
+  if (!file) return null;
+  const m = loadManifest();
+  const key = relative(file);
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    return null;
+  }
+
+  // the same file as last time (diff images are rewritten on every run)
+  const known = m.images[key];
+  const asset = known && m.assets[known.hash];
+  if (asset && known.size === stat.size && known.mtimeMs === stat.mtimeMs && fs.existsSync(path.join(ART, asset.full))) {
+    return asset;
+  }
+
+  const buffer = fs.readFileSync(file);
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 20);
+  if (!m.assets[hash] || !fs.existsSync(path.join(ART, m.assets[hash].full))) {
+    m.assets[hash] = createAsset(hash, buffer, path.extname(file).toLowerCase() || '.png');
+  }
+  m.images[key] = { hash, size: stat.size, mtimeMs: stat.mtimeMs };
+  return m.assets[hash];
+}
+
+/*
+ * src and data-full attributes of an <img> showing `file` at the given size
+ * (thumb | preview); the reports swap in data-full when zooming in or
+ * opening the full view. Falls back to the original file.
+ */
+function imageAttributes(file, size = 'preview') {
+  const asset = publishImage(file);
+  if (!asset) return `src="${relative(file)}"`;
+  return `src="${asset[size]}" data-full="${asset.full}"`;
+}
+
+/* write the manifest with totals: original files vs unique assets */
+function saveManifest() {
+  if (!manifest) return null;
+  const assets = Object.values(manifest.assets);
+  const bytes = hash => manifest.assets[hash]?.bytes || 0;
+  manifest.stats = {
+    images: Object.keys(manifest.images).length,
+    unique: assets.length,
+    originalBytes: Object.values(manifest.images).reduce((sum, image) => sum + bytes(image.hash), 0),
+    uniqueBytes: assets.reduce((sum, asset) => sum + asset.bytes, 0)
+  };
+  manifest.updatedAt = new Date().toISOString();
+  fs.mkdirSync(ASSET_DIR, { recursive: true });
+  fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+  return manifest.stats;
+}
+
+module.exports = {
+  ASSET_DIR,
+  MANIFEST_FILE,
+  THUMB_WIDTH,
+  PREVIEW_WIDTH,
+  publishImage,
+  imageAttributes,
+  saveManifest
+};
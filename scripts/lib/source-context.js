@@ -0,0 +1,123 @@
+/**
+ * lib/source-context.js
+ * Where in the spec a test failed, with the surrounding source lines.
+ *
+ * The failing line comes from the stack frame in the test's own file (so a
+ * failure inside a page object still points at the spec line that called
+ * it), or else from Playwright's error.location / errorLocation, or else the
+ * first stack frame of the project's code. The file is looked up relative
+ * to the report's rootDir and the working directory, so reports imported
+ * from another machine resolve as long as the checkout has the same layout.
+ * When the file can't be read, Playwright's own error.snippet is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { stripAnsi, parseStack, sameFile } = require('./failure-signature');
+
+const LINES_BEFORE = 3;
+const LINES_AFTER = 2;
+/* path suffixes tried against the working directory, longest first; a bare file name is too ambiguous */
+const MAX_SUFFIX_SEGMENTS = 6;
+const MIN_SUFFIX_SEGMENTS = 2;
+
+const hasLine = location => location?.file && location.line > 0;
+
+/**
+ * { file, line, column } of the failing call in a failed attempt, or null.
+ */
+function failureLocation(attempt, testFile) {
+  const frames = parseStack(attempt.error?.stack);
+  const inSpec = frames.find(frame => !frame.library && sameFile(frame.file, testFile));
+  const candidates = [
+    inSpec,
+    attempt.error?.location,
+    attempt.errorLocation,
+    frames.find(frame => !frame.library)
+  ];
+  const found = candidates.find(hasLine);
+  return found ? { file: found.file, line: found.line, column: found.column || 1 } : null;
+}
+
+/* first existing file for a report path: as is, under rootDir, or a shorter suffix under the cwd */
+function resolveSourceFile(file, rootDir = '') {
+  const normalized = file.replace(/\\/g, '/');
+  const candidates = [];
+  if (path.isAbsolute(normalized)) candidates.push(normalized);
+  if (rootDir) candidates.push(path.resolve(rootDir, normalized));
+  candidates.push(path.resolve(normalized));
+
+  const segments = normalized.split('/').filter(Boolean);
+  for (let count = Math.min(MAX_SUFFIX_SEGMENTS, segments.length); count >= MIN_SUFFIX_SEGMENTS; count--) {
+    candidates.push(path.resolve(segments.slice(-count).join('/')));
+  }
+  return candidates.find(candidate => {
+    try {
+      return fs.statSync(candidate).isFile();
+    } catch {
+      return false;
+    }
+  }) || null;
+}
+
+/*
+ * Code frame in Playwright's format: the failing line marked with ">" and a
+ * caret under the column of the failing call.
+ */
+function formatFrame(lines, column) {
+  const width = String(lines[lines.length - 1].number).length;
+  const out = [];
+  lines.forEach(({ number, text, highlight }) => {
+    out.push(`${highlight ? '>' : ' '} ${String(number).padStart(width)} | ${text}`);
+    // keep tabs so the caret lines up with the failing column
+    if (highlight) out.push(`  ${' '.repeat(width)} | ${text.slice(0, Math.max(0, column - 1)).replace(/[^\t]/g, ' ')}^`);
+  });
+  return out.join('\n');
+}
+
+/**
+ * Source context of a failed attempt:
+ *   { file, line, column, lines: [{ number, text, highlight }], frame, call }
+ * file is relative to the working directory when the spec is in it; lines is
+ * null when the file couldn't be read (frame is then Playwright's snippet, if
+ * any); call is the failing line, trimmed. null when nothing locates the
+ * failure.
+ */
+function sourceContext(attempt, testFile, { rootDir = '', before = LINES_BEFORE, after = LINES_AFTER } = {}) {
+  const location = failureLocation(attempt, testFile);
+  const snippet = stripAnsi(attempt.error?.snippet).replace(/\s+$/, '');
+  if (!location) return snippet ? { file: testFile, line: null, column: null, lines: null, frame: snippet, call: null } : null;
+
+  const resolved = resolveSourceFile(location.file, rootDir);
+  let display = location.file;
+  if (resolved && !path.relative(process.cwd(), resolved).startsWith('..')) {
+    display = path.relative(process.cwd(), resolved).split(path.sep).join('/');
+  } else if (rootDir && location.file.startsWith(rootDir)) {
+    // a path of the machine the report was made on
+    display = path.posix.relative(rootDir.replace(/\\/g, '/'), location.file.replace(/\\/g, '/'));
+  }
+  const base = { file: display, line: location.line, column: location.column };
+
+  let source = null;
+  try {
+    source = resolved ? fs.readFileSync(resolved, 'utf8').split(/\r?\n/) : null;
+  } catch {
+    source = null;
+  }
+  if (!source || location.line > source.length) {
+    return { ...base, lines: null, frame: snippet || null, call: null };
+  }
+
+  const first = Math.max(1, location.line - before);
+  const last = Math.min(source.length, location.line + after);
+  const lines = [];
+  for (let number = first; number <= last; number++) {
+    lines.push({ number, text: source[number - 1], highlight: number === location.line });
+  }
+  const failing = source[location.line - 1];
+  // the whole line, not just the matcher the column points at
+  const call = failing.trim().replace(/;$/, '') || null;
+  return { ...base, lines, frame: formatFrame(lines, location.column), call };
+}
+
+module.exports = { failureLocation, resolveSourceFile, sourceContext };
@@ -0,0 +1,197 @@
+/**
+ * lib/trace-reader.js
+ * What a Playwright trace (trace.zip) says about a failure, without the
+ * trace viewer.
+ *
+ * The archive is unpacked in memory (lib/zip), reading only the event logs:
+ * *.trace holds one JSON event per line (actions as before/after pairs, or
+ * single "action" events in older versions, console messages, page errors,
+ * navigations, DOM snapshots) and *.network the HAR entries of every
+ * request (older versions log them in *.trace). test.trace, written by the
+ * test runner, only has steps; it is used when the browser context left no
+ * actions.
+ *
+ *   TRACE_ACTIONS   actions kept before the failure (default 10)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { unzip, isZip } = require('./zip');
+
+const DEFAULT_ACTIONS = 10;
+const MAX_REQUESTS = 10;
+const MAX_CONSOLE = 10;
+
+const defaultActions = () => {
+  const configured = parseInt(process.env.TRACE_ACTIONS, 10);
+  return configured > 0 ? configured : DEFAULT_ACTIONS;
+};
+
+/* one JSON event per line; lines cut off by a crashed run are skipped */
+function parseEvents(buffer) {
+  const events = [];
+  buffer.toString('utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      // ignore partial lines
+    }
+  });
+  return events;
+}
+
+const firstLine = text => (text ? String(text).split('\n')[0].trim() : null);
+const errorText = error => error?.message || error?.error?.message || (typeof error === 'string' ? error : null);
+
+/* ─── actions ─────────────────────────────────────────── */
+
+function collectActions(events) {
+  const byCall = new Map();
+  events.forEach(ev => {
+    if (ev.type === 'before') {
+      byCall.set(ev.callId, {
+        callId: ev.callId,
+        apiName: ev.apiName || ev.title || [ev.class, ev.method].filter(Boolean).join('.'),
+        selector: ev.params?.selector || null,
+        url: ev.params?.url || null,
+        startTime: ev.startTime ?? null,
+        endTime: null,
+        error: null
+      });
+    } else if (ev.type === 'after' && byCall.has(ev.callId)) {
+      const action = byCall.get(ev.callId);
+      action.endTime = ev.endTime ?? null;
+      action.error = errorText(ev.error);
+    } else if (ev.type === 'action' && ev.metadata) {
+      const m = ev.metadata;
+      byCall.set(m.id, {
+        callId: m.id,
+        apiName: m.apiName || [m.type, m.method].filter(Boolean).join('.'),
+        selector: m.params?.selector || null,
+        url: m.params?.url || null,
+        startTime: m.startTime ?? null,
+        endTime: m.endTime ?? null,
+        error: errorText(m.error)
+      });
+    }
+  });
+  return [...byCall.values()]
+    .filter(action => action.apiName && !/^tracing\./i.test(action.apiName))
+    .sort((a, b) => (a.startTime ?? 0) - (b.startTime ?? 0));
+}
+
+/* ─── console, network, url ───────────────────────────── */
+
+function collectConsoleErrors(events) {
+  const errors = [];
+  events.forEach(ev => {
+    if (ev.type === 'console' && ev.messageType === 'error') {
+      const where = ev.location?.url ? `${ev.location.url}:${ev.location.lineNumber ?? 0}` : null;
+      errors.push({ kind: 'console', text: ev.text || '', location: where, time: ev.time ?? null });
+    } else if (ev.type === 'event' && ev.method === 'console' && ev.params?.message?.type === 'error') {
+      errors.push({ kind: 'console', text: ev.params.message.text || '', location: null, time: ev.time ?? null });
+    } else if (ev.type === 'event' && ev.method === 'pageError') {
+      errors.push({ kind: 'pageerror', text: errorText(ev.params?.error) || '', location: null, time: ev.time ?? null });
+    }
+  });
+  return errors;
+}
+
+function collectFailedRequests(events) {
+  return events
+    .filter(ev => ev.type === 'resource-snapshot' && ev.snapshot?.request)
+    .map(({ snapshot: s }) => ({
+      method: s.request.method || 'GET',
+      url: s.request.url,
+      status: s.response?.status ?? null,
+      statusText: s.response?.statusText || '',
+      failure: s.response?._failureText || null
+    }))
+    .filter(r => r.failure || r.status >= 400);
+}
+
+/*
+ * Page URL when the failing action ran: its own DOM snapshot if there is
+ * one, otherwise the last main-frame navigation before it, otherwise the
+ * last page.goto.
+ */
+function pageURLAt(events, actions, failed, time) {
+  const snapshot = failed && events.find(ev => ev.type === 'frame-snapshot' && ev.snapshot?.callId === failed.callId && ev.snapshot.frameUrl);
+  if (snapshot) return snapshot.snapshot.frameUrl;
+
+  let url = null;
+  events.forEach(ev => {
+    if (ev.type !== 'event' || ev.method !== 'navigated' || ev.params?.name || !ev.params?.url) return;
+    if (time === null || ev.time === undefined || ev.time <= time) url = ev.params.url;
+  });
+  if (url) return url;
+
+  const goto = actions.filter(a => a.url && (time === null || (a.startTime ?? 0) <= time)).pop();
+  return goto ? goto.url : null;
+}
+
+/* ─── reader ──────────────────────────────────────────── */
+
+/**
+ * Failure context from a trace.zip:
+ *   { actions, failedAction, failedRequests, consoleErrors, pageURL }
+ * actions are the last `actionCount` actions up to and including the failed
+ * one (or the last ones, when no action failed). null if the file is
+ * missing or not a trace.
+ */
+function readTrace(file, { actionCount = defaultActions() } = {}) {
+  let buffer;
+  try {
+    buffer = fs.readFileSync(file);
+  } catch {
+    return null;
+  }
+  if (!isZip(buffer)) return null;
+
+  let entries;
+  try {
+    entries = unzip(buffer, name => /\.(trace|network)$/.test(path.basename(name)));
+  } catch (err) {
+    console.warn(`⚠️  Could not read trace ${file}: ${err.message}`);
+    return null;
+  }
+
+  const contextEvents = [];
+  const runnerEvents = [];
+  const networkEvents = [];
+  Object.entries(entries).forEach(([name, data]) => {
+    const base = path.basename(name);
+    if (base.endsWith('.network')) networkEvents.push(...parseEvents(data));
+    else if (base === 'test.trace') runnerEvents.push(...parseEvents(data));
+    else contextEvents.push(...parseEvents(data));
+  });
+  if (!contextEvents.length && !runnerEvents.length) return null;
+
+  let actions = collectActions(contextEvents);
+  if (!actions.length) actions = collectActions(runnerEvents);
+
+  const failed = actions.filter(a => a.error).pop() || null;
+  const time = failed ? (failed.endTime ?? failed.startTime) : null;
+  const upTo = failed ? actions.indexOf(failed) + 1 : actions.length;
+  const consoleErrors = collectConsoleErrors(contextEvents)
+    .filter(e => time === null || e.time === null || e.time <= time);
+
+  const summarize = action => ({
+    apiName: action.apiName,
+    selector: action.selector,
+    url: action.url,
+    duration: action.endTime !== null && action.startTime !== null ? Math.round(action.endTime - action.startTime) : null,
+    error: firstLine(action.error)
+  });
+
+  return {
+    actions: actions.slice(Math.max(0, upTo - actionCount), upTo).map(summarize),
+    failedAction: failed ? summarize(failed) : null,
+    failedRequests: collectFailedRequests(networkEvents.concat(contextEvents)).slice(-MAX_REQUESTS),
+    consoleErrors: consoleErrors.slice(-MAX_CONSOLE).map(({ kind, text, location }) => ({ kind, text: firstLine(text), location })),
+    pageURL: pageURLAt(contextEvents, actions, failed, time)
+  };
+}
+
+module.exports = { readTrace, DEFAULT_ACTIONS };
@@ -0,0 +1,124 @@
+/**
+ * lib/visual-approvals.js
+ * Approvals of visual changes, recorded with `/approve-visual` PR comments.
+ *
+ * An approval is keyed by the screenshot (test, snapshot and position) and
+ * the hash of the approved image: the PR screenshot for new and changed
+ * screenshots, the main screenshot for removed ones. Two tests producing the
+ * same image are approved separately, and as soon as the screenshot changes
+ * again the hash no longer matches and the change has to be reviewed again.
+ *
+ * Approvals live as a JSON payload in a hidden HTML comment of a bot comment
+ * on the PR; approve-visual.js --fetch copies them to
+ * artifacts/visual-approvals.json for visual-regression.js.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const DEFAULT_APPROVALS_FILE = 'artifacts/visual-approvals.json';
+
+/* hidden payload markers */
+const APPROVALS_MARKER = 'gui-visual-approvals';
+const CHANGES_MARKER = 'gui-visual-changes';
+
+/* statuses a reviewer can accept */
+const APPROVABLE = ['negligible', 'minor', 'major', 'undecodable', 'new', 'removed'];
+
+/* ─── hashes ──────────────────────────────────────────── */
+
+function imageHash(file) {
+  if (!file) return null;
+  try {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 16);
+  } catch {
+    return null;
+  }
+}
+
+/* removed screenshots have no PR image; the main image is what gets accepted */
+const imageKey = ({ status, prHash, mainHash }) =>
+  status === 'removed' ? (mainHash ? `removed:${mainHash}` : null) : prHash || null;
+
+/* "<identityKey>|<image key>"; screenshots the report could not identify only have the image */
+function approvalKey(comp) {
+  const image = imageKey(comp);
+  if (!image) return null;
+  return comp.identityKey ? `${comp.identityKey}|${image}` : image;
+}
+
+/* ─── hidden comment payloads ─────────────────────────── */
+
+/* base64 keeps "-->" and markdown out of the payload */
+const embedPayload = (marker, data) =>
+  `<!-- ${marker}:${Buffer.from(JSON.stringify(data)).toString('base64')} -->`;
+
+function extractPayload(body, marker) {
+  const match = (body || '').match(new RegExp(`<!-- ${marker}:([A-Za-z0-9+/=]+) -->`));
+  if (!match) return null;
+  try {
+    return JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/* ─── approvals ───────────────────────────────────────── */
+
+function loadApprovals(file = process.env.VISUAL_APPROVALS || DEFAULT_APPROVALS_FILE) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && typeof data.approvals === 'object' ? data.approvals : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * The approval covering a comparison, if any. Approvals stored before they
+ * were keyed by screenshot are found by image hash and only apply to the
+ * test they were recorded for.
+ */
+function findApproval(approvals, comp) {
+  const key = approvalKey(comp);
+  if (!key) return null;
+  if (approvals[key]) return approvals[key];
+  const legacy = approvals[imageKey(comp)];
+  if (!legacy) return null;
+  if (legacy.testId && comp.testId && legacy.testId !== comp.testId) return null;
+  return legacy;
+}
+
+/* ─── commands ────────────────────────────────────────── */
+
+/**
+ * "/approve-visual home-page checkout*" → { all: false, targets: ['home-page', 'checkout*'] }
+ * Several command lines may appear in one comment; quoted names may contain spaces.
+ */
+function parseApproveCommand(body) {
+  const targets = [];
+  let found = false;
+  (body || '').split(/\r?\n/).forEach(line => {
+    const match = line.trim().match(/^\/approve-visual\b(.*)$/);
+    if (!match) return;
+    found = true;
+    const args = match[1].match(/"[^"]*"|'[^']*'|\S+/g) || [];
+    args.forEach(arg => targets.push(arg.replace(/^["']|["']$/g, '')));
+  });
+  if (!found) return null;
+  return { all: targets.includes('all'), targets: targets.filter(t => t && t !== 'all') };
+}
+
+module.exports = {
+  DEFAULT_APPROVALS_FILE,
+  APPROVALS_MARKER,
+  CHANGES_MARKER,
+  APPROVABLE,
+  imageHash,
+  approvalKey,
+  embedPayload,
+  extractPayload,
+  loadApprovals,
+  findApproval,
+  parseApproveCommand
+};
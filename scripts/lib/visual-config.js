@@ -0,0 +1,261 @@
+/**
+ * lib/visual-config.js
+ * Loads visual-regression.config.json and answers "which rules apply to
+ * this screenshot?".
+ *
+ * Rules are scoped with optional globs; a rule without scope is global:
+ *   test      – matched against the title path ("Suite › test") and the
+ *               display title ("Suite › test [project]")
+ *   file      – spec file path, e.g. "tests/checkout/**"
+ *   snapshot  – toHaveScreenshot name or attachment name
+ *   project   – Playwright project name
+ *
+ * {
+ *   "ignore": [
+ *     { "rect": { "x": 0, "y": 0, "width": 1280, "height": 64 }, "snapshot": "home*", "reason": "clock" },
+ *     { "selector": "[data-testid=avatar]", "reason": "random avatar" }
+ *   ],
+ *   "defaults": { "negligible": 0.1, "minor": 1 },
+ *   "thresholds": [
+ *     { "test": "Checkout › **", "negligible": 0, "minor": 0 },
+ *     { "file": "tests/marketing/**", "negligible": 2, "minor": 5, "colorThreshold": 0.2 }
+ *   ]
+ * }
+ *
+ * Thresholds are diff percentages: below `negligible` → negligible, below
+ * `minor` → minor, anything else → major. The first matching rule wins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = 'visual-regression.config.json';
+const SCOPE_KEYS = ['test', 'file', 'snapshot', 'project'];
+
+/* identical / negligible (<0.1%) / minor (<1%) / major */
+const DEFAULT_THRESHOLDS = { negligible: 0.1, minor: 1 };
+
+/* ─── glob matching ───────────────────────────────────── */
+
+/**
+ * Glob → RegExp. Supports *, ** (crosses "/"), ? and {a,b}.
+ * Matching is case-sensitive and anchored.
+ */
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        re += '.*';
+        i++;
+        if (glob[i + 1] === '/') i++;
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        re += '\\{';
+      } else {
+        re += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+        i = end;
+      }
+    } else {
+      re += escapeRegExp(c);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+const escapeRegExp = s => s.replace(/[.*+?^$()|[\]\\{}]/g, '\\$&');
+
+const globCache = new Map();
+function globMatch(glob, value) {
+  if (!globCache.has(glob)) globCache.set(glob, globToRegExp(glob));
+  return globCache.get(glob).test(value);
+}
+
+/* one glob or a list of globs; any match counts */
+const anyGlob = (globs, values) =>
+  [].concat(globs).some(glob => values.some(value => value && globMatch(glob, value)));
+
+/* ─── scope ───────────────────────────────────────────── */
+
+/* the strings each scope key is matched against */
+function scopeValues(shot) {
+  const titlePath = shot.titlePath || [];
+  return {
+    test: [
+      titlePath.join(' › '),
+      titlePath.join(' > '),
+      shot.displayTitle,
+      shot.testName
+    ],
+    file: [shot.file, shot.testLocation],
+    snapshot: [shot.snapshotName, shot.attachmentName],
+    project: [shot.project]
+  };
+}
+
+/* does the rule's scope cover this screenshot? */
+function appliesTo(rule, shot) {
+  const values = scopeValues(shot);
+  return SCOPE_KEYS.every(key => rule[key] === undefined || anyGlob(rule[key], values[key]));
+}
+
+const isGlobal = rule => SCOPE_KEYS.every(key => rule[key] === undefined);
+
+/* short human readable form of a rule's scope, e.g. "snapshot=home*" */
+const describeScope = rule =>
+  isGlobal(rule)
+    ? 'global'
+    : SCOPE_KEYS.filter(key => rule[key] !== undefined).map(key => `${key}=${[].concat(rule[key]).join(',')}`).join(' ');
+
+/* ─── validation ──────────────────────────────────────── */
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+function validateScope(rule, where, problems) {
+  SCOPE_KEYS.forEach(key => {
+    const value = rule[key];
+    if (value === undefined) return;
+    const globs = [].concat(value);
+    if (!globs.length || globs.some(g => typeof g !== 'string' || !g)) {
+      problems.push(`${where}: "${key}" must be a glob string or a list of glob strings`);
+    }
+  });
+}
+
+function normalizeIgnore(entry, index, problems) {
+  const where = `ignore[${index}]`;
+  if (!entry || typeof entry !== 'object') {
+    problems.push(`${where}: must be an object`);
+    return null;
+  }
+  validateScope(entry, where, problems);
+
+  if (entry.rect) {
+    const { x, y, width, height } = entry.rect;
+    if (![x, y, width, height].every(isNumber) || width <= 0 || height <= 0 || x < 0 || y < 0) {
+      problems.push(`${where}: rect needs non-negative numbers x, y and positive width, height`);
+      return null;
+    }
+  } else if (typeof entry.selector !== 'string' || !entry.selector.trim()) {
+    problems.push(`${where}: needs either "rect" or "selector"`);
+    return null;
+  }
+
+  return { ...entry, id: `ignore[${index}]`, reason: entry.reason || null };
+}
+
+function normalizeThreshold(entry, where, problems, fallback) {
+  if (!entry || typeof entry !== 'object') {
+    problems.push(`${where}: must be an object`);
+    return null;
+  }
+  validateScope(entry, where, problems);
+
+  const rule = { ...fallback, ...entry };
+  // setting only one bound should not conflict with the inherited other one
+  if (entry.minor === undefined && isNumber(entry.negligible)) rule.minor = Math.max(fallback.minor, entry.negligible);
+  if (entry.negligible === undefined && isNumber(entry.minor)) rule.negligible = Math.min(fallback.negligible, entry.minor);
+  const invalid = ['negligible', 'minor'].filter(key => !isNumber(rule[key]) || rule[key] < 0 || rule[key] > 100);
+  if (invalid.length) {
+    problems.push(`${where}: ${invalid.join(' and ')} must be a percentage between 0 and 100`);
+    return null;
+  }
+  if (rule.negligible > rule.minor) {
+    problems.push(`${where}: negligible (${rule.negligible}) must not be above minor (${rule.minor})`);
+    return null;
+  }
+  if (rule.colorThreshold !== undefined && (!isNumber(rule.colorThreshold) || rule.colorThreshold < 0 || rule.colorThreshold > 1)) {
+    problems.push(`${where}: colorThreshold must be between 0 and 1`);
+    return null;
+  }
+  return rule;
+}
+
+/* ─── loading ─────────────────────────────────────────── */
+
+const EMPTY_CONFIG = {
+  source: null,
+  ignore: [],
+  defaults: { ...DEFAULT_THRESHOLDS, id: 'default' },
+  thresholds: [],
+  problems: []
+};
+
+/**
+ * Read and validate the config. Invalid entries are dropped and reported in
+ * `problems`; a missing file is not an error.
+ */
+function loadVisualConfig(file = process.env.VISUAL_CONFIG || DEFAULT_CONFIG_FILE) {
+  if (!file || !fs.existsSync(file)) return { ...EMPTY_CONFIG };
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return { ...EMPTY_CONFIG, source: file, problems: [`${path.basename(file)}: ${err.message}`] };
+  }
+
+  const problems = [];
+  const ignore = (Array.isArray(raw.ignore) ? raw.ignore : [])
+    .map((entry, i) => normalizeIgnore(entry, i, problems))
+    .filter(Boolean);
+  if (raw.ignore !== undefined && !Array.isArray(raw.ignore)) problems.push('"ignore" must be an array');
+
+  const defaults = raw.defaults === undefined
+    ? EMPTY_CONFIG.defaults
+    : { ...(normalizeThreshold(raw.defaults, 'defaults', problems, DEFAULT_THRESHOLDS) || DEFAULT_THRESHOLDS), id: 'default' };
+  const thresholds = (Array.isArray(raw.thresholds) ? raw.thresholds : [])
+    .map((entry, i) => {
+      const rule = normalizeThreshold(entry, `thresholds[${i}]`, problems, defaults);
+      return rule && { ...rule, id: `thresholds[${i}]` };
+    })
+    .filter(Boolean);
+  if (raw.thresholds !== undefined && !Array.isArray(raw.thresholds)) problems.push('"thresholds" must be an array');
+
+  return { source: file, ignore, defaults, thresholds, problems };
+}
+
+/* ─── classification ──────────────────────────────────── */
+
+/**
+ * The threshold rule for a screenshot: the first matching entry of
+ * "thresholds", otherwise the defaults.
+ */
+function thresholdFor(config, shot) {
+  const rule = config.thresholds.find(r => appliesTo(r, shot)) || config.defaults;
+  return {
+    rule: rule.id,
+    scope: rule.id === 'default' ? 'default' : describeScope(rule),
+    negligible: rule.negligible,
+    minor: rule.minor,
+    colorThreshold: rule.colorThreshold
+  };
+}
+
+/* identical | negligible | minor | major, or undecodable when the images differ but have no diffPercent */
+function classify(hasDiff, diffPercent, threshold) {
+  if (!hasDiff) return 'identical';
+  if (diffPercent === null || diffPercent === undefined) return 'undecodable';
+  if (diffPercent < threshold.negligible) return 'negligible';
+  if (diffPercent < threshold.minor) return 'minor';
+  return 'major';
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  DEFAULT_THRESHOLDS,
+  globToRegExp,
+  globMatch,
+  appliesTo,
+  describeScope,
+  loadVisualConfig,
+  thresholdFor,
+  classify
+};
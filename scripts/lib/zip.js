@@ -0,0 +1,82 @@
+/**
+ * lib/zip.js
+ * Minimal ZIP reader (stored + deflate) built on zlib.
+ *
+ * Enough to open the archive embedded in Playwright's HTML report
+ * (window.playwrightReportBase64) without extra dependencies.
+ */
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+function findEndOfCentralDirectory(buf) {
+  // the comment can be up to 64 KiB, so scan backwards from the end
+  const stop = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  throw new Error('Not a zip archive (end of central directory not found)');
+}
+
+/**
+ * List the entries of a zip buffer.
+ * Each entry has { name, size, compressedSize, method, read() }.
+ */
+function readZip(buf) {
+  const eocd = findEndOfCentralDirectory(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error(`Corrupt zip: bad central directory entry #${i}`);
+    }
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const size = buf.readUInt32LE(offset + 24);
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const extraLength = buf.readUInt16LE(offset + 30);
+    const commentLength = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const name = buf.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.push({
+      name,
+      size,
+      compressedSize,
+      method,
+      read: () => readEntry(buf, { name, method, compressedSize, localOffset })
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function readEntry(buf, entry) {
+  const at = entry.localOffset;
+  if (buf.readUInt32LE(at) !== LOCAL_SIGNATURE) {
+    throw new Error(`Corrupt zip: bad local header for ${entry.name}`);
+  }
+  const start = at + 30 + buf.readUInt16LE(at + 26) + buf.readUInt16LE(at + 28);
+  const data = buf.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return Buffer.from(data);
+  if (entry.method === 8) return zlib.inflateRawSync(data);
+  throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+}
+
+/* convenience: { name → Buffer } for every entry whose name passes the filter */
+function unzip(buf, filter = () => true) {
+  const files = {};
+  readZip(buf).forEach(entry => {
+    if (!entry.name.endsWith('/') && filter(entry.name)) files[entry.name] = entry.read();
+  });
+  return files;
+}
+
+const isZip = buf => buf.length >= 4 && buf.readUInt32LE(0) === LOCAL_SIGNATURE;
+
+module.exports = { readZip, unzip, isZip };
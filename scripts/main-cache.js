@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/**
+ * main-cache.js
+ * Content-addressed cache of the main-branch test run.
+ *
+ * Every PR push used to run the whole suite on main again, although main
+ * usually hasn't moved. The results of a main run (HTML report with its
+ * screenshots, JSON metrics and summary) only depend on the main commit and
+ * on how the suite is run, so they are stored under
+ *
+ *   <main SHA>-<config hash>
+ *
+ * where the config hash covers the Playwright config, the visual config,
+ * the test-files pattern and the installed Playwright version.
+ *
+ *   node main-cache.js key <sha>       print the cache key
+ *   node main-cache.js restore <key>   copy a cached run into artifacts/
+ *   node main-cache.js store <key>     put the main run from artifacts/ into the cache
+ *
+ * Layout of the cache directory (MAIN_CACHE_PATH, default .gui-test-cache),
+ * meant to be persisted with actions/cache:
+ *
+ *   objects/ab/cdef…      file contents, named by their SHA-256
+ *   entries/<key>.json    { key, sha, configHash, createdAt, files: { path: hash } }
+ *
+ * Screenshots that did not change between main commits are stored once.
+ * Only the newest MAIN_CACHE_ENTRIES (default 3) entries are kept.
+ *
+ * restore and store write artifacts/main-cache.json ({ key, sha, hit, … }).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadComparisonBase, baseRecord } = require('./lib/comparison-base');
+
+const ART = 'artifacts';
+const CACHE_DIR = process.env.MAIN_CACHE_PATH || '.gui-test-cache';
+const MAX_ENTRIES = parseInt(process.env.MAIN_CACHE_ENTRIES, 10) || 3;
+const STATUS_FILE = path.join(ART, 'main-cache.json');
+
+/* what a main run leaves behind, relative to the workspace */
+const MAIN_OUTPUTS = [
+  path.join(ART, 'main-report'),
+  path.join(ART, 'playwright-metrics-main.json'),
+  path.join(ART, 'playwright-summary-main.json')
+];
+
+/* ─── hashing ─────────────────────────────────────────── */
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+function readIfExists(file) {
+  try {
+    return fs.readFileSync(file);
+  } catch {
+    return null;
+  }
+}
+
+/* installed version, or the locked one before `npm ci` (e.g. in the baseline worktree) */
+function playwrightVersion() {
+  let lock = {};
+  try {
+    lock = JSON.parse(readIfExists('package-lock.json') || '{}').packages || {};
+  } catch {
+    // no usable lock file
+  }
+  for (const pkg of ['@playwright/test', 'playwright']) {
+    try {
+      return JSON.parse(readIfExists(path.join('node_modules', pkg, 'package.json'))).version;
+    } catch {
+      if (lock[`node_modules/${pkg}`]?.version) return lock[`node_modules/${pkg}`].version;
+    }
+  }
+  return 'unknown';
+}
+
+/*
+ * Everything besides the main commit that changes what the main run
+ * produces. Missing files hash as "missing", so adding one changes the key.
+ */
+function configHash() {
+  const configFile = process.env.PLAYWRIGHT_CONFIG || 'playwright.config.js';
+  const visualConfig = process.env.VISUAL_CONFIG || 'visual-regression.config.json';
+  const parts = [
+    `playwright-config:${configFile}:${sha256(readIfExists(configFile) || 'missing')}`,
+    `visual-config:${visualConfig}:${sha256(readIfExists(visualConfig) || 'missing')}`,
+    `test-files:${process.env.TEST_FILES || ''}`,
+    `playwright:${playwrightVersion()}`
+  ];
+  return sha256(parts.join('\n'));
+}
+
+function cacheKey(sha) {
+  if (!/^[0-9a-f]{7,40}$/i.test(sha || '')) throw new Error(`Not a commit SHA: "${sha}"`);
+  return `${sha.toLowerCase()}-${configHash().slice(0, 16)}`;
+}
+
+/* ─── cache directory ─────────────────────────────────── */
+
+const objectPath = hash => path.join(CACHE_DIR, 'objects', hash.slice(0, 2), hash.slice(2));
+const entryPath = key => path.join(CACHE_DIR, 'entries', `${key}.json`);
+
+function listFiles(target) {
+  if (!fs.existsSync(target)) return [];
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target, { withFileTypes: true })
+    .flatMap(entry => listFiles(path.join(target, entry.name)));
+}
+
+function readEntry(key) {
+  try {
+    return JSON.parse(fs.readFileSync(entryPath(key), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeStatus(status) {
+  fs.mkdirSync(ART, { recursive: true });
+  fs.writeFileSync(STATUS_FILE, JSON.stringify({ ...status, base: baseRecord(loadComparisonBase()) }, null, 2));
+}
+
+/* keep the newest entries and drop objects no entry refers to any more */
+function prune() {
+  const dir = path.join(CACHE_DIR, 'entries');
+  if (!fs.existsSync(dir)) return;
+  const entries = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => ({ name, entry: readEntry(name.replace(/\.json$/, '')) }))
+    .sort((a, b) => String(b.entry?.createdAt).localeCompare(String(a.entry?.createdAt)));
+
+  entries.slice(MAX_ENTRIES).forEach(({ name }) => fs.rmSync(path.join(dir, name), { force: true }));
+  const used = new Set(entries.slice(0, MAX_ENTRIES).flatMap(({ entry }) => Object.values(entry?.files || {})));
+
+  let removed = 0;
+  listFiles(path.join(CACHE_DIR, 'objects')).forEach(file => {
+    const hash = path.basename(path.dirname(file)) + path.basename(file);
+    if (used.has(hash)) return;
+    fs.rmSync(file, { force: true });
+    removed++;
+  });
+  if (removed) console.log(`🧹 Removed ${removed} unused cached file(s)`);
+}
+
+/* ─── commands ────────────────────────────────────────── */
+
+function store(key) {
+  const [sha, configDigest] = key.split('-');
+  const files = {};
+  let bytes = 0;
+  let added = 0;
+  MAIN_OUTPUTS.flatMap(listFiles).forEach(file => {
+    const data = fs.readFileSync(file);
+    const hash = sha256(data);
+    const target = objectPath(hash);
+    if (!fs.existsSync(target)) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, data);
+      added++;
+    }
+    files[file.split(path.sep).join('/')] = hash;
+    bytes += data.length;
+  });
+
+  if (!Object.keys(files).length) {
+    console.log('ℹ️  No main-branch results to cache');
+    writeStatus({ key, sha, hit: false, stored: false });
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(entryPath(key)), { recursive: true });
+  fs.writeFileSync(entryPath(key), JSON.stringify({
+    key,
+    sha,
+    configHash: configDigest,
+    createdAt: new Date().toISOString(),
+    files
+  }, null, 2));
+  prune();
+
+  console.log(`💾 Cached ${Object.keys(files).length} main-branch file(s) (${(bytes / 1024 / 1024).toFixed(1)} MB, ${added} new) as ${key}`);
+  writeStatus({ key, sha, hit: false, stored: true, files: Object.keys(files).length, bytes });
+}
+
+function restore(key) {
+  const entry = readEntry(key);
+  const missing = entry ? Object.values(entry.files).filter(hash => !fs.existsSync(objectPath(hash))) : [];
+  if (!entry || missing.length) {
+    console.log(entry
+      ? `⚠️  Cache entry ${key} is incomplete (${missing.length} file(s) missing) – running main again`
+      : `🔍 No cached main run for ${key}`);
+    writeStatus({ key, sha: entry?.sha || null, hit: false });
+    return false;
+  }
+
+  let bytes = 0;
+  Object.entries(entry.files).forEach(([file, hash]) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.copyFileSync(objectPath(hash), file);
+    bytes += fs.statSync(file).size;
+  });
+  console.log(`♻️  Reusing main-branch results of ${entry.sha.slice(0, 7)} from ${entry.createdAt} (${Object.keys(entry.files).length} file(s))`);
+  writeStatus({ key, sha: entry.sha, hit: true, cachedAt: entry.createdAt, files: Object.keys(entry.files).length, bytes });
+  return true;
+}
+
+if (require.main === module) {
+  const [command, arg] = process.argv.slice(2);
+  try {
+    switch (command) {
+      case 'key':
+        console.log(cacheKey(arg));
+        break;
+      case 'restore':
+        restore(arg);
+        break;
+      case 'store':
+        store(arg);
+        break;
+      default:
+        console.error('Usage: main-cache.js key <sha> | restore <key> | store <key>');
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Main-branch cache error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { cacheKey, configHash, restore, store };
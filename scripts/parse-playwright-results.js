@@ -1,55 +1,62 @@
+#!/usr/bin/env node
+/**
+ * parse-playwright-results.js
+ * Builds the compact Playwright summary from the JSON reporter output.
+ *
+ *   node parse-playwright-results.js [metrics.json] [summary.json]
+ *
+ * Writes the summary JSON (playwright-summary-*.json shape) and a
+ * human-readable test-summary*.txt next to it. Counting is done by
+ * lib/playwright-results so the numbers match every other report.
+ */
 const fs = require('fs');
 const path = require('path');
+const { loadResults, DEFAULT_CANDIDATES } = require('./lib/playwright-results');
 
-const reportPath = path.join(__dirname, '../metrics.json');
-if (!fs.existsSync(reportPath)) {
+const ART = 'artifacts';
+const [metricsArg, summaryArg] = process.argv.slice(2);
+
+const results = loadResults(metricsArg ? [metricsArg] : DEFAULT_CANDIDATES);
+if (!results) {
   console.log('No test results found.');
   process.exit(0);
 }
 
-const report = JSON.parse(fs.readFileSync(reportPath, 'utf-8'));
-
-let passed = 0;
-let failed = 0;
-let skipped = 0;
-let total = 0;
-
-const lines = [];
-
-for (const suite of report.suites) {
-  for (const spec of suite.specs) {
-    for (const test of spec.tests) {
-      const result = test.results[0];
-      const status = result.status;
-      total++;
-
-      if (status === 'passed') {
-        passed++;
-        lines.push(`✔️ ${spec.title}`);
-      } else if (status === 'failed') {
-        failed++;
-        lines.push(`❌ ${spec.title}`);
-      } else {
-        skipped++;
-        lines.push(`⚠️ ${spec.title}`);
-      }
-    }
-  }
-}
-
-const summary = [];
-summary.push(`### Playwright Test Results`);
-summary.push(`- Total tests: ${total}`);
-summary.push(`- Passed: ${passed}`);
-summary.push(`- Failed: ${failed}`);
-if (skipped > 0) summary.push(`- Skipped: ${skipped}`);
-summary.push(`\n**Test Summary**`);
-lines.forEach(line => summary.push(line));
+const { summary, tests } = results;
+
+const lines = tests.map(test => {
+  const name = results.multiProject && test.project ? `${test.fullTitle} [${test.project}]` : test.fullTitle;
+  if (test.status === 'passed') return `✔️ ${name}`;
+  if (test.status === 'flaky') return `🎲 ${name} (passed after ${test.retries} retr${test.retries === 1 ? 'y' : 'ies'})`;
+  if (test.status === 'failed') return `❌ ${name}`;
+  return `⚠️ ${name}`;
+});
+
+const text = [];
+text.push(`### Playwright Test Results`);
+text.push(`- Total tests: ${summary.total}`);
+text.push(`- Passed: ${summary.passed}`);
+text.push(`- Failed: ${summary.failed}`);
+if (summary.flaky > 0) text.push(`- Flaky: ${summary.flaky}`);
+if (summary.skipped > 0) text.push(`- Skipped: ${summary.skipped}`);
+text.push(`\n**Test Summary**`);
+lines.forEach(line => text.push(line));
 
 // Append link to report (will be dynamic via env var in workflow)
 if (process.env.GITHUB_RUN_ID && process.env.GITHUB_REPOSITORY) {
   const reportUrl = `https://github.com/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}`;
-  summary.push(`\n**Full HTML report:** [View in Actions](${reportUrl})`);
+  text.push(`\n**Full HTML report:** [View in Actions](${reportUrl})`);
 }
 
-fs.writeFileSync('scripts/summary.txt', summary.join('\n'));
+// playwright-summary-pr.json → test-summary-pr.txt, no summary path → artifacts/test-summary.txt
+const textPath = summaryArg
+  ? path.join(path.dirname(summaryArg), path.basename(summaryArg, '.json').replace('playwright-summary', 'test-summary') + '.txt')
+  : path.join(ART, 'test-summary.txt');
+fs.mkdirSync(path.dirname(textPath), { recursive: true });
+fs.writeFileSync(textPath, text.join('\n'));
+
+if (summaryArg) {
+  const failedTests = [...new Set(tests.filter(t => t.status === 'failed').map(t => t.fullTitle))];
+  fs.writeFileSync(summaryArg, JSON.stringify({ ...summary, failed_tests: failedTests }, null, 2));
+  console.log(`✅ ${path.basename(summaryArg)} written (${summary.total} tests from ${results.source})`);
+}
@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+/**
+ * review-baseline-changes.js
+ * Lists the baseline snapshots (tests/*.spec.ts-snapshots/*.png) that the PR
+ * itself adds, modifies or deletes, e.g. after `--update-snapshots`.
+ *
+ * The git diff between the merge-base and head (base...head) is read
+ * directly, so this works without running any tests, and baselines changed
+ * on main since the PR branched off are not listed. Old and new versions are
+ * written side by side with a pixel diff so every accepted visual change is
+ * reviewed explicitly.
+ *
+ *   BASE_SHA         diff from the merge-base with this commit
+ *                    (default: the merge-base with origin/MAIN_BRANCH, as in base-worktree.js)
+ *   HEAD_SHA         head commit (default: HEAD)
+ *   PR_HEAD_SHA      PR head, to recognise GitHub's test merge commit
+ *   BASELINE_PATHS   git pathspec of the baselines
+ *
+ * Writes artifacts/baseline-changes.json, .md, .html and the images under
+ * artifacts/baseline-changes/. The HTML shows their previews from
+ * lib/report-assets.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { isPNG } = require('./lib/png');
+const { diffPNGs } = require('./lib/image-diff');
+const { loadVisualConfig, thresholdFor, classify } = require('./lib/visual-config');
+const { imageAttributes, saveManifest } = require('./lib/report-assets');
+const { mergeBase } = require('./base-worktree');
+
+const ART = 'artifacts';
+const IMAGE_DIR = path.join(ART, 'baseline-changes');
+const PATHSPEC = process.env.BASELINE_PATHS || ':(glob)**/*-snapshots/**/*.png';
+
+/* same pixel diff settings as visual-regression.js */
+const DIFF_OPTIONS = {
+  threshold: Number.isFinite(parseFloat(process.env.VISUAL_DIFF_THRESHOLD)) ? parseFloat(process.env.VISUAL_DIFF_THRESHOLD) : 0.1,
+  includeAA: process.env.VISUAL_DIFF_INCLUDE_AA === 'true'
+};
+
+/* platform suffixes Playwright appends to snapshot names */
+const PLATFORMS = ['linux', 'darwin', 'win32'];
+
+const STATUS = { A: 'added', M: 'modified', T: 'modified', D: 'deleted', R: 'renamed', C: 'added' };
+
+/* ─── git ─────────────────────────────────────────────── */
+
+const git = (args, options = {}) =>
+  execFileSync('git', args, { maxBuffer: 512 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'], ...options });
+
+const gitText = args => git(args, { encoding: 'utf8' }).trim();
+
+/* base is where the PR branched off, so a two-dot diff from it only shows the PR's own changes */
+function resolveRange() {
+  const head = gitText(['rev-parse', '--verify', `${process.env.HEAD_SHA || 'HEAD'}^{commit}`]);
+  const base = process.env.BASE_SHA ? gitText(['merge-base', process.env.BASE_SHA, head]) : mergeBase(head);
+  // a shallow checkout of GitHub's merge commit does not contain its parents
+  try {
+    git(['cat-file', '-e', `${base}^{commit}`]);
+  } catch {
+    git(['fetch', '--quiet', '--no-tags', '--depth=1', 'origin', base]);
+  }
+  return { base: gitText(['rev-parse', '--verify', `${base}^{commit}`]), head };
+}
+
+/* added / modified / deleted / renamed baseline files between two commits */
+function listChanges(base, head) {
+  const out = git(['diff', '--name-status', '-z', '--find-renames', '--no-color', base, head, '--', PATHSPEC], {
+    encoding: 'utf8'
+  });
+  const fields = out.split('\0').filter(Boolean);
+  const changes = [];
+  for (let i = 0; i < fields.length; ) {
+    const code = fields[i++];
+    const status = STATUS[code[0]];
+    if (code[0] === 'R' || code[0] === 'C') {
+      const from = fields[i++];
+      const to = fields[i++];
+      changes.push({ status, path: to, oldPath: code[0] === 'R' ? from : null, similarity: parseInt(code.slice(1), 10) || null });
+    } else if (status) {
+      changes.push({ status, path: fields[i++], oldPath: null, similarity: null });
+    } else {
+      i++; // unmerged / unknown entries carry one path
+    }
+  }
+  return changes;
+}
+
+const readBlob = (rev, file) => git(['show', `${rev}:${file}`]);
+
+/* ─── snapshot paths ──────────────────────────────────── */
+
+/**
+ * "tests/login.spec.ts-snapshots/form-chromium-linux.png" →
+ * { spec: "tests/login.spec.ts", snapshot: "form-chromium", platform: "linux" }
+ */
+function describeSnapshotPath(file) {
+  const parts = file.split('/');
+  const dirIndex = parts.findIndex(p => p.endsWith('-snapshots'));
+  const spec = dirIndex === -1 ? null : [...parts.slice(0, dirIndex), parts[dirIndex].replace(/-snapshots$/, '')].join('/');
+  let snapshot = (dirIndex === -1 ? parts.slice(-1) : parts.slice(dirIndex + 1)).join('/').replace(/\.png$/i, '');
+  let platform = null;
+  const suffix = PLATFORMS.find(p => snapshot.endsWith(`-${p}`));
+  if (suffix) {
+    platform = suffix;
+    snapshot = snapshot.slice(0, -suffix.length - 1);
+  }
+  return { spec, snapshot, platform };
+}
+
+const slug = file => path.basename(file, path.extname(file)).replace(/[^a-z0-9_-]+/gi, '_').slice(0, 60);
+
+/* ─── comparison ──────────────────────────────────────── */
+
+function writeImage(name, buffer) {
+  const file = path.join(IMAGE_DIR, name);
+  fs.writeFileSync(file, buffer);
+  return path.relative(ART, file);
+}
+
+function reviewChange(change, index, range, config) {
+  const info = describeSnapshotPath(change.path);
+  const entry = { ...change, ...info, oldImage: null, newImage: null, diffImage: null };
+  const prefix = `${String(index + 1).padStart(3, '0')}-${slug(change.path)}`;
+
+  let oldBuf = null;
+  let newBuf = null;
+  try {
+    if (change.status !== 'added') oldBuf = readBlob(range.base, change.oldPath || change.path);
+    if (change.status !== 'deleted') newBuf = readBlob(range.head, change.path);
+  } catch (err) {
+    return { ...entry, error: `could not read blob: ${err.message.split('\n')[0]}` };
+  }
+
+  if (oldBuf) entry.oldImage = writeImage(`${prefix}-old.png`, oldBuf);
+  if (newBuf) entry.newImage = writeImage(`${prefix}-new.png`, newBuf);
+  if (!oldBuf || !newBuf) return entry;
+
+  if (oldBuf.equals(newBuf)) {
+    return { ...entry, hasDiff: false, diffPercent: 0, pixelDiff: 0, level: 'identical' };
+  }
+  // the bytes differ, but without decoding there is no pixel difference to classify
+  if (!isPNG(oldBuf) || !isPNG(newBuf)) {
+    return { ...entry, hasDiff: true, diffPercent: null, level: 'undecodable', reason: 'not a PNG image' };
+  }
+
+  const threshold = thresholdFor(config, { file: info.spec, snapshotName: info.snapshot });
+  try {
+    const result = diffPNGs(oldBuf, newBuf, {
+      ...DIFF_OPTIONS,
+      ...(threshold.colorThreshold === undefined ? {} : { threshold: threshold.colorThreshold })
+    });
+    const hasDiff = result.diffPixels > 0;
+    const diffPercent = parseFloat(result.diffPercent.toFixed(2));
+    if (hasDiff) entry.diffImage = writeImage(`${prefix}-diff.png`, result.diffPNG);
+    return {
+      ...entry,
+      hasDiff,
+      diffPercent,
+      pixelDiff: result.diffPixels,
+      level: classify(hasDiff, diffPercent, threshold),
+      classifiedBy: threshold.rule,
+      oldSize: result.expectedSize,
+      newSize: result.actualSize,
+      sizeMismatch: result.sizeMismatch,
+      regionCount: result.regions.length,
+      regions: result.regions.slice(0, 10)
+    };
+  } catch (err) {
+    return { ...entry, hasDiff: true, diffPercent: null, level: 'undecodable', reason: err.message };
+  }
+}
+
+/* ─── reports ─────────────────────────────────────────── */
+
+const STATUS_ICON = { added: '🆕', modified: '✏️', deleted: '🗑️', renamed: '🔀' };
+
+function describeChange(c) {
+  if (c.error) return `⚠️ ${c.error}`;
+  if (c.status === 'added') return 'new baseline';
+  if (c.status === 'deleted') return 'baseline removed';
+  if (!c.hasDiff) return c.status === 'renamed' ? 'moved, pixels unchanged' : 'pixels unchanged';
+  if (c.level === 'undecodable') return `cannot compare: ${c.reason}`;
+  const parts = [`${c.diffPercent}% changed (${c.level})`];
+  if (c.regionCount) parts.push(`${c.regionCount} region${c.regionCount === 1 ? '' : 's'}`);
+  if (c.sizeMismatch) parts.push(`${c.oldSize.width}×${c.oldSize.height} → ${c.newSize.width}×${c.newSize.height}`);
+  return parts.join(', ');
+}
+
+function generateMarkdown(report) {
+  const { summary } = report;
+  let md = '# Baselines Changed by This PR\n\n';
+  if (!report.changes.length) {
+    md += '✅ No baseline snapshots were added, modified or deleted.\n';
+    return md;
+  }
+  md += `Comparing \`${report.base.slice(0, 8)}\` → \`${report.head.slice(0, 8)}\`: `;
+  md += `${summary.added} added, ${summary.modified} modified, ${summary.deleted} deleted, ${summary.renamed} renamed.\n\n`;
+  md += '| | Baseline | Change |\n|---|---|---|\n';
+  report.changes.forEach(c => {
+    const name = c.oldPath ? `\`${c.oldPath}\` → \`${c.path}\`` : `\`${c.path}\``;
+    md += `| ${STATUS_ICON[c.status]} | ${name} | ${describeChange(c)} |\n`;
+  });
+  return md;
+}
+
+function generateHTML(report) {
+  const escape = s => String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+  const image = (label, src) => `
+        <div class="bc-image">
+          <div class="bc-image-label">${label}</div>
+          ${src ? `<img ${imageAttributes(path.join(ART, src))} loading="lazy" onclick="openImageModal(this.dataset.full || this.src)">` : '<div class="bc-image-empty">—</div>'}
+        </div>`;
+
+  return `
+<div class="baseline-changes-container">
+  <style>
+    .baseline-changes-container {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: #1e293b;
+      color: #f1f5f9;
+      padding: 2rem;
+      border-radius: 12px;
+      margin-top: 2rem;
+    }
+
+    .bc-change {
+      background: rgba(255, 255, 255, 0.05);
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 8px;
+      padding: 1.5rem;
+      margin-top: 1.5rem;
+    }
+
+    .bc-change-title {
+      font-weight: 600;
+      word-break: break-all;
+    }
+
+    .bc-change-meta {
+      margin-top: 0.25rem;
+      font-size: 0.875rem;
+      color: #94a3b8;
+    }
+
+    .bc-images {
+      display: grid;
+      grid-template-columns: repeat(3, minmax(0, 1fr));
+      gap: 1rem;
+      margin-top: 1rem;
+    }
+
+    .bc-image {
+      position: relative;
+      background: #0f172a;
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 8px;
+      overflow: hidden;
+    }
+
+    .bc-image img {
+      width: 100%;
+      height: auto;
+      display: block;
+      cursor: zoom-in;
+    }
+
+    .bc-image-label {
+      position: absolute;
+      top: 0.5rem;
+      left: 0.5rem;
+      background: rgba(0, 0, 0, 0.8);
+      padding: 0.25rem 0.5rem;
+      border-radius: 4px;
+      font-size: 0.75rem;
+    }
+
+    .bc-image-empty {
+      padding: 3rem;
+      text-align: center;
+      color: #475569;
+    }
+  </style>
+
+  <h2>🖼️ Baselines Changed by This PR</h2>
+  <p style="color: #94a3b8; margin: 0;">
+    ${report.changes.length
+      ? `${report.summary.added} added · ${report.summary.modified} modified · ${report.summary.deleted} deleted · ${report.summary.renamed} renamed
+         (<code>${report.base.slice(0, 8)}</code> → <code>${report.head.slice(0, 8)}</code>)`
+      : 'No baseline snapshots were changed by this PR.'}
+  </p>
+
+  ${report.changes.map(c => `
+    <div class="bc-change">
+      <div class="bc-change-title">${STATUS_ICON[c.status]} ${c.oldPath ? `${escape(c.oldPath)} → ` : ''}${escape(c.path)}</div>
+      <div class="bc-change-meta">${escape(describeChange(c))}${c.platform ? ` · ${c.platform}` : ''}</div>
+      <div class="bc-images">
+        ${image('Before (base)', c.oldImage)}
+        ${image('After (PR)', c.newImage)}
+        ${image('Diff', c.diffImage)}
+      </div>
+    </div>
+  `).join('')}
+</div>`;
+}
+
+/* ─── main ────────────────────────────────────────────── */
+
+function reviewBaselineChanges() {
+  console.log('🖼️ Reviewing baseline snapshot changes...');
+  fs.mkdirSync(ART, { recursive: true });
+
+  let range;
+  try {
+    range = resolveRange();
+  } catch (err) {
+    console.warn(`⚠️  Could not resolve the base commit: ${err.message.split('\n')[0]}`);
+    console.warn('   Set BASE_SHA or fetch the main branch with enough history.');
+    return null;
+  }
+  console.log(`   Comparing ${range.base.slice(0, 8)}..${range.head.slice(0, 8)} (${PATHSPEC})`);
+
+  const config = loadVisualConfig();
+  fs.rmSync(IMAGE_DIR, { recursive: true, force: true });
+  fs.mkdirSync(IMAGE_DIR, { recursive: true });
+
+  const changes = listChanges(range.base, range.head).map((change, i) => reviewChange(change, i, range, config));
+  const report = {
+    timestamp: new Date().toISOString(),
+    base: range.base,
+    head: range.head,
+    summary: {
+      total: changes.length,
+      added: changes.filter(c => c.status === 'added').length,
+      modified: changes.filter(c => c.status === 'modified').length,
+      deleted: changes.filter(c => c.status === 'deleted').length,
+      renamed: changes.filter(c => c.status === 'renamed').length
+    },
+    changes
+  };
+
+  fs.writeFileSync(path.join(ART, 'baseline-changes.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(ART, 'baseline-changes.md'), generateMarkdown(report));
+  fs.writeFileSync(path.join(ART, 'baseline-changes.html'), generateHTML(report));
+  saveManifest();
+
+  console.log(`📊 ${changes.length} baseline(s) changed: ${report.summary.added} added, ${report.summary.modified} modified, ${report.summary.deleted} deleted, ${report.summary.renamed} renamed`);
+  console.log('📄 Files created:');
+  console.log('   - artifacts/baseline-changes.json');
+  console.log('   - artifacts/baseline-changes.md');
+  console.log('   - artifacts/baseline-changes.html');
+  return report;
+}
+
+if (require.main === module) {
+  try {
+    reviewBaselineChanges();
+  } catch (error) {
+    console.error('❌ Error while reviewing baseline changes:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { reviewBaselineChanges, describeSnapshotPath };
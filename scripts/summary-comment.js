@@ -10,6 +10,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { APPROVABLE, CHANGES_MARKER, embedPayload } = require('./lib/visual-approvals');
+const { loadComparisonBase, describeBase } = require('./lib/comparison-base');
 
 // Dynamic require for @octokit/core
 let Octokit;
@@ -46,8 +48,14 @@ const playMain = readJSON('playwright-summary-main.json');
 const hasMain  = fs.existsSync(path.join(ART, 'playwright-summary-main.json'));
 
 const lintPR   = readJSON('lint-summary-pr.json', readJSON('lint-summary.json'));
+const visual = readJSON('visual-regression-report.json', { comparisons: [] });
+const baselines = readJSON('baseline-changes.json', { changes: [] });
+const snapshotAudit = readJSON('snapshot-audit.json', null);
 const perfMetrics = readJSON('performance-metrics.json');
+const failureAnalysis = readJSON('test-failure-analysis.json', { failures: [] });
+const testComparison = readJSON('test-comparison.json', null);
 const dashboardPerf = readJSON('dashboard-performance.json');
+const comparisonBase = loadComparisonBase(path.join(ART, 'comparison-base.json'));
 
 const checklist = (() => {
   try { return fs.readFileSync(path.join(ART, 'checklist.md'), 'utf8'); }
@@ -59,9 +67,10 @@ const checklistCompleted = checklist ? (checklist.match(/\[x\]/g) || []).length
 const checklistTotal = checklist ? (checklist.match(/\[[ x]\]/g) || []).length : 0;
 const checklistPercent = checklistTotal > 0 ? Math.round((checklistCompleted / checklistTotal) * 100) : 0;
 
-// Regression detection
-const hasRegression = hasMain && playPR.failed > playMain.failed;
-const improvementDetected = hasMain && playPR.failed < playMain.failed;
+// Regression detection: per test when compare-test-results.js ran, else by the failure counts
+const comparison = testComparison?.summary || null;
+const hasRegression = comparison ? comparison.regression : hasMain && playPR.failed > playMain.failed;
+const improvementDetected = comparison ? comparison.newlyPassing > 0 : hasMain && playPR.failed < playMain.failed;
 const performanceRegression = hasMain && playPR.duration > playMain.duration * 1.2; // 20% slower
 
 // Code quality score
@@ -118,7 +127,23 @@ const generateInsights = () => {
   const insights = [];
   
   // Test insights
-  if (hasRegression) {
+  if (comparison) {
+    if (hasRegression) {
+      const where = comparison.addedFailing
+        ? ` (${comparison.newlyFailing} passing on main, ${comparison.addedFailing} in added tests)`
+        : ' that pass on main';
+      insights.push(`🔴 **Regression detected**: this PR introduces ${comparison.introducedFailures} failing test(s)${where}`);
+    }
+    if (improvementDetected) {
+      insights.push(`🟢 **Improvement**: ${comparison.newlyPassing} test(s) failing on main pass on this PR`);
+    }
+    if (comparison.stillFailing > 0) {
+      insights.push(`⛔ **${comparison.stillFailing} test(s) also fail on main** – not introduced by this PR`);
+    }
+    if (comparison.newlyFlaky > 0) {
+      insights.push(`〰️ **${comparison.newlyFlaky} test(s) newly flaky** – they only passed on retry`);
+    }
+  } else if (hasRegression) {
     insights.push(`🔴 **Regression detected**: ${playPR.failed - playMain.failed} more test(s) failing compared to main branch`);
   } else if (improvementDetected) {
     insights.push(`🟢 **Improvement**: ${playMain.failed - playPR.failed} fewer test(s) failing compared to main branch`);
@@ -128,6 +153,23 @@ const generateInsights = () => {
     insights.push(`🐌 **Performance regression**: Tests are ${((playPR.duration / playMain.duration - 1) * 100).toFixed(0)}% slower than main branch`);
   }
   
+  const majorVisual = (visual.comparisons || []).filter(c => c.status === 'major' && !c.unstable).length;
+  if (majorVisual > 0) {
+    insights.push(`🖼️ **${majorVisual} major visual change(s)** need review – approve intended ones with \`/approve-visual\``);
+  }
+  
+  if (visual.unstable > 0) {
+    insights.push(`〰️ **${visual.unstable} visually unstable screenshot(s)** differ between retries – the page renders inconsistently`);
+  }
+  
+  if (baselines.changes.length > 0) {
+    insights.push(`🖼️ **${baselines.changes.length} baseline snapshot(s)** changed by this PR – review them below`);
+  }
+  
+  if (snapshotAudit?.platformMismatch) {
+    insights.push(`🧭 **No ${snapshotAudit.platform} baselines**: committed snapshots are for ${Object.keys(snapshotAudit.platforms).join(', ')}, so \`toHaveScreenshot\` cannot match on this runner`);
+  }
+  
   // Code quality insights
   if (lintPR.eslint?.errors > 0) {
     insights.push(`❌ **${lintPR.eslint.errors} ESLint error(s)** need to be fixed`);
@@ -161,6 +203,14 @@ const generateRecommendations = () => {
     recommendations.push('✨ Run `npx prettier --write .` to fix formatting');
   }
   
+  if (baselines.changes.some(c => c.status === 'modified' || c.status === 'deleted')) {
+    recommendations.push('🖼️ Confirm every updated baseline snapshot is an intended visual change');
+  }
+  
+  if (snapshotAudit?.summary.missing > 0) {
+    recommendations.push(`📸 Generate the ${snapshotAudit.summary.missing} missing ${snapshotAudit.platform} baseline(s) with \`npx playwright test --update-snapshots\` on ${snapshotAudit.platform}`);
+  }
+  
   if (checklistPercent < 100) {
     recommendations.push(`📋 Complete the remaining ${checklistTotal - checklistCompleted} checklist item(s)`);
   }
@@ -179,14 +229,46 @@ ${checklist}
 **Completion: ${checklistCompleted}/${checklistTotal} (${checklistPercent}%)**
 ` : '_No checklist found_';
 
+/* per-test changes against main (compare-test-results.js); unchanged tests are left out */
+const MAX_COMPARISON_ROWS = 15;
+const comparisonLabels = {
+  'newly-failing': '🔴 Newly failing',
+  added: '🆕 Added',
+  'newly-flaky': '〰️ Newly flaky',
+  'still-failing': '⛔ Still failing',
+  'newly-passing': '🟢 Newly passing',
+  removed: '🗑️ Removed'
+};
+const comparisonStatus = status => status || '—';
+const changedTests = (testComparison?.tests || []).filter(t => comparisonLabels[t.label]);
+
+const mdComparison = !comparison ? '' : `
+**vs main:** ${Object.entries({
+  'newly failing': comparison.newlyFailing,
+  'newly passing': comparison.newlyPassing,
+  'still failing': comparison.stillFailing,
+  'newly flaky': comparison.newlyFlaky,
+  added: comparison.added,
+  removed: comparison.removed
+}).map(([label, n]) => `**${n}** ${label}`).join(' • ')}
+
+${hasRegression ? `> ⚠️ **Regression**: ${comparison.introducedFailures} test(s) fail on this PR but not on main!\n` : ''}${!hasRegression && improvementDetected ? '> ✅ **Improvement**: tests failing on main pass on this PR!\n' : ''}
+${changedTests.length ? `
+| Change | Test | Main | PR |
+|---|---|:---:|:---:|
+${changedTests.slice(0, MAX_COMPARISON_ROWS).map(t => `| ${comparisonLabels[t.label]} | \`${t.file}\` › ${t.testName.replace(/\|/g, '\\|')} | ${comparisonStatus(t.main)} | ${comparisonStatus(t.pr)} |`).join('\n')}
+${changedTests.length > MAX_COMPARISON_ROWS ? `\n_…and ${changedTests.length - MAX_COMPARISON_ROWS} more – see the dashboard._\n` : ''}` : ''}`;
+
 const mdPlay = `
 | Branch | Tests | ✅ Passed | ❌ Failed | ⏭️ Skipped | Pass Rate | ⏱️ Duration |
 |--------|------:|----------:|----------:|-----------:|----------:|------------:|
 | **PR** ${getStatusEmoji(playPR.passed, playPR.failed)} | ${playPR.total??0} | ${playPR.passed??0} | ${playPR.failed??0} | ${playPR.skipped??0} | ${playPR.pass_rate??0}% | ${formatDuration(playPR.duration)} ${getPerformanceEmoji(playPR.duration, playMain.duration)} |
 ${hasMain ? `| **Main** ${getStatusEmoji(playMain.passed, playMain.failed)} | ${playMain.total??0} | ${playMain.passed??0} | ${playMain.failed??0} | ${playMain.skipped??0} | ${playMain.pass_rate??0}% | ${formatDuration(playMain.duration)} |` : ''}
 
+${comparison ? mdComparison : `
 ${hasRegression ? '> ⚠️ **Regression**: More tests are failing compared to main branch!' : ''}
 ${improvementDetected ? '> ✅ **Improvement**: Fewer tests are failing compared to main branch!' : ''}
+`}
 `;
 
 const mdCodeQuality = `
@@ -231,6 +313,163 @@ const recommendations = generateRecommendations();
 /* dashboard root (absolute if workflow provided it) */
 const dashboardURL = process.env.WEB_REPORT_URL || 'index.html';
 
+/* visual changes still waiting for approval; the hidden payload lets /approve-visual resolve names */
+const MAX_VISUAL_ROWS = 15;
+const MAX_VISUAL_PAYLOAD = 300;
+const visualIcon = { negligible: '✓', minor: '⚠️', major: '❌', undecodable: '❔', new: '🆕', removed: '🗑️', accepted: '👍' };
+const pendingVisual = (visual.comparisons || []).filter(c => APPROVABLE.includes(c.status));
+/* changes in screenshots that also differ between retries are listed apart from the PR's own changes */
+const stableVisual = pendingVisual.filter(c => !c.unstable);
+const unstableVisual = pendingVisual.filter(c => c.unstable);
+const acceptedVisual = (visual.comparisons || []).filter(c => c.status === 'accepted');
+
+/* test titles and snapshot names may contain "|", which would end a table cell */
+const tableCell = text => String(text).replace(/\|/g, '\\|');
+
+const changeKindLabel = { 'layout-shift': 'layout shift', content: 'content change', colour: 'colour change' };
+
+const describeVisual = (c) => {
+  const status = c.approvedStatus || c.status;
+  const kind = c.changeKind ? `, ${changeKindLabel[c.changeKind]}` : '';
+  let change = status === 'new' || status === 'removed' ? status
+    : status === 'undecodable' ? 'cannot compare (not a PNG)'
+      : `${c.diffPercent}% (${status}${kind})`;
+  if (c.layout?.messages.length) change += `: ${tableCell(c.layout.messages.slice(0, 2).join('; '))}`;
+  return c.relocation ? `${change}, ${c.relocation} from ${tableCell(c.previous.testName)}` : change;
+};
+
+const visualPayload = embedPayload(CHANGES_MARKER, {
+  version: 1,
+  changes: pendingVisual.concat(acceptedVisual).slice(0, MAX_VISUAL_PAYLOAD).map(c => ({
+    key: c.approvalKey || null,
+    hash: c.status === 'removed' || c.approvedStatus === 'removed' ? c.mainHash : c.prHash,
+    testId: c.testId || null,
+    name: c.testName,
+    snapshot: c.snapshotName || null,
+    status: c.approvedStatus || c.status,
+    diffPercent: c.diffPercent,
+    accepted: c.status === 'accepted'
+  }))
+});
+
+/* main → PR → diff GIFs written by visual-regression.js; only reachable once the dashboard is published */
+const assetURL = file => {
+  if (!/^https?:\/\//.test(dashboardURL)) return null;
+  // the dashboard URL may name the folder (with or without trailing slash) or its index.html
+  const base = /\.html?$/.test(dashboardURL) || dashboardURL.endsWith('/') ? dashboardURL : `${dashboardURL}/`;
+  return new URL(file, base).href;
+};
+const gifVisual = stableVisual.filter(c => c.gif && assetURL(c.gif));
+const mdGifs = gifVisual.length === 0 ? '' : `
+**Biggest changes** (main → PR → diff)
+
+${gifVisual.map(c => `<p><img src="${assetURL(c.gif)}" width="360" alt="${c.testName.replace(/"/g, '&quot;')}: main, PR and diff"><br><sub>${c.testName} – ${describeVisual(c)}</sub></p>`).join('\n')}
+`;
+
+const visualRow = c => `| ${visualIcon[c.status]} | ${tableCell(c.testName)}${c.snapshotName ? ` (\`${tableCell(c.snapshotName)}\`)` : ''} | ${describeVisual(c)} | \`${((c.status === 'removed' ? c.mainHash : c.prHash) || '').slice(0, 8)}\` |`;
+
+const mdVisual = pendingVisual.length === 0 && acceptedVisual.length === 0 ? '' : `
+${stableVisual.length ? `
+| | Screenshot | Change | Image |
+|---|---|---|---|
+${stableVisual.slice(0, MAX_VISUAL_ROWS).map(visualRow).join('\n')}
+${stableVisual.length > MAX_VISUAL_ROWS ? `\n_…and ${stableVisual.length - MAX_VISUAL_ROWS} more – see the dashboard._\n` : ''}
+${mdGifs}
+` : ''}
+${unstableVisual.length ? `
+<details>
+<summary>〰️ ${unstableVisual.length} change(s) in visually unstable screenshots – probably not introduced by this PR</summary>
+
+These screenshots also differ between retries of the same test.
+
+| | Screenshot | Change | Image |
+|---|---|---|---|
+${unstableVisual.slice(0, MAX_VISUAL_ROWS).map(visualRow).join('\n')}
+</details>
+` : ''}
+${pendingVisual.length ? `
+Approve intended changes with \`/approve-visual <snapshot|test|hash>\` or \`/approve-visual all\`. Approvals stay valid until the screenshot changes again.
+` : '✅ All visual changes have been approved.'}
+${acceptedVisual.length ? `
+<details>
+<summary>👍 ${acceptedVisual.length} accepted change(s)</summary>
+
+${acceptedVisual.map(c => `- ${c.testName}: ${describeVisual(c)} – approved by @${c.approval.by}`).join('\n')}
+</details>
+` : ''}
+`;
+
+/* baselines changed by this PR, with before/after links into the repository */
+const MAX_BASELINE_ROWS = 25;
+const blobURL = (sha, file) => `https://github.com/${process.env.GITHUB_REPOSITORY}/blob/${sha}/${file.split('/').map(encodeURIComponent).join('/')}`;
+const baselineIcon = { added: '🆕', modified: '✏️', deleted: '🗑️', renamed: '🔀' };
+
+const describeBaseline = (c) => {
+  if (c.error) return `⚠️ ${c.error}`;
+  if (c.status === 'added') return 'New baseline';
+  if (c.status === 'deleted') return 'Removed';
+  if (!c.hasDiff) return 'Pixels unchanged';
+  if (c.level === 'undecodable') return `Cannot compare: ${c.reason}`;
+  return `${c.diffPercent}% (${c.level})${c.regionCount ? `, ${c.regionCount} region(s)` : ''}`;
+};
+
+const mdBaselines = baselines.changes.length === 0 ? '' : `
+| | Baseline | Change | Before | After |
+|---|---|---|:---:|:---:|
+${baselines.changes.slice(0, MAX_BASELINE_ROWS).map(c => {
+  const oldFile = c.oldPath || c.path;
+  return `| ${baselineIcon[c.status] || ''} | \`${c.path}\` | ${describeBaseline(c)} | ${c.status === 'added' ? '—' : `[base](${blobURL(baselines.base, oldFile)})`} | ${c.status === 'deleted' ? '—' : `[PR](${blobURL(baselines.head, c.path)})`} |`;
+}).join('\n')}
+${baselines.changes.length > MAX_BASELINE_ROWS ? `\n_…and ${baselines.changes.length - MAX_BASELINE_ROWS} more – see the dashboard._\n` : ''}
+Side-by-side images with pixel diffs: [🖼️ Visual Regression](${dashboardURL}#visual-regression)
+`;
+
+/* failing tests with the spec lines they failed at (analyze-test-failures.js) */
+const MAX_FAILURE_ROWS = 10;
+const failingTests = (failureAnalysis.failures || []).filter(f => f.status !== 'flaky');
+const headSHA = event.pull_request?.head?.sha || process.env.GITHUB_SHA;
+const escapeHTML = text => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const failureLocation = f => {
+  if (!f.location) return '';
+  // only files found in the checkout have a line to link to
+  const inRepo = f.source?.lines && headSHA && !path.isAbsolute(f.source.file);
+  return inRepo ? `[\`${f.location}\`](${blobURL(headSHA, f.source.file)}#L${f.source.line})` : `\`${f.location}\``;
+};
+
+/* introduced by the PR or failing on main too */
+const labelById = new Map((testComparison?.tests || []).map(t => [t.testId, t.label]));
+const failureOrigin = f => ({
+  'newly-failing': '<b>[new]</b> ',
+  added: '<b>[new test]</b> ',
+  'still-failing': '<i>[fails on main too]</i> '
+}[labelById.get(f.testId)] || '');
+
+const mdFailures = failingTests.length === 0 ? '' : `
+${failingTests.slice(0, MAX_FAILURE_ROWS).map(f => `<details>
+<summary>❌ ${failureOrigin(f)}<code>${escapeHTML(f.file)}</code> › ${escapeHTML(f.fullTitle)}${f.project ? ` [${escapeHTML(f.project)}]` : ''} – ${escapeHTML(f.error.split('\n')[0].replace(/^Error:\s*/, ''))}</summary>
+
+${failureLocation(f)}
+${f.source?.frame ? `
+\`\`\`
+${f.source.frame}
+\`\`\`` : ''}
+</details>`).join('\n')}
+${failingTests.length > MAX_FAILURE_ROWS ? `\n_…and ${failingTests.length - MAX_FAILURE_ROWS} more – see the dashboard._\n` : ''}
+`;
+
+/* snapshot baselines vs spec files, projects and runner platform */
+const MAX_AUDIT_ROWS = 10;
+const auditRows = (items, row) => items.slice(0, MAX_AUDIT_ROWS).map(row).join('\n') +
+  (items.length > MAX_AUDIT_ROWS ? `\n- _…and ${items.length - MAX_AUDIT_ROWS} more_` : '');
+
+const mdSnapshotAudit = !snapshotAudit || snapshotAudit.summary.issues === 0 ? '' : `
+Runner platform **${snapshotAudit.platform}** • ${snapshotAudit.baselines} baseline(s) committed for ${Object.entries(snapshotAudit.platforms).map(([p, n]) => `${p} (${n})`).join(', ') || 'no platform'}
+
+${snapshotAudit.missing.length ? `**❓ Missing baselines (${snapshotAudit.missing.length})**\n${auditRows(snapshotAudit.missing, m => `- \`${m.expected}\`${m.availableOn.length ? ` – only on ${m.availableOn.join(', ')}` : ''}`)}\n` : ''}
+${snapshotAudit.orphaned.length ? `**🗑️ Orphaned baselines (${snapshotAudit.orphaned.length})**\n${auditRows(snapshotAudit.orphaned, o => `- \`${o.file}\` – ${o.reason}`)}\n` : ''}
+${snapshotAudit.duplicates.length ? `**👯 Duplicated across platforms (${snapshotAudit.duplicates.length})**\n${auditRows(snapshotAudit.duplicates, d => `- \`${d.spec}\` ${d.snapshot}${d.project ? ` [${d.project}]` : ''}: ${d.platforms.join(', ')}`)}\n` : ''}`;
+
 /* Status summary line */
 const overallStatus = playPR.failed === 0 && codeQualityIssues === 0 ? 
   '✅ **All checks passed!**' : 
@@ -241,7 +480,7 @@ const body = `
 # 🔍 GUI Test Review Summary
 
 ${overallStatus} • [📊 View Full Dashboard](${dashboardURL})
-
+${comparisonBase ? `\n<sub>Compared against \`${comparisonBase.sha.slice(0, 7)}\` (${describeBase(comparisonBase)})</sub>\n` : ''}
 ${insights.length > 0 ? `
 ## 💡 Key Insights
 
@@ -259,6 +498,38 @@ ${mdChecklist}
 ## 🎭 Test Results
 
 ${mdPlay}
+${mdFailures ? `
+### ❌ Failing Tests
+
+${mdFailures}` : ''}
+
+${mdVisual ? `
+## 🖼️ Visual Changes
+
+**${visual.major || 0}** major • **${visual.minor || 0}** minor${visual.undecodable ? ` • **${visual.undecodable}** cannot compare` : ''} • **${visual.new || 0}** new • **${visual.removed || 0}** removed • **${visual.accepted || 0}** accepted${visual.renamed || visual.moved ? ` • **${visual.renamed + visual.moved}** renamed/moved` : ''} • [🔍 Compare](${dashboardURL}#visual-regression)
+
+${mdVisual}
+` : ''}
+
+${mdBaselines ? `
+## 🖼️ Baselines Changed by This PR
+
+<details open>
+<summary><strong>${baselines.summary.added} added, ${baselines.summary.modified} modified, ${baselines.summary.deleted} deleted, ${baselines.summary.renamed} renamed</strong></summary>
+
+${mdBaselines}
+</details>
+` : ''}
+
+${mdSnapshotAudit ? `
+## 🧭 Snapshot Baseline Audit
+
+<details ${snapshotAudit.platformMismatch || snapshotAudit.summary.missing > 0 ? 'open' : ''}>
+<summary><strong>${snapshotAudit.summary.missing} missing, ${snapshotAudit.summary.orphaned} orphaned, ${snapshotAudit.summary.duplicates} duplicated across platforms</strong></summary>
+
+${mdSnapshotAudit}
+</details>
+` : ''}
 
 ## 🎨 Code Quality
 
@@ -280,13 +551,14 @@ ${recommendations.map(r => `- ${r}`).join('\n')}
 | Total Action | ${formatDuration((perfMetrics.executionTime || 0) * 1000)} |
 | Test Execution | ${formatDuration(playPR.duration)} |
 | Dashboard Generation | ${formatDuration(dashboardPerf?.dashboardGenerationMs)} |
-| Artifact Size | ${perfMetrics.artifactSizeMB?.toFixed(2) || 'N/A'} MB |
+${dashboardPerf?.visualRegression ? `| Visual Comparison | ${formatDuration(dashboardPerf.visualRegression.timings?.compareMs)} (${dashboardPerf.visualRegression.comparisons} comparisons, ${dashboardPerf.visualRegression.workers} worker${dashboardPerf.visualRegression.workers === 1 ? '' : 's'}) |\n` : ''}| Artifact Size | ${perfMetrics.artifactSizeMB?.toFixed(2) || 'N/A'} MB |
 
 </details>
 
 ---
 
 <sub>🤖 This comment updates automatically with each push • [View Documentation](https://github.com/DigitalProductInnovationAndDevelopment/Code-Reviews-of-GUI-Tests/wiki)</sub>
+${visualPayload}
 `;
 
 /* upsert sticky comment */
@@ -6,6 +6,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadResults, displayName } = require('./lib/playwright-results');
 
 const HISTORY_FILE = '.test-history.json';
 const MAX_HISTORY_ENTRIES = 50;
@@ -24,83 +25,50 @@ function loadHistory() {
 }
 
 function analyzeCurrentRun() {
-  const possiblePaths = [
+  const results = loadResults([
     'playwright-metrics.json',
     path.join(ART, 'playwright-metrics.json'),
     'metrics.json'
-  ];
+  ]);
   
-  let metricsPath = null;
-  for (const p of possiblePaths) {
-    if (fs.existsSync(p)) {
-      metricsPath = p;
-      break;
-    }
-  }
-  
-  if (!metricsPath) {
+  if (!results) {
     console.log('No test metrics found, skipping history update');
     return null;
   }
   
-  const metrics = JSON.parse(fs.readFileSync(metricsPath, 'utf8'));
   const timestamp = new Date().toISOString();
   const sha = process.env.GITHUB_SHA?.slice(0, 8) || 'local';
   const branch = process.env.GITHUB_REF?.replace('refs/heads/', '') || 'unknown';
+  const { summary } = results;
   
   const runData = {
     timestamp,
     sha,
     branch,
-    total: 0,
-    passed: 0,
-    failed: 0,
-    skipped: 0,
-    duration: metrics.stats?.duration || 0
+    total: summary.total,
+    passed: summary.passed,
+    failed: summary.failed,
+    skipped: summary.skipped,
+    flaky: summary.flaky,
+    duration: summary.duration,
+    passRate: summary.pass_rate
   };
   
   const testResults = {};
-  if (metrics.suites) {
-    metrics.suites.forEach(suite => {
-      const suiteName = path.basename(suite.file || 'unknown').replace(/\.(spec|test)\.(js|ts)$/, '');
-      
-      suite.suites.forEach(s => {
-        s.specs.forEach(spec => {
-          const testName = `${suiteName} > ${s.title} > ${spec.title}`;
-          const test = spec.tests[0];
-          
-          if (test && test.results && test.results.length > 0) {
-            runData.total++;
-            
-            // Get the final result (after retries)
-            const finalResult = test.results[test.results.length - 1];
-            const status = finalResult.status === 'passed' || finalResult.status === 'expected' ? 'passed' : 
-                          finalResult.status === 'failed' || finalResult.status === 'unexpected' ? 'failed' : 
-                          'skipped';
-            
-            if (status === 'passed') runData.passed++;
-            else if (status === 'failed') runData.failed++;
-            else runData.skipped++;
-            
-            // Check if test was retried (flaky indicator)
-            const wasRetried = test.results.length > 1;
-            const hadMixedResults = test.results.some(r => r.status === 'passed' || r.status === 'expected') &&
-                                  test.results.some(r => r.status === 'failed' || r.status === 'unexpected');
-            
-            testResults[testName] = {
-              status,
-              duration: finalResult.duration || 0,
-              retries: test.results.length - 1,
-              wasFlaky: wasRetried && hadMixedResults,
-              error: status === 'failed' ? (finalResult.error?.message || 'Unknown error') : null
-            };
-          }
-        });
-      });
-    });
-  }
-  
-  runData.passRate = runData.total > 0 ? Math.round((runData.passed / runData.total) * 100) : 0;
+  results.tests.forEach(test => {
+    const testName = displayName(test, { withProject: results.multiProject });
+    // flaky tests passed in the end; the retry is tracked separately below
+    const status = test.status === 'flaky' ? 'passed' : test.status;
+    
+    testResults[testName] = {
+      id: test.id,
+      status,
+      duration: test.finalDuration,
+      retries: test.retries,
+      wasFlaky: test.status === 'flaky',
+      error: status === 'failed' ? (test.error?.message || 'Unknown error') : null
+    };
+  });
   
   return { runData, testResults };
 }
@@ -137,6 +105,7 @@ function updateHistory(history, currentRun) {
     }
     
     const testHistory = history.tests[testName];
+    testHistory.id = result.id;
     testHistory.runs++;
     
     // Update counts
@@ -2,14 +2,64 @@
 /**
  * visual-regression.js
  * FIXED: Properly extracts test names from Playwright HTML reports
+ * Screenshots are paired by test identity (test id, project, attachment and
+ * snapshot name); file-size similarity is only a fallback. Screenshots left
+ * over after that are paired by perceptual hash, so renamed and moved tests
+ * still get a pixel diff instead of showing up as removed + new.
+ * Images are compared pixel by pixel in pure JavaScript (lib/png, lib/image-diff),
+ * so no ImageMagick or other system packages are needed. The comparisons run
+ * in a pool of worker threads (lib/compare-pool); progress is logged and the
+ * timings end up in artifacts/dashboard-performance.json.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { testId } = require('./lib/playwright-results');
+const { unzip, isZip } = require('./lib/zip');
+const { positionLabel } = require('./lib/image-diff');
+const {
+  DEFAULT_THRESHOLDS,
+  loadVisualConfig,
+  appliesTo,
+  describeScope,
+  thresholdFor,
+  classify
+} = require('./lib/visual-config');
+const { APPROVABLE, imageHash, approvalKey, loadApprovals, findApproval } = require('./lib/visual-approvals');
+const { HASH_BITS, perceptualHash, hammingDistance, createHashIndex } = require('./lib/perceptual-hash');
+const { loadComparisonBase, baseRecord } = require('./lib/comparison-base');
+const { CHANGE_KINDS, compareGeometry, classifyChange, describeShift } = require('./lib/layout-diff');
+const { createComparePool, trackProgress } = require('./lib/compare-pool');
+const { ASSET_DIR, imageAttributes, saveManifest } = require('./lib/report-assets');
+const { changeGIF } = require('./lib/change-gif');
 
 const ART = 'artifacts';
 
+/* colour tolerance (0–1, YIQ distance) and anti-aliasing handling for the pixel diff */
+const DIFF_OPTIONS = {
+  threshold: Number.isFinite(parseFloat(process.env.VISUAL_DIFF_THRESHOLD)) ? parseFloat(process.env.VISUAL_DIFF_THRESHOLD) : 0.1,
+  includeAA: process.env.VISUAL_DIFF_INCLUDE_AA === 'true'
+};
+
+/* regions kept per comparison in the JSON/HTML report (the count is always exact) */
+const MAX_REGIONS = 20;
+
+/* timings of this script, merged into the dashboard's performance file */
+const PERFORMANCE_FILE = path.join(ART, 'dashboard-performance.json');
+const SLOWEST_COMPARISONS = 5;
+
+/* accessibility tree changes written by aria-diff.js */
+const ARIA_DIFF_FILE = path.join(ART, 'aria-diff.json');
+const MAX_ARIA_CHANGES = 50;
+
+/* earlier main runs (one Playwright report per sub-directory) checked for unstable screenshots */
+const HISTORY_PATH = process.env.VISUAL_HISTORY_PATH || '';
+const HISTORY_RUNS = parseInt(process.env.VISUAL_HISTORY_RUNS, 10) || 5;
+
+/* changed screenshots that get an animated main → PR → diff GIF for the PR comment */
+const GIF_COUNT = Number.isFinite(parseInt(process.env.VISUAL_GIF_COUNT, 10)) ? parseInt(process.env.VISUAL_GIF_COUNT, 10) : 3;
+const GIF_DIR = path.join(ASSET_DIR, 'gifs');
+
 /* ────────────────────────────────────────────────────────── *
  *  Parse Playwright HTML report to extract test metadata
  * ────────────────────────────────────────────────────────── */
@@ -49,42 +99,23 @@ function parsePlaywrightReport(reportPath) {
     }
     
     // Method 2: Try to extract from the embedded app data
+    // (modern reports embed a zip: report.json + one <fileId>.json per spec file)
     const appDataRegex = /window\.playwrightReportBase64\s*=\s*"([^"]+)"/;
     const appDataMatch = html.match(appDataRegex);
     
     if (appDataMatch) {
       try {
-        const decodedData = Buffer.from(appDataMatch[1], 'base64').toString('utf8');
-        const reportData = JSON.parse(decodedData);
+        const decoded = Buffer.from(appDataMatch[1].replace(/^data:[^,]*,/, ''), 'base64');
+        const reportData = isZip(decoded) ? readZippedReport(decoded) : JSON.parse(decoded.toString('utf8'));
         
         if (reportData.files) {
-          reportData.files.forEach(file => {
-            file.tests?.forEach(test => {
-              test.results?.forEach(result => {
-                result.attachments?.forEach(attachment => {
-                  if (attachment.contentType?.startsWith('image/')) {
-                    const filename = path.basename(attachment.path || '');
-                    if (filename) {
-                      screenshots.set(filename, {
-                        filename,
-                        path: path.join(reportPath, attachment.path || `data/${filename}`),
-                        testName: test.title || 'Unknown Test',
-                        testLocation: test.location?.file || file.fileName || '',
-                        status: result.status,
-                        type: attachment.name || 'screenshot'
-                      });
-                    }
-                  }
-                });
-              });
-            });
-          });
+          processReportData(reportData, reportPath, screenshots);
         }
         
         console.log(`📋 Extracted ${screenshots.size} screenshots from base64 data`);
         return screenshots;
       } catch (e) {
-        console.log('Failed to parse base64 data, trying alternative methods...');
+        console.log('Failed to parse base64 data, trying alternative methods...', e.message);
       }
     }
     
@@ -252,8 +283,9 @@ function parsePlaywrightReport(reportPath) {
   const dataPath = path.join(reportPath, 'data');
   if (fs.existsSync(dataPath)) {
     const files = fs.readdirSync(dataPath);
+    const known = knownFilenames(screenshots);
     files.forEach(file => {
-      if (file.endsWith('.png') && !screenshots.has(file)) {
+      if (file.endsWith('.png') && !known.has(file)) {
         screenshots.set(file, {
           filename: file,
           path: path.join(dataPath, file),
@@ -268,6 +300,70 @@ function parsePlaywrightReport(reportPath) {
   return screenshots;
 }
 
+/* ────────────────────────────────────────────────────────── *
+ *  Read the zipped report data of the HTML reporter
+ * ────────────────────────────────────────────────────────── */
+function readZippedReport(buffer) {
+  const entries = unzip(buffer, name => name.endsWith('.json'));
+  const report = entries['report.json'] ? JSON.parse(entries['report.json'].toString('utf8')) : {};
+  
+  // per-file entries carry the full test results (report.json only has summaries)
+  const detailFiles = Object.entries(entries)
+    .filter(([name]) => name !== 'report.json')
+    .map(([, buf]) => JSON.parse(buf.toString('utf8')))
+    .filter(file => Array.isArray(file.tests));
+  
+  return { ...report, files: detailFiles.length ? detailFiles : report.files || [] };
+}
+
+/* ────────────────────────────────────────────────────────── *
+ *  Screenshot identity: who took this image and under which name
+ * ────────────────────────────────────────────────────────── */
+function snapshotNameOf(attachmentName) {
+  // toHaveScreenshot attachments are "<snapshot>-actual.png", "-expected.png", "-diff.png"
+  const match = (attachmentName || '').match(/^(.*?)-(actual|expected|diff)(\.\w+)?$/i);
+  return match ? match[1] : null;
+}
+
+function identify({ file, titlePath, project, attachmentName, ordinal, retry }) {
+  const id = testId(file, titlePath, project);
+  const name = attachmentName || 'screenshot';
+  return {
+    testId: id,
+    file: String(file || '').replace(/\\/g, '/'),
+    titlePath,
+    project: project || '',
+    attachmentName: name,
+    snapshotName: snapshotNameOf(name),
+    ordinal,
+    retry: retry || 0,
+    identityKey: [id, name, ordinal].join('|')
+  };
+}
+
+/*
+ * One map entry per test, attachment and retry. The HTML reporter names
+ * attachment files by content hash, so byte-identical screenshots of two
+ * tests share a filename; screenshots without identity (found by scanning
+ * the report) stay keyed by filename.
+ */
+function addScreenshot(screenshots, info) {
+  const key = info.identityKey ? `${info.identityKey}|${info.retry}` : info.filename;
+  screenshots.set(key, info);
+}
+
+const knownFilenames = screenshots => new Set(Array.from(screenshots.values(), s => s.filename));
+
+/* running index of same-named attachments inside one result */
+function ordinalCounter() {
+  const seen = {};
+  return name => {
+    const key = name || 'screenshot';
+    seen[key] = (seen[key] || 0) + 1;
+    return seen[key] - 1;
+  };
+}
+
 /* ────────────────────────────────────────────────────────── *
  *  Process report data structure
  * ────────────────────────────────────────────────────────── */
@@ -295,7 +391,7 @@ function processReportData(data, reportPath, screenshots) {
       
       // Check for suites at file level
       if (file.suites && Array.isArray(file.suites)) {
-        processSuites(file.suites, reportPath, screenshots, fileName);
+        processSuites(file.suites, reportPath, screenshots, fileName, { file: fileName, titles: [] });
       }
     });
   }
@@ -316,12 +412,71 @@ function processReportData(data, reportPath, screenshots) {
   if (data.projects && Array.isArray(data.projects)) {
     data.projects.forEach(project => {
       if (project.suites) {
-        processSuites(project.suites, reportPath, screenshots, project.name);
+        processSuites(project.suites, reportPath, screenshots, project.name, { project: project.name });
       }
     });
   }
 }
 
+/* ────────────────────────────────────────────────────────── *
+ *  Screenshot type and location helpers
+ * ────────────────────────────────────────────────────────── */
+function screenshotType(attachment, filename) {
+  const attachmentName = (attachment.name || '').toLowerCase();
+  if (attachmentName.includes('expected') || filename.includes('-expected')) return 'expected';
+  if (attachmentName.includes('diff') || filename.includes('-diff')) return 'diff';
+  return 'actual';
+}
+
+function resolveAttachmentPath(reportPath, attachmentPath, filename) {
+  // JSON reporter paths are absolute, HTML reporter paths are relative to the report
+  const fullPath = path.isAbsolute(attachmentPath) ? attachmentPath : path.join(reportPath, attachmentPath);
+  return fs.existsSync(fullPath) ? fullPath : path.join(reportPath, 'data', filename);
+}
+
+/* JSON attachment written by fixtures/visual-review.js */
+function readJSONAttachment(attachment, reportPath) {
+  try {
+    let text;
+    if (attachment.body) {
+      // JSON reporter: base64; HTML reporter: plain text
+      text = attachment.body.trim().startsWith('{') ? attachment.body : Buffer.from(attachment.body, 'base64').toString('utf8');
+    } else if (attachment.path) {
+      const file = path.isAbsolute(attachment.path) ? attachment.path : path.join(reportPath, attachment.path);
+      text = fs.readFileSync(file, 'utf8');
+    }
+    return text ? JSON.parse(text) : null;
+  } catch (e) {
+    console.log(`      Could not read ${attachment.name} attachment: ${e.message}`);
+    return null;
+  }
+}
+
+/* element boxes recorded by fixtures/visual-review.js for the config's selectors, per screenshot point */
+function readSelectorMasks(attachments, reportPath) {
+  const masks = {};
+  (attachments || [])
+    .filter(a => a.name === 'visual-masks')
+    .forEach(attachment => {
+      const data = readJSONAttachment(attachment, reportPath);
+      // older fixtures recorded only the automatic screenshot and no point
+      if (data && Array.isArray(data.masks)) masks[data.point || 'screenshot'] = data.masks;
+    });
+  return Object.keys(masks).length ? masks : null;
+}
+
+/* boxes of key elements per screenshot point: { "<point>": [elements] } */
+function readElementGeometry(attachments, reportPath) {
+  const geometry = {};
+  (attachments || [])
+    .filter(a => a.name === 'element-geometry')
+    .forEach(attachment => {
+      const data = readJSONAttachment(attachment, reportPath);
+      if (data && Array.isArray(data.elements)) geometry[data.point || 'screenshot'] = data.elements;
+    });
+  return Object.keys(geometry).length ? geometry : null;
+}
+
 /* ────────────────────────────────────────────────────────── *
  *  Process test with context to extract proper title
  * ────────────────────────────────────────────────────────── */
@@ -332,7 +487,7 @@ function processTestWithContext(test, fileName, reportPath, screenshots) {
   // Get file name without extension
   const fileBaseName = path.basename(fileName).replace(/\.(spec|test)\.(js|ts|jsx|tsx)$/, '');
   
-  // Add parent titles if available
+  // Add parent titles if available (HTML reports carry them as test.path)
   if (test.parent) {
     let current = test.parent;
     const parentTitles = [];
@@ -341,14 +496,20 @@ function processTestWithContext(test, fileName, reportPath, screenshots) {
       current = current.parent;
     }
     titleParts.push(...parentTitles);
+  } else if (Array.isArray(test.path)) {
+    titleParts.push(...test.path.filter(Boolean));
   }
   
   // Add test title
   const testTitle = test.title || test.name || test.fullTitle || 'Unknown Test';
   titleParts.push(testTitle);
   
+  const project = test.projectName || '';
+  const file = fileName || test.location?.file || '';
+  
   // Join all parts for display
-  const displayTitle = titleParts.length > 1 ? titleParts.join(' › ') : testTitle;
+  const joinedTitle = titleParts.length > 1 ? titleParts.join(' › ') : testTitle;
+  const displayTitle = project ? `${joinedTitle} [${project}]` : joinedTitle;
   
   console.log(`    Processing test: "${displayTitle}"`);
   
@@ -358,6 +519,9 @@ function processTestWithContext(test, fileName, reportPath, screenshots) {
   if (Array.isArray(results)) {
     results.forEach((result, resultIdx) => {
       const attachments = result.attachments || [];
+      const ordinalOf = ordinalCounter();
+      const selectorMasks = readSelectorMasks(attachments, reportPath);
+      const elementGeometry = readElementGeometry(attachments, reportPath);
       
       if (Array.isArray(attachments)) {
         attachments.forEach(attachment => {
@@ -366,29 +530,27 @@ function processTestWithContext(test, fileName, reportPath, screenshots) {
             const filename = path.basename(attachmentPath);
             
             if (filename && filename.match(/\.(png|jpe?g)$/i)) {
-              const fullPath = path.join(reportPath, attachmentPath);
+              const type = screenshotType(attachment, filename);
               
-              // Determine screenshot type
-              let type = 'actual';
-              const attachmentName = (attachment.name || '').toLowerCase();
-              if (attachmentName.includes('expected') || filename.includes('-expected')) {
-                type = 'expected';
-              } else if (attachmentName.includes('diff') || filename.includes('-diff')) {
-                type = 'diff';
-              } else if (attachmentName.includes('actual') || filename.includes('-actual')) {
-                type = 'actual';
-              }
-              
-              screenshots.set(filename, {
+              addScreenshot(screenshots, {
                 filename,
-                path: fs.existsSync(fullPath) ? fullPath : path.join(reportPath, 'data', filename),
+                path: resolveAttachmentPath(reportPath, attachmentPath, filename),
                 testName: testTitle,  // Use the clean test title
                 displayTitle: displayTitle,  // Full display title with context
                 fullTestName: `${fileBaseName} > ${displayTitle}`,
                 testLocation: test.location?.file || fileName || '',
                 status: result.status || 'unknown',
                 type,
-                attachmentName: attachment.name
+                selectorMasks,
+                elementGeometry,
+                ...identify({
+                  file,
+                  titlePath: titleParts,
+                  project,
+                  attachmentName: attachment.name,
+                  ordinal: ordinalOf(attachment.name),
+                  retry: result.retry ?? resultIdx
+                })
               });
               
               console.log(`      Found ${type} screenshot: ${filename} for test: "${testTitle}"`);
@@ -401,17 +563,25 @@ function processTestWithContext(test, fileName, reportPath, screenshots) {
   
   // Also check if test has direct attachments
   if (test.attachments && Array.isArray(test.attachments)) {
+    const ordinalOf = ordinalCounter();
     test.attachments.forEach(attachment => {
       if (attachment.contentType && attachment.contentType.startsWith('image/')) {
         const filename = path.basename(attachment.path || attachment.name || '');
         if (filename) {
-          screenshots.set(filename, {
+          addScreenshot(screenshots, {
             filename,
             path: path.join(reportPath, attachment.path || `data/${filename}`),
             testName: testTitle,
             displayTitle: displayTitle,
             fullTestName: `${fileBaseName} > ${displayTitle}`,
-            type: attachment.name || 'screenshot'
+            type: screenshotType(attachment, filename),
+            ...identify({
+              file,
+              titlePath: titleParts,
+              project,
+              attachmentName: attachment.name,
+              ordinal: ordinalOf(attachment.name)
+            })
           });
         }
       }
@@ -421,30 +591,39 @@ function processTestWithContext(test, fileName, reportPath, screenshots) {
 
 /* ────────────────────────────────────────────────────────── *
  *  Process test suites recursively
+ *  ctx carries the identity context: { file, titles, project }
  * ────────────────────────────────────────────────────────── */
-function processSuites(suites, reportPath, screenshots, parentPath = '') {
+function processSuites(suites, reportPath, screenshots, parentPath = '', ctx = {}) {
   if (!Array.isArray(suites)) return;
   
   suites.forEach(suite => {
     const suitePath = parentPath ? `${parentPath} > ${suite.title}` : suite.title;
     
+    // The first suite that names a file is the file itself, not a describe block
+    const isFileSuite = !ctx.file && Boolean(suite.file);
+    const suiteCtx = {
+      ...ctx,
+      file: ctx.file || suite.file,
+      titles: isFileSuite || !suite.title ? ctx.titles || [] : [...(ctx.titles || []), suite.title]
+    };
+    
     // Process tests in this suite
     if (suite.tests && Array.isArray(suite.tests)) {
       suite.tests.forEach(test => {
-        processTest(test, suitePath, reportPath, screenshots);
+        processTest(test, suitePath, reportPath, screenshots, suiteCtx);
       });
     }
     
     // Process specs (another common structure)
     if (suite.specs && Array.isArray(suite.specs)) {
       suite.specs.forEach(spec => {
-        processTest(spec, suitePath, reportPath, screenshots);
+        processTest(spec, suitePath, reportPath, screenshots, suiteCtx);
       });
     }
     
     // Recursively process nested suites
     if (suite.suites && Array.isArray(suite.suites)) {
-      processSuites(suite.suites, reportPath, screenshots, suitePath);
+      processSuites(suite.suites, reportPath, screenshots, suitePath, suiteCtx);
     }
   });
 }
@@ -452,17 +631,26 @@ function processSuites(suites, reportPath, screenshots, parentPath = '') {
 /* ────────────────────────────────────────────────────────── *
  *  Process individual test
  * ────────────────────────────────────────────────────────── */
-function processTest(test, suitePath, reportPath, screenshots) {
+function processTest(test, suitePath, reportPath, screenshots, ctx = {}) {
   // Get the test title - check multiple possible properties
   const testTitle = test.title || test.name || test.fullTitle || 'Unknown Test';
   const fullTestName = suitePath ? `${suitePath} > ${testTitle}` : testTitle;
+  const titlePath = [...(ctx.titles || []), testTitle];
+  const file = ctx.file || test.file || test.location?.file || '';
   
-  // Process test results
-  const results = test.results || test.runs || [];
+  // JSON reporter specs hold one entry per project in spec.tests
+  const runs = Array.isArray(test.tests)
+    ? test.tests.map(t => ({ project: t.projectName || ctx.project || '', results: t.results || [] }))
+    : [{ project: test.projectName || ctx.project || '', results: test.results || test.runs || [] }];
   
-  if (Array.isArray(results)) {
-    results.forEach(result => {
+  runs.forEach(({ project, results }) => {
+    if (!Array.isArray(results)) return;
+    
+    results.forEach((result, resultIdx) => {
       const attachments = result.attachments || [];
+      const ordinalOf = ordinalCounter();
+      const selectorMasks = readSelectorMasks(attachments, reportPath);
+      const elementGeometry = readElementGeometry(attachments, reportPath);
       
       if (Array.isArray(attachments)) {
         attachments.forEach(attachment => {
@@ -471,28 +659,25 @@ function processTest(test, suitePath, reportPath, screenshots) {
             const filename = path.basename(attachmentPath);
             
             if (filename && filename.match(/\.(png|jpe?g)$/i)) {
-              const fullPath = path.join(reportPath, attachmentPath);
-              
-              // Determine screenshot type
-              let type = 'actual';
-              const attachmentName = (attachment.name || '').toLowerCase();
-              if (attachmentName.includes('expected') || filename.includes('-expected')) {
-                type = 'expected';
-              } else if (attachmentName.includes('diff') || filename.includes('-diff')) {
-                type = 'diff';
-              } else if (attachmentName.includes('actual') || filename.includes('-actual')) {
-                type = 'actual';
-              }
-              
-              screenshots.set(filename, {
+              addScreenshot(screenshots, {
                 filename,
-                path: fs.existsSync(fullPath) ? fullPath : path.join(reportPath, 'data', filename),
+                path: resolveAttachmentPath(reportPath, attachmentPath, filename),
                 testName: testTitle,  // Use just the test title, not the full path
                 fullTestName: fullTestName,  // Keep full path for reference
+                displayTitle: project ? `${titlePath.join(' › ')} [${project}]` : titlePath.join(' › '),
                 testLocation: test.location?.file || suitePath || '',
                 status: result.status || 'unknown',
-                type,
-                attachmentName: attachment.name
+                type: screenshotType(attachment, filename),
+                selectorMasks,
+                elementGeometry,
+                ...identify({
+                  file,
+                  titlePath,
+                  project,
+                  attachmentName: attachment.name,
+                  ordinal: ordinalOf(attachment.name),
+                  retry: result.retry ?? resultIdx
+                })
               });
               
               console.log(`   Found screenshot for test: "${testTitle}"`);
@@ -501,20 +686,28 @@ function processTest(test, suitePath, reportPath, screenshots) {
         });
       }
     });
-  }
+  });
   
   // Also check if test has direct attachments (some Playwright versions)
   if (test.attachments && Array.isArray(test.attachments)) {
+    const ordinalOf = ordinalCounter();
     test.attachments.forEach(attachment => {
       if (attachment.contentType && attachment.contentType.startsWith('image/')) {
         const filename = path.basename(attachment.path || attachment.name || '');
         if (filename) {
-          screenshots.set(filename, {
+          addScreenshot(screenshots, {
             filename,
             path: path.join(reportPath, attachment.path || `data/${filename}`),
             testName: testTitle,
             fullTestName: fullTestName,
-            type: attachment.name || 'screenshot'
+            type: screenshotType(attachment, filename),
+            ...identify({
+              file,
+              titlePath,
+              project: test.projectName || ctx.project,
+              attachmentName: attachment.name,
+              ordinal: ordinalOf(attachment.name)
+            })
           });
         }
       }
@@ -548,8 +741,9 @@ function findAllScreenshots(reportPath) {
     console.log(`   Found ${traceFiles.length} trace files`);
     
     // Process PNG files
+    const known = knownFilenames(screenshots);
     files.forEach(file => {
-      if (file.endsWith('.png') && !screenshots.has(file)) {
+      if (file.endsWith('.png') && !known.has(file)) {
         screenshots.set(file, {
           filename: file,
           path: path.join(dataPath, file),
@@ -565,227 +759,686 @@ function findAllScreenshots(reportPath) {
 }
 
 /* ────────────────────────────────────────────────────────── *
- *  Image comparison function (unchanged)
+ *  Ignore regions from visual-regression.config.json
  * ────────────────────────────────────────────────────────── */
-async function compareImages(img1Path, img2Path, diffPath) {
-  try {
-    if (!fs.existsSync(img1Path) || !fs.existsSync(img2Path)) {
-      return null;
-    }
-
-    // Quick binary comparison
-    const buf1 = fs.readFileSync(img1Path);
-    const buf2 = fs.readFileSync(img2Path);
+function masksFor(config, prShot, mainShot) {
+  const shot = prShot || mainShot;
+  const masks = [];
+  
+  config.ignore.filter(rule => appliesTo(rule, shot)).forEach(rule => {
+    const base = { rule: rule.id, scope: describeScope(rule), reason: rule.reason };
     
-    if (buf1.length === buf2.length && buf1.equals(buf2)) {
-      return { hasDiff: false, diffPercent: 0, identical: true };
+    if (rule.rect) {
+      masks.push({ ...base, source: 'rect', ...rule.rect });
+      return;
     }
+    
+    const seen = new Set();
+    [prShot, mainShot].forEach(s => {
+      // boxes measured at this screenshot's point, in its coordinates
+      const atPoint = s?.selectorMasks?.[s.snapshotName || s.attachmentName] || [];
+      const recorded = atPoint.find(m => m.selector === rule.selector);
+      (recorded?.rects || []).forEach(rect => {
+        // the element may have moved between branches, so both positions are ignored
+        const key = [rect.x, rect.y, rect.width, rect.height].join(',');
+        if (seen.has(key)) return;
+        seen.add(key);
+        masks.push({ ...base, source: 'selector', selector: rule.selector, ...rect });
+      });
+    });
+  });
+  
+  return masks;
+}
 
-    // Check if ImageMagick is available
-    try {
-      execSync('which compare', { stdio: 'ignore' });
-    } catch {
-      console.warn('⚠️  ImageMagick not found, using size comparison only');
-      const sizeDiff = Math.abs(buf1.length - buf2.length) / Math.max(buf1.length, buf2.length);
-      return { 
-        hasDiff: true, 
-        diffPercent: sizeDiff * 100, 
-        method: 'size-only' 
-      };
-    }
+/* ────────────────────────────────────────────────────────── *
+ *  Image comparison (built-in PNG decoder + pixel diff)
+ *  lib/compare-images.js, run in the worker pool
+ * ────────────────────────────────────────────────────────── */
+const compareOptions = options => ({ diffOptions: DIFF_OPTIONS, maxRegions: MAX_REGIONS, ...options });
 
-    // Use ImageMagick for detailed comparison
-    fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+/* ────────────────────────────────────────────────────────── *
+ *  Match and compare screenshots
+ *  Pairs are found by identity first; file-size similarity is
+ *  only used for screenshots the report could not identify.
+ * ────────────────────────────────────────────────────────── */
+const MATCH_STRATEGIES = [
+  // same test (file + title path + project), same attachment, same position
+  { method: 'identity', confidence: 1, key: s => s.identityKey },
+  // same toHaveScreenshot name within the same file and project (test was renamed)
+  { method: 'snapshot-name', confidence: 0.9, key: s => s.snapshotName && [s.file, s.project, s.snapshotName, s.ordinal].join('|') },
+  // same title path and attachment in the same project (test moved to another file)
+  { method: 'title-path', confidence: 0.8, key: s => s.titlePath && [s.project, s.titlePath.join(' › '), s.attachmentName, s.ordinal].join('|') }
+];
 
-    try {
-      const result = execSync(
-        `compare -metric AE -fuzz 5% "${img1Path}" "${img2Path}" "${diffPath}" 2>&1`,
-        { encoding: 'utf8', stdio: 'pipe' }
-      );
+const SIZE_MATCH_LIMIT = 0.2;
+const LOW_CONFIDENCE = 0.8;
 
-      const pixels = parseInt(result) || 0;
-      
-      // Get dimensions
-      const identify = execSync(`identify -format "%w %h" "${img1Path}"`, { encoding: 'utf8' });
-      const [width, height] = identify.trim().split(' ').map(Number);
-      const totalPixels = width * height;
-      const diffPercent = totalPixels > 0 ? (pixels / totalPixels) * 100 : 0;
-
-      return {
-        hasDiff: pixels > 0,
-        diffPercent: Math.round(diffPercent * 100) / 100,
-        diffImage: diffPath,
-        pixelDiff: pixels,
-        totalPixels,
-        dimensions: { width, height },
-        method: 'imagemagick'
-      };
-    } catch (err) {
-      // ImageMagick returns non-zero exit code when images differ
-      const stderr = err.stderr || err.stdout || '';
-      const pixels = parseInt(stderr) || 1;
-      
-      return {
-        hasDiff: true,
-        diffPercent: 50,
-        diffImage: diffPath,
-        pixelDiff: pixels,
-        method: 'imagemagick-error'
-      };
-    }
-  } catch (err) {
-    console.error('Error comparing images:', err.message);
+/* largest perceptual hash distance (of 64 bits) at which leftover screenshots are still paired */
+const RENAME_DISTANCE = Number.isFinite(parseInt(process.env.VISUAL_RENAME_DISTANCE, 10)) ? parseInt(process.env.VISUAL_RENAME_DISTANCE, 10) : 8;
+/* and the largest difference in aspect ratio */
+const RENAME_ASPECT_LIMIT = 0.1;
+
+/* keep only actual screenshots, and of those only the latest retry per identity */
+function actualScreenshots(screenshots) {
+  const byKey = new Map();
+  for (const info of screenshots.values()) {
+    const { filename } = info;
+    const isActual = info.type === 'actual' || (!info.type && !filename.includes('-diff') && !filename.includes('-expected'));
+    if (!isActual) continue;
+    
+    const key = info.identityKey || `file:${filename}`;
+    const existing = byKey.get(key);
+    if (!existing || (info.retry || 0) >= (existing.retry || 0)) {
+      byKey.set(key, info);
+    }
+  }
+  return Array.from(byKey.values());
+}
+
+function fileSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch {
     return null;
   }
 }
 
-/* ────────────────────────────────────────────────────────── *
- *  Match and compare screenshots (updated)
- * ────────────────────────────────────────────────────────── */
-async function matchAndCompareScreenshots(prScreenshots, mainScreenshots) {
-  const comparisons = [];
-  const unmatchedPR = new Set(prScreenshots.keys());
-  const unmatchedMain = new Set(mainScreenshots.keys());
-  
-  // Filter to actual screenshots only
-  const prActual = new Map();
-  const mainActual = new Map();
+/* perceptual hashes, computed once per image */
+const perceptualHashes = new Map();
+function perceptualHashOf(shot) {
+  if (!perceptualHashes.has(shot.path)) perceptualHashes.set(shot.path, perceptualHash(shot.path));
+  return perceptualHashes.get(shot.path);
+}
+
+/* closest-first pairs of look-alike screenshots; each screenshot is used once */
+function perceptualPairs(prShots, mainShots) {
+  const index = createHashIndex(RENAME_DISTANCE);
+  for (const main of mainShots) {
+    const mainHash = perceptualHashOf(main);
+    if (mainHash) index.add(mainHash.hash, main);
+  }
   
-  for (const [filename, info] of prScreenshots) {
-    if (info.type === 'actual' || (!info.type && !filename.includes('-diff') && !filename.includes('-expected'))) {
-      prActual.set(filename, info);
+  const candidates = [];
+  for (const pr of prShots) {
+    const prHash = perceptualHashOf(pr);
+    if (!prHash) continue;
+    for (const main of index.query(prHash.hash)) {
+      if ((pr.project || '') !== (main.project || '')) continue;
+      const mainHash = perceptualHashOf(main);
+      if (!mainHash) continue;
+      const prAspect = prHash.width / prHash.height;
+      const mainAspect = mainHash.width / mainHash.height;
+      if (Math.abs(prAspect - mainAspect) / Math.max(prAspect, mainAspect) > RENAME_ASPECT_LIMIT) continue;
+      const distance = hammingDistance(prHash.hash, mainHash.hash);
+      if (distance <= RENAME_DISTANCE) candidates.push({ pr, main, distance });
     }
   }
   
-  for (const [filename, info] of mainScreenshots) {
-    if (info.type === 'actual' || (!info.type && !filename.includes('-diff') && !filename.includes('-expected'))) {
-      mainActual.set(filename, info);
+  candidates.sort((a, b) => a.distance - b.distance);
+  const used = new Set();
+  return candidates.filter(({ pr, main }) => {
+    if (used.has(pr) || used.has(main)) return false;
+    used.add(pr);
+    used.add(main);
+    return true;
+  });
+}
+
+/* a pair whose test or snapshot name changed: renamed within its spec, or moved to another one */
+function relocationOf(pr, main) {
+  if (!pr.identityKey || !main.identityKey) return {};
+  const moved = pr.file !== main.file;
+  if (!moved && pr.testId === main.testId && pr.snapshotName === main.snapshotName) return {};
+  return {
+    relocation: moved ? 'moved' : 'renamed',
+    previous: {
+      testName: main.displayTitle || main.testName || null,
+      testId: main.testId || null,
+      file: main.file || null,
+      snapshotName: main.snapshotName || null
     }
-  }
+  };
+}
+
+/*
+ * Screenshots of different tests that look the same: same project, same size
+ * and same perceptual hash. Browser projects are kept apart, so one test
+ * rendering alike in chromium and firefox is not reported. Images without a
+ * perceptual hash (not PNG) are still grouped when their bytes are identical.
+ */
+function findDuplicateCoverage(shots) {
+  const groups = new Map();
+  shots.forEach(shot => {
+    const phash = perceptualHashOf(shot);
+    const bytes = phash ? null : imageHash(shot.path);
+    if (!phash && !bytes) return;
+    const key = phash
+      ? [shot.project || '', phash.width, phash.height, phash.hash].join('|')
+      : [shot.project || '', 'bytes', bytes].join('|');
+    if (!groups.has(key)) {
+      groups.set(key, phash
+        ? { hash: phash.hash, project: shot.project || '', dimensions: { width: phash.width, height: phash.height }, screenshots: [] }
+        : { hash: bytes, project: shot.project || '', dimensions: null, screenshots: [] });
+    }
+    groups.get(key).screenshots.push(shot);
+  });
+  
+  const testOf = shot => (shot.titlePath ? [shot.file, shot.titlePath.join(' › ')].join('|') : shot.filename);
+  return Array.from(groups.values())
+    .filter(group => new Set(group.screenshots.map(testOf)).size > 1)
+    .map(group => ({
+      ...group,
+      screenshots: group.screenshots.map(shot => ({
+        testName: shot.displayTitle || shot.testName || 'Unknown Test',
+        testId: shot.testId || null,
+        snapshotName: shot.snapshotName || null,
+        image: shot.path
+      }))
+    }))
+    .sort((a, b) => b.screenshots.length - a.screenshots.length);
+}
+
+/*
+ * Anonymous main screenshots sorted by file size. nearest() finds the one
+ * closest in size to a PR screenshot by binary search; paired screenshots
+ * are taken out with remove().
+ */
+function sizeIndex(shots) {
+  const entries = shots
+    .map(shot => ({ shot, size: fileSize(shot.path) }))
+    .filter(entry => entry.size)
+    .sort((a, b) => a.size - b.size);
+  const lowerBound = size => {
+    let lo = 0;
+    let hi = entries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (entries[mid].size < size) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  
+  return {
+    // relative size difference grows with the distance on either side, so only the neighbours count
+    nearest(size) {
+      const at = lowerBound(size);
+      return [entries[at - 1], entries[at]]
+        .filter(Boolean)
+        .map(entry => ({ shot: entry.shot, score: Math.abs(size - entry.size) / Math.max(size, entry.size) }))
+        .sort((a, b) => a.score - b.score)[0] || null;
+    },
+    remove(shot) {
+      const size = fileSize(shot.path);
+      for (let i = lowerBound(size); i < entries.length && entries[i].size === size; i++) {
+        if (entries[i].shot === shot) {
+          entries.splice(i, 1);
+          return;
+        }
+      }
+    }
+  };
+}
+
+async function matchAndCompareScreenshots(prScreenshots, mainScreenshots, config, { pool, timing = {} }) {
+  const matchStart = Date.now();
+  const comparisons = [];
+  const prList = actualScreenshots(prScreenshots);
+  const mainList = actualScreenshots(mainScreenshots);
+  const unmatchedPR = new Set(prList);
+  const unmatchedMain = new Set(mainList);
   
   console.log(`\n📊 Actual screenshots to compare:`);
-  console.log(`   PR: ${prActual.size}`);
-  console.log(`   Main: ${mainActual.size}`);
+  console.log(`   PR: ${prList.length}`);
+  console.log(`   Main: ${mainList.length}`);
   
-  // Try content-based matching
   const matches = [];
-  const prList = Array.from(prActual.values());
-  const mainList = Array.from(mainActual.values());
+  const pair = (pr, main, method, confidence) => {
+    matches.push({ pr, main, method, confidence });
+    unmatchedPR.delete(pr);
+    unmatchedMain.delete(main);
+  };
   
-  for (let i = 0; i < prList.length; i++) {
-    const prShot = prList[i];
-    let bestMatch = null;
-    let bestScore = Infinity;
+  // Indexed passes, strongest key first
+  for (const strategy of MATCH_STRATEGIES) {
+    const index = new Map();
+    for (const main of unmatchedMain) {
+      const key = main.identityKey && strategy.key(main);
+      if (!key) continue;
+      // ambiguous keys are useless for matching
+      index.set(key, index.has(key) ? null : main);
+    }
     
-    for (let j = 0; j < mainList.length; j++) {
-      const mainShot = mainList[j];
-      
-      // Skip if already matched
-      if (matches.some(m => m.main === mainShot)) continue;
-      
-      // Quick size comparison
-      try {
-        const prStat = fs.statSync(prShot.path);
-        const mainStat = fs.statSync(mainShot.path);
-        const sizeDiff = Math.abs(prStat.size - mainStat.size) / Math.max(prStat.size, mainStat.size);
-        
-        // If size difference is too large, skip
-        if (sizeDiff > 0.3) continue;
-        
-        // Use size difference as initial score
-        if (sizeDiff < bestScore) {
-          bestScore = sizeDiff;
-          bestMatch = mainShot;
-        }
-      } catch (e) {
-        // Skip if can't read file
+    for (const pr of Array.from(unmatchedPR)) {
+      const key = pr.identityKey && strategy.key(pr);
+      const main = key && index.get(key);
+      if (main && unmatchedMain.has(main)) {
+        pair(pr, main, strategy.method, strategy.confidence);
       }
     }
+  }
+  
+  // Fallbacks only for screenshots without identity (report data could not be parsed)
+  const anonymousMain = Array.from(unmatchedMain).filter(s => !s.identityKey);
+  const byName = new Map();
+  anonymousMain.forEach(main => byName.has(main.filename) || byName.set(main.filename, main));
+  const bySize = sizeIndex(anonymousMain);
+  const pairAnonymous = (pr, main, method, confidence) => {
+    pair(pr, main, method, confidence);
+    byName.delete(main.filename);
+    bySize.remove(main);
+  };
+  
+  for (const pr of Array.from(unmatchedPR).filter(s => !s.identityKey)) {
+    const sameName = byName.get(pr.filename);
+    if (sameName) {
+      pairAnonymous(pr, sameName, 'content-hash', 0.95);
+      continue;
+    }
+    
+    const prSize = fileSize(pr.path);
+    if (!prSize) continue;
     
-    if (bestMatch && bestScore < 0.2) {
-      matches.push({ pr: prShot, main: bestMatch });
-      unmatchedPR.delete(prShot.filename);
-      unmatchedMain.delete(bestMatch.filename);
+    const best = bySize.nearest(prSize);
+    if (best && best.score < SIZE_MATCH_LIMIT) {
+      pairAnonymous(pr, best.shot, 'size-similarity', Math.round(50 * (1 - best.score / SIZE_MATCH_LIMIT)) / 100);
     }
   }
   
-  console.log(`\n🔗 Matched ${matches.length} screenshot pairs`);
+  // Whatever is left may be the same screen under another test or snapshot name
+  for (const { pr, main, distance } of perceptualPairs(unmatchedPR, unmatchedMain)) {
+    pair(pr, main, 'perceptual-hash', Math.round(90 * (1 - distance / HASH_BITS)) / 100);
+  }
+  
+  timing.matchMs = Date.now() - matchStart;
+  console.log(`\n🔗 Matched ${matches.length} screenshot pairs in ${timing.matchMs}ms`);
+  MATCH_STRATEGIES.map(s => s.method).concat('content-hash', 'size-similarity', 'perceptual-hash').forEach(method => {
+    const count = matches.filter(m => m.method === method).length;
+    if (count > 0) console.log(`   ${method}: ${count}`);
+  });
   
   // Process matched screenshots
   const diffDir = path.join(ART, 'visual-diffs');
   fs.mkdirSync(diffDir, { recursive: true });
   
-  for (const match of matches) {
-    // Use the test name from PR screenshot (should be the actual test title now)
-    const testName = match.pr.testName || match.main.testName || 'Unknown Test';
+  const identityOf = shot => ({
+    identityKey: shot.identityKey || null,
+    testId: shot.testId || null,
+    project: shot.project || '',
+    snapshotName: shot.snapshotName || null,
+    attachmentName: shot.attachmentName || null
+  });
+  
+  const compareStart = Date.now();
+  if (matches.length > 0) {
+    console.log(`\n⚙️  Comparing ${matches.length} pair(s) on ${pool.stats().workers} worker(s)...`);
+  }
+  const progress = trackProgress('Compared', matches.length);
+  
+  // All pairs are queued at once; the pool limits how many run at a time
+  const outcomes = await Promise.all(matches.map(async (match, index) => {
     const displayTitle = match.pr.displayTitle || match.pr.testName || match.main.displayTitle || match.main.testName || 'Unknown Test';
-    const diffPath = path.join(diffDir, `diff-${path.basename(match.pr.filename)}`);
-    
-    console.log(`   Comparing: ${displayTitle}`);
-    const result = await compareImages(match.main.path, match.pr.path, diffPath);
+    // filenames repeat across tests (content hashes, test-failed-1.png), so each pair gets its own diff file
+    const diffPath = path.join(diffDir, `diff-${String(index + 1).padStart(3, '0')}-${path.basename(match.pr.filename)}`);
+    const masks = masksFor(config, match.pr, match.main);
+    const threshold = thresholdFor(config, match.pr);
     
+    const { result, ms } = await pool.compare(match.main.path, match.pr.path, diffPath, compareOptions({
+      masks,
+      colorThreshold: threshold.colorThreshold,
+      explain: true
+    }));
+    if (result) {
+      const outcome = result.undecodable ? 'cannot compare, not a PNG' : `${result.diffPercent}% difference (${threshold.rule})`;
+      console.log(`   ${displayTitle} (${match.method}${masks.length ? `, ${masks.length} ignored area(s)` : ''}) -> ${outcome}`);
+    }
+    progress();
+    return { match, displayTitle, masks, threshold, result, ms };
+  }));
+  timing.compareMs = Date.now() - compareStart;
+  
+  for (const { match, displayTitle, masks, threshold, result, ms } of outcomes) {
     if (result) {
-      const diffPercent = result.diffPercent || 0;
       comparisons.push({
         testName: displayTitle,  // Use the full display title for better context
         filename: match.pr.filename,
+        ...identityOf(match.pr),
         prImage: match.pr.path,
         mainImage: match.main.path,
+        mainIdentityKey: match.main.identityKey || null,
+        matchedBy: match.method,
+        matchConfidence: match.confidence,
+        ...relocationOf(match.pr, match.main),
+        masks,
         ...result,
-        status: diffPercent === 0 ? 'identical' :
-                diffPercent < 0.1 ? 'negligible' :
-                diffPercent < 1 ? 'minor' : 'major'
+        ...explainChange(result, match.main, match.pr),
+        // without a pixel difference the thresholds have nothing to classify
+        classifiedBy: result.undecodable ? null : threshold,
+        status: classify(result.hasDiff, result.diffPercent, threshold),
+        compareMs: ms
       });
-      console.log(`     -> ${result.diffPercent}% difference`);
     }
   }
   
   // Handle unmatched screenshots
-  for (const filename of unmatchedPR) {
-    const info = prActual.get(filename);
-    if (info) {
-      comparisons.push({
-        testName: info.testName || 'Unknown Test',
-        filename: info.filename,
-        prImage: info.path,
-        mainImage: null,
-        hasDiff: true,
-        diffPercent: 100,
-        status: 'new'
-      });
-    }
+  for (const info of unmatchedPR) {
+    comparisons.push({
+      testName: info.displayTitle || info.testName || 'Unknown Test',
+      filename: info.filename,
+      ...identityOf(info),
+      prImage: info.path,
+      mainImage: null,
+      matchedBy: null,
+      matchConfidence: null,
+      hasDiff: true,
+      diffPercent: 100,
+      status: 'new'
+    });
   }
   
-  for (const filename of unmatchedMain) {
-    const info = mainActual.get(filename);
-    if (info) {
-      comparisons.push({
-        testName: info.testName || 'Unknown Test',
-        filename: info.filename,
-        prImage: null,
-        mainImage: info.path,
-        hasDiff: true,
-        diffPercent: 100,
-        status: 'removed'
-      });
-    }
+  for (const info of unmatchedMain) {
+    comparisons.push({
+      testName: info.displayTitle || info.testName || 'Unknown Test',
+      filename: info.filename,
+      ...identityOf(info),
+      prImage: null,
+      mainImage: info.path,
+      matchedBy: null,
+      matchConfidence: null,
+      hasDiff: true,
+      diffPercent: 100,
+      status: 'removed'
+    });
   }
   
   return comparisons;
 }
 
+/* ────────────────────────────────────────────────────────── *
+ *  Layout shift vs content vs colour change
+ *  Pixel evidence from compareImages plus the element boxes
+ *  recorded by fixtures/visual-review.js ("geometry").
+ * ────────────────────────────────────────────────────────── */
+const MAX_LAYOUT_MESSAGES = 10;
+
+/* element boxes recorded at the point this screenshot was taken */
+function geometryOf(shot) {
+  const geometry = shot?.elementGeometry;
+  if (!geometry) return null;
+  const elements = geometry[shot.snapshotName || shot.attachmentName];
+  return elements
+    ? elements.map(e => ({ ...e, label: e.testId ? `[${e.testId}]` : `${e.role}${e.name ? ` "${e.name}"` : ''}` }))
+    : null;
+}
+
+/* changeKind and layout for a compared pair with pixel differences */
+function explainChange(result, main, pr) {
+  if (!result.hasDiff || result.method !== 'pixel') return {};
+  const before = geometryOf(main);
+  const after = geometryOf(pr);
+  const geometry = before && after ? compareGeometry(before, after) : null;
+  const changeKind = classifyChange({
+    shift: result.shift,
+    edgeRatio: result.edgeChangeRatio,
+    geometry,
+    sizeMismatch: result.sizeMismatch
+  });
+  const messages = geometry?.messages.length ? geometry.messages : [describeShift(result.shift)].filter(Boolean);
+  return {
+    changeKind,
+    layout: {
+      elements: geometry
+        ? { compared: after.length, resized: geometry.resized.length, moved: geometry.moved.length, added: geometry.added.length, removed: geometry.removed.length }
+        : null,
+      messages: messages.slice(0, MAX_LAYOUT_MESSAGES)
+    }
+  };
+}
+
+const CHANGE_KIND_LABELS = { 'layout-shift': '↕️ Layout shift', content: '📝 Content change', colour: '🎨 Colour change' };
+
+/* "3 regions changed, largest 240×80 at top-right" */
+function describeRegions(comp) {
+  if (!comp.regionCount) return '';
+  const [largest] = comp.regions;
+  const noun = comp.regionCount === 1 ? 'region' : 'regions';
+  return `${comp.regionCount} ${noun} changed, largest ${largest.width}×${largest.height} at ${largest.position}`;
+}
+
+/*
+ * Hash the images and mark changes a reviewer approved with /approve-visual
+ * as accepted. The original classification is kept in `approvedStatus`.
+ */
+function applyApprovals(comparisons, approvals) {
+  let accepted = 0;
+  comparisons.forEach(comp => {
+    comp.prHash = imageHash(comp.prImage);
+    comp.mainHash = imageHash(comp.mainImage);
+    comp.approvalKey = approvalKey(comp);
+    if (!APPROVABLE.includes(comp.status)) return;
+    const approval = findApproval(approvals, comp);
+    if (!approval) return;
+    comp.approval = { by: approval.approvedBy, at: approval.approvedAt, comment: approval.comment || null };
+    comp.approvedStatus = comp.status;
+    comp.status = 'accepted';
+    accepted++;
+  });
+  return accepted;
+}
+
+/* ────────────────────────────────────────────────────────── *
+ *  Visual stability
+ *  A test whose screenshot differs between its own retries, or
+ *  between recent main runs, renders an unstable page: the
+ *  difference is not something the PR introduced.
+ * ────────────────────────────────────────────────────────── */
+
+/* the newest `limit` reports below the history directory */
+function historyReports(dir = HISTORY_PATH, limit = HISTORY_RUNS) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => {
+      const reportPath = path.join(dir, entry.name);
+      return { run: entry.name, reportPath, mtime: fs.statSync(reportPath).mtimeMs };
+    })
+    .sort((a, b) => b.mtime - a.mtime)
+    .slice(0, limit);
+}
+
+/* every attempt of every identified screenshot: "pr|<identity>" → [{ label, shot }], latest first */
+function attemptsByIdentity(source, screenshots, groups = new Map()) {
+  const shots = Array.from(screenshots.values())
+    .filter(s => s.identityKey && (s.type || 'actual') === 'actual')
+    .sort((a, b) => (b.retry || 0) - (a.retry || 0));
+  shots.forEach(shot => {
+    const key = `${source}|${shot.identityKey}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ label: `retry #${shot.retry || 0}`, shot });
+  });
+  return groups;
+}
+
+/* union of overlapping boxes */
+function mergeRegions(regions) {
+  const boxes = regions.map(r => ({ x: r.x, y: r.y, width: r.width, height: r.height }));
+  const overlaps = (a, b) => a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height;
+  for (let merged = true; merged;) {
+    merged = false;
+    for (let i = 0; i < boxes.length && !merged; i++) {
+      for (let j = i + 1; j < boxes.length && !merged; j++) {
+        if (!overlaps(boxes[i], boxes[j])) continue;
+        const a = boxes[i];
+        const b = boxes.splice(j, 1)[0];
+        const right = Math.max(a.x + a.width, b.x + b.width);
+        const bottom = Math.max(a.y + a.height, b.y + b.height);
+        a.x = Math.min(a.x, b.x);
+        a.y = Math.min(a.y, b.y);
+        a.width = right - a.x;
+        a.height = bottom - a.y;
+        merged = true;
+      }
+    }
+  }
+  return boxes.map(box => ({ ...box, area: box.width * box.height })).sort((a, b) => b.area - a.area);
+}
+
+/*
+ * Compare the attempts of each screenshot with its latest one. PR retries
+ * are only compared with each other, main retries and earlier main runs
+ * with the current main screenshot.
+ */
+async function findUnstableScreenshots(prScreenshots, mainScreenshots, config, pool) {
+  const groups = attemptsByIdentity('pr', prScreenshots);
+  attemptsByIdentity('main', mainScreenshots, groups);
+  
+  const history = historyReports();
+  if (history.length > 0) {
+    console.log(`\n🕘 Checking ${history.length} earlier main run(s) from ${HISTORY_PATH} for unstable screenshots`);
+  }
+  history.forEach(({ run, reportPath }) => {
+    actualScreenshots(findAllScreenshots(reportPath)).forEach(shot => {
+      const attempts = shot.identityKey && groups.get(`main|${shot.identityKey}`);
+      if (attempts) attempts.push({ label: `main run ${run}`, shot });
+    });
+  });
+  
+  const stabilityDir = path.join(ART, 'visual-diffs', 'stability');
+  const retried = Array.from(groups).filter(([, attempts]) => attempts.length >= 2);
+  const progress = trackProgress('Checked for instability', retried.length);
+  
+  const checked = await Promise.all(retried.map(async ([key, attempts], group) => {
+    const [latest, ...earlier] = attempts;
+    const source = key.slice(0, key.indexOf('|'));
+    const masks = masksFor(config, latest.shot, null);
+    const { colorThreshold } = thresholdFor(config, latest.shot);
+    
+    const results = await Promise.all(earlier.map((attempt, i) => {
+      const diffPath = path.join(stabilityDir, `${source}-${group}-${i}.png`);
+      return pool.compare(latest.shot.path, attempt.shot.path, diffPath, compareOptions({ masks, colorThreshold }));
+    }));
+    progress();
+    const differing = results
+      .map(({ result }, i) => result && result.hasDiff && { label: earlier[i].label, image: earlier[i].shot.path, ...result })
+      .filter(Boolean);
+    return { source, latest, attempts, differing };
+  }));
+  
+  const unstable = [];
+  for (const { source, latest, attempts, differing } of checked) {
+    if (differing.length === 0) continue;
+    
+    const dimensions = differing.find(d => d.dimensions)?.dimensions || null;
+    const regions = mergeRegions(differing.flatMap(d => d.regions || []))
+      .map(r => ({ ...r, position: dimensions ? positionLabel(r, dimensions.width, dimensions.height) : 'unknown' }));
+    const shot = latest.shot;
+    unstable.push({
+      source,
+      identityKey: shot.identityKey,
+      testName: shot.displayTitle || shot.testName || 'Unknown Test',
+      testId: shot.testId || null,
+      project: shot.project || '',
+      snapshotName: shot.snapshotName || null,
+      image: shot.path,
+      attempts: attempts.length,
+      differing: differing.map(d => ({ label: d.label, image: d.image, diffImage: d.diffImage || null, diffPercent: d.diffPercent })),
+      maxDiffPercent: Math.max(...differing.map(d => d.diffPercent)),
+      dimensions,
+      regionCount: regions.length,
+      regions: regions.slice(0, MAX_REGIONS)
+    });
+  }
+  
+  return unstable;
+}
+
+/*
+ * Flag comparisons whose PR or main screenshot is unstable. `explained` means
+ * every changed region lies where the screenshot fluctuates anyway.
+ */
+function applyInstability(comparisons, unstable) {
+  const byKey = new Map(unstable.map(u => [`${u.source}|${u.identityKey}`, u]));
+  const touches = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+  let flagged = 0;
+  comparisons.forEach(comp => {
+    const found = [
+      comp.prImage && byKey.get(`pr|${comp.identityKey}`),
+      comp.mainImage && byKey.get(`main|${comp.mainIdentityKey || comp.identityKey}`)
+    ].filter(Boolean);
+    if (found.length === 0) return;
+    const regions = found.flatMap(u => u.regions);
+    comp.unstable = {
+      sources: found.map(u => u.source),
+      regions,
+      explained: !!comp.regions?.length && comp.regions.every(r => regions.some(f => touches(r, f)))
+    };
+    flagged++;
+  });
+  return flagged;
+}
+
+/* ────────────────────────────────────────────────────────── *
+ *  Accessibility tree changes (aria-diff.js)
+ *  Shown next to the pixel comparison of the same screenshot.
+ * ────────────────────────────────────────────────────────── */
+function loadAriaDiff(file = ARIA_DIFF_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/*
+ * Attach the ARIA diff of each screenshot point to its comparison. Returns
+ * the summary plus the changed snapshots without a pixel comparison (e.g. a
+ * toHaveScreenshot that passed and therefore left no image).
+ */
+function applyAriaDiff(comparisons, ariaDiff) {
+  if (!ariaDiff) return null;
+  const byPoint = new Map((ariaDiff.snapshots || []).map(s => [`${s.testId}|${s.point}`, s]));
+  const used = new Set();
+  comparisons.forEach(comp => {
+    const key = `${comp.testId}|${comp.snapshotName || comp.attachmentName}`;
+    const snapshot = byPoint.get(key);
+    if (!snapshot) return;
+    used.add(key);
+    comp.aria = {
+      status: snapshot.status,
+      changeCount: snapshot.changes.length,
+      losses: snapshot.losses,
+      changes: snapshot.changes.slice(0, MAX_ARIA_CHANGES).map(c => ({ message: c.message, path: c.path, loss: c.loss }))
+    };
+  });
+  const unmatched = Array.from(byPoint.entries())
+    .filter(([key, s]) => !used.has(key) && s.status === 'changed')
+    .map(([, s]) => ({
+      testName: s.testName,
+      point: s.point,
+      changeCount: s.changes.length,
+      losses: s.losses,
+      changes: s.changes.slice(0, MAX_ARIA_CHANGES).map(c => ({ message: c.message, path: c.path, loss: c.loss }))
+    }));
+  return { ...ariaDiff.summary, unmatched };
+}
+
 /* ────────────────────────────────────────────────────────── *
  *  HTML report generation (complete version)
  * ────────────────────────────────────────────────────────── */
 function generateHTMLReport(report) {
+  const escapeHTML = (value) => String(value).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+  
   const getStatusColor = (status) => {
     switch (status) {
       case 'identical': return '#10b981';
       case 'negligible': return '#06b6d4';
       case 'minor': return '#f59e0b';
       case 'major': return '#ef4444';
+      case 'undecodable': return '#a855f7';
       case 'new': return '#3b82f6';
       case 'removed': return '#8b5cf6';
+      case 'accepted': return '#22c55e';
       default: return '#6b7280';
     }
   };
@@ -796,20 +1449,158 @@ function generateHTMLReport(report) {
       case 'negligible': return '✓';
       case 'minor': return '⚠️';
       case 'major': return '❌';
+      case 'undecodable': return '❔';
       case 'new': return '🆕';
       case 'removed': return '🗑️';
+      case 'accepted': return '👍';
       default: return '❓';
     }
   };
   
+  // outlines of the changed regions, positioned relative to an image of the given size
+  const regionOverlay = (comp, size) => {
+    if (!comp.regions?.length || !size) return '';
+    return comp.regions.map((r, i) => `
+      <div class="vr-region" title="Region ${i + 1}: ${r.width}×${r.height} at ${r.position}" style="left: ${(r.x / size.width) * 100}%; top: ${(r.y / size.height) * 100}%; width: ${(r.width / size.width) * 100}%; height: ${(r.height / size.height) * 100}%;">
+        <span>${i + 1}</span>
+      </div>`).join('');
+  };
+  
+  // hatched areas that were excluded from the comparison
+  const maskOverlay = (comp, size) => {
+    if (!comp.masks?.length || !size) return '';
+    return comp.masks.map(m => `
+      <div class="vr-mask" title="Not compared: ${m.reason || m.selector || m.rule} (${m.scope})" style="left: ${(m.x / size.width) * 100}%; top: ${(m.y / size.height) * 100}%; width: ${(m.width / size.width) * 100}%; height: ${(m.height / size.height) * 100}%;"></div>`).join('');
+  };
+  
+  // one image in the side-by-side view; all panes of a comparison zoom and pan together
+  const imagePane = (label, file, comp, size) => `
+                <div class="vr-image-container">
+                  <div class="vr-image-label">${label}</div>
+                  <div class="vr-viewport">
+                    <div class="vr-pan">
+                      <div class="vr-image-frame">
+                        <img ${imageAttributes(file)} class="vr-image" loading="lazy" onclick="vrOpenImage(this)" draggable="false">
+                        ${maskOverlay(comp, size)}
+                        ${regionOverlay(comp, size)}
+                      </div>
+                    </div>
+                  </div>
+                </div>`;
+  
+  // main and PR stacked on top of each other for the slider, onion-skin and blink views
+  const compareStage = (comp) => {
+    const main = comp.mainDimensions;
+    const pr = comp.prDimensions;
+    const width = main && pr ? Math.max(main.width, pr.width) : null;
+    const height = main && pr ? Math.max(main.height, pr.height) : null;
+    const sized = (size) => width ? `style="width: ${(size.width / width) * 100}%;"` : '';
+    return `
+              <div class="vr-stage-container">
+                <div class="vr-image-label vr-stage-label">Main ◀ ▶ PR</div>
+                <div class="vr-viewport">
+                  <div class="vr-pan">
+                    <div class="vr-stage ${width ? 'sized' : ''}" ${width ? `style="aspect-ratio: ${width} / ${height};"` : ''}>
+                      <img ${imageAttributes(comp.mainImage)} class="vr-stage-base" loading="lazy" draggable="false" ${sized(main)}>
+                      <img ${imageAttributes(comp.prImage)} class="vr-stage-top" loading="lazy" draggable="false" ${sized(pr)}>
+                      <div class="vr-slider-handle"></div>
+                    </div>
+                  </div>
+                </div>
+                <div class="vr-stage-controls">
+                  <label class="vr-slider-control">Main <input type="range" min="0" max="100" value="50" oninput="vrSetSlider(this, this.value)"> PR</label>
+                  <label class="vr-onion-control">Main <input type="range" min="0" max="100" value="50" oninput="vrSetOpacity(this, this.value)"> PR</label>
+                  <span class="vr-blink-control">
+                    <button class="vr-tool" onclick="vrToggleBlink(this)">⏯ Pause</button>
+                    <span class="vr-blink-label">Showing: PR</span>
+                  </span>
+                </div>
+              </div>`;
+  };
+  
+  // view mode and zoom buttons
+  const toolbar = (comp) => {
+    const modes = comp.mainImage && comp.prImage
+      ? [['side', 'Side by side'], ['slider', 'Slider'], ['onion', 'Onion skin'], ['blink', 'Blink']]
+      : [];
+    return `
+            <div class="vr-toolbar">
+              ${modes.map(([mode, label], i) => `
+                <button class="vr-tool vr-mode ${mode === 'side' ? 'active' : ''}" data-mode="${mode}" title="${label} (${i + 1})" onclick="vrSetMode(this, '${mode}')">${label}</button>
+              `).join('')}
+              <span class="vr-toolbar-spacer"></span>
+              <button class="vr-tool" title="Zoom out (-)" onclick="vrZoom(this, 1 / 1.5)">−</button>
+              <span class="vr-zoom-level">100%</span>
+              <button class="vr-tool" title="Zoom in (+)" onclick="vrZoom(this, 1.5)">+</button>
+              <button class="vr-tool" title="Reset zoom (0)" onclick="vrZoom(this, 0)">Fit</button>
+            </div>`;
+  };
+  
+  // where a renamed or moved screenshot used to live
+  const relocationLine = (comp) => {
+    const prev = comp.previous;
+    const snapshot = prev.snapshotName && prev.snapshotName !== comp.snapshotName ? ` (<code>${prev.snapshotName}</code>)` : '';
+    return comp.relocation === 'moved'
+      ? `📦 Moved from <code>${prev.file}</code> › ${prev.testName}${snapshot}`
+      : `🔀 Renamed from ${prev.testName}${snapshot}`;
+  };
+  
+  // groups of different tests that took the same screenshot
+  const duplicatesSection = (duplicates) => `
+    <div class="vr-duplicates">
+      <h3>👯 Duplicate Coverage</h3>
+      <p>These screenshots are visually identical although different tests took them; one of the tests may be redundant.</p>
+      ${duplicates.map(group => `
+        <div class="vr-duplicate-group">
+          <img ${imageAttributes(group.screenshots[0].image, 'thumb')} class="vr-duplicate-thumb" loading="lazy" onclick="vrOpenImage(this)">
+          <div>
+            <div class="vr-duplicate-meta">${group.dimensions ? `${group.dimensions.width}×${group.dimensions.height}` : 'identical files'}${group.project ? ` · ${group.project}` : ''} · <code>${group.hash}</code></div>
+            <ul>
+              ${group.screenshots.map(shot => `<li>${shot.testName}${shot.snapshotName ? ` (<code>${shot.snapshotName}</code>)` : ''}</li>`).join('')}
+            </ul>
+          </div>
+        </div>
+      `).join('')}
+    </div>`;
+  
+  // screenshots that differ between attempts of the same test
+  const unstableSection = (unstable) => `
+    <div class="vr-unstable-list">
+      <h3>〰️ Visually Unstable Screenshots</h3>
+      <p>These screenshots differ between attempts of the same test, so the page itself is unstable. Differences inside the outlined regions are not caused by the PR.</p>
+      ${unstable.map(u => `
+        <div class="vr-unstable-item">
+          <div class="vr-comparison-title">${u.testName}${u.snapshotName ? ` (<code>${u.snapshotName}</code>)` : ''}</div>
+          <div class="vr-duplicate-meta">${u.source === 'pr' ? 'PR run' : 'Main'} · ${u.differing.length} of ${u.attempts - 1} earlier attempt(s) differ: ${u.differing.map(d => `${d.label} ${d.diffPercent}%`).join(', ')}</div>
+          <div class="vr-images">
+            ${imagePane('Latest attempt', u.image, u, u.dimensions)}
+            ${u.differing[0].diffImage ? imagePane(`Difference to ${u.differing[0].label}`, u.differing[0].diffImage, u, u.dimensions) : ''}
+          </div>
+          ${u.regionCount ? `<div class="vr-unstable">〰️ Fluctuating: ${u.regions.slice(0, 5).map(r => `${r.width}×${r.height} at ${r.position}`).join(', ')}${u.regionCount > 5 ? ` and ${u.regionCount - 5} more` : ''}</div>` : ''}
+        </div>
+      `).join('')}
+    </div>`;
+  
+  // structural changes of the accessibility tree at this screenshot
+  const ariaChanges = (aria) => `
+    <details class="vr-aria" ${aria.losses ? 'open' : ''}>
+      <summary>♿ Accessibility tree: ${aria.changeCount} change(s)${aria.losses ? `, ${aria.losses} lost` : ''}</summary>
+      <ul>
+        ${aria.changes.map(c => `<li class="${c.loss ? 'vr-aria-loss' : ''}">${escapeHTML(c.message)}${c.path.length ? ` <span class="vr-aria-path">in ${escapeHTML(c.path.join(' › '))}</span>` : ''}</li>`).join('')}
+        ${aria.changeCount > aria.changes.length ? `<li>…and ${aria.changeCount - aria.changes.length} more (see aria-diff.md)</li>` : ''}
+      </ul>
+    </details>`;
+  
   const getStatusLabel = (status, diffPercent) => {
     switch (status) {
       case 'identical': return 'No changes';
       case 'negligible': return `${diffPercent}% diff (negligible)`;
       case 'minor': return `${diffPercent}% diff (minor)`;
       case 'major': return `${diffPercent}% diff (major)`;
+      case 'undecodable': return 'Cannot compare (not a PNG)';
       case 'new': return 'New screenshot';
       case 'removed': return 'Removed';
+      case 'accepted': return 'Accepted';
       default: return 'Unknown';
     }
   };
@@ -977,35 +1768,386 @@ function generateHTMLReport(report) {
       opacity: 0.9;
     }
     
-    .vr-no-changes {
-      text-align: center;
-      padding: 3rem;
-      color: #10b981;
+    .vr-image-frame {
+      position: relative;
     }
     
-    .vr-details {
-      margin-top: 1rem;
-      font-size: 0.875rem;
-      color: #94a3b8;
+    .vr-comparison.vr-active {
+      border-color: #3b82f6;
+      box-shadow: 0 0 0 1px #3b82f6;
     }
     
-    .vr-details-grid {
-      display: grid;
-      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-      gap: 0.5rem;
-      margin-top: 0.5rem;
+    .vr-keys {
+      margin: -0.75rem 0 1.5rem;
+      font-size: 0.75rem;
+      color: #64748b;
     }
     
-    .vr-no-screenshots {
-      text-align: center;
-      padding: 3rem;
-      color: #f59e0b;
+    .vr-keys kbd {
+      padding: 0 0.3rem;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 3px;
+      font-family: inherit;
+      color: #cbd5e1;
     }
-  </style>
-  
-  <div class="vr-header">
+    
+    .vr-toolbar {
+      display: flex;
+      align-items: center;
+      gap: 0.25rem;
+      flex-wrap: wrap;
+    }
+    
+    .vr-toolbar-spacer {
+      flex: 1;
+    }
+    
+    .vr-tool {
+      padding: 0.25rem 0.6rem;
+      background: rgba(255, 255, 255, 0.05);
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 6px;
+      color: #f1f5f9;
+      font-size: 0.8rem;
+      cursor: pointer;
+    }
+    
+    .vr-tool:hover {
+      background: rgba(255, 255, 255, 0.1);
+    }
+    
+    .vr-tool.active {
+      background: #3b82f6;
+      border-color: #3b82f6;
+    }
+    
+    .vr-zoom-level {
+      min-width: 3.5rem;
+      text-align: center;
+      font-size: 0.8rem;
+      color: #94a3b8;
+    }
+    
+    .vr-viewport {
+      overflow: hidden;
+      touch-action: none;
+    }
+    
+    .vr-comparison.zoomed .vr-viewport {
+      cursor: grab;
+    }
+    
+    .vr-comparison.zoomed .vr-image {
+      cursor: grab;
+    }
+    
+    .vr-pan {
+      transform-origin: 0 0;
+    }
+    
+    .vr-stage-container {
+      display: none;
+      position: relative;
+      margin-top: 1rem;
+      background: #0f172a;
+      border-radius: 8px;
+      overflow: hidden;
+      border: 1px solid rgba(255, 255, 255, 0.1);
+    }
+    
+    .vr-comparison:not([data-mode="side"]) .vr-stage-container {
+      display: block;
+    }
+    
+    .vr-comparison:not([data-mode="side"]) .vr-images {
+      display: none;
+    }
+    
+    .vr-stage {
+      position: relative;
+      user-select: none;
+    }
+    
+    .vr-stage img {
+      display: block;
+      width: 100%;
+      height: auto;
+    }
+    
+    .vr-stage .vr-stage-top {
+      position: absolute;
+      top: 0;
+      left: 0;
+    }
+    
+    .vr-stage.sized .vr-stage-base {
+      position: absolute;
+      top: 0;
+      left: 0;
+    }
+    
+    .vr-slider-handle {
+      display: none;
+      position: absolute;
+      top: 0;
+      bottom: 0;
+      left: 50%;
+      width: 2px;
+      margin-left: -1px;
+      background: #f43f5e;
+      box-shadow: 0 0 0 1px rgba(0, 0, 0, 0.5);
+      pointer-events: none;
+    }
+    
+    .vr-comparison[data-mode="slider"] .vr-slider-handle {
+      display: block;
+    }
+    
+    .vr-comparison[data-mode="slider"] .vr-stage-top {
+      clip-path: inset(0 0 0 50%);
+    }
+    
+    .vr-comparison[data-mode="onion"] .vr-stage-top {
+      opacity: 0.5;
+    }
+    
+    .vr-stage-top.vr-hidden {
+      visibility: hidden;
+    }
+    
+    .vr-stage-controls {
+      display: flex;
+      justify-content: center;
+      padding: 0.5rem;
+      font-size: 0.8rem;
+      color: #94a3b8;
+    }
+    
+    .vr-stage-controls > * {
+      display: none;
+      align-items: center;
+      gap: 0.5rem;
+    }
+    
+    .vr-comparison[data-mode="slider"] .vr-slider-control,
+    .vr-comparison[data-mode="onion"] .vr-onion-control,
+    .vr-comparison[data-mode="blink"] .vr-blink-control {
+      display: flex;
+    }
+    
+    .vr-stage-controls input[type="range"] {
+      width: 240px;
+    }
+    
+    .vr-mask {
+      position: absolute;
+      pointer-events: none;
+      border: 1px dashed rgba(148, 163, 184, 0.9);
+      background: repeating-linear-gradient(45deg, rgba(100, 116, 139, 0.55) 0 6px, rgba(15, 23, 42, 0.35) 6px 12px);
+    }
+    
+    .vr-region {
+      position: absolute;
+      border: 2px solid #f43f5e;
+      box-shadow: 0 0 0 1px rgba(0, 0, 0, 0.6);
+      pointer-events: none;
+      min-width: 4px;
+      min-height: 4px;
+    }
+    
+    .vr-region span {
+      position: absolute;
+      top: -1.1rem;
+      left: -2px;
+      background: #f43f5e;
+      color: white;
+      font-size: 0.65rem;
+      font-weight: 600;
+      padding: 0 0.3rem;
+      border-radius: 3px 3px 0 0;
+    }
+    
+    .vr-regions-summary {
+      margin-top: 0.5rem;
+      font-size: 0.875rem;
+      color: #fda4af;
+    }
+    
+    .vr-approval {
+      margin-top: 0.5rem;
+      font-size: 0.875rem;
+      color: #86efac;
+    }
+    
+    .vr-approval a {
+      color: inherit;
+    }
+    
+    .vr-unstable {
+      margin-top: 0.5rem;
+      font-size: 0.875rem;
+      color: #fcd34d;
+    }
+    
+    .vr-unstable-list {
+      margin-top: 2rem;
+      color: #94a3b8;
+    }
+    
+    .vr-unstable-list h3 {
+      color: #e2e8f0;
+      margin-bottom: 0.25rem;
+    }
+    
+    .vr-unstable-item {
+      padding: 1rem;
+      margin-top: 0.75rem;
+      background: rgba(252, 211, 77, 0.05);
+      border: 1px solid rgba(252, 211, 77, 0.2);
+      border-radius: 8px;
+    }
+    
+    .vr-aria {
+      margin-top: 0.75rem;
+      font-size: 0.875rem;
+      color: #cbd5e1;
+    }
+    
+    .vr-aria summary {
+      cursor: pointer;
+      color: #93c5fd;
+    }
+    
+    .vr-aria ul {
+      margin: 0.5rem 0 0;
+      padding-left: 1.25rem;
+    }
+    
+    .vr-aria-loss {
+      color: #fca5a5;
+    }
+    
+    .vr-aria-path {
+      color: #64748b;
+      font-size: 0.75rem;
+    }
+    
+    .vr-aria-same {
+      margin-top: 0.5rem;
+      font-size: 0.875rem;
+      color: #64748b;
+    }
+    
+    .vr-relocation {
+      margin-top: 0.5rem;
+      font-size: 0.875rem;
+      color: #c4b5fd;
+    }
+    
+    .vr-layout {
+      margin-top: 0.5rem;
+      font-size: 0.875rem;
+      color: #7dd3fc;
+    }
+    
+    .vr-kind-badge {
+      padding: 0.25rem 0.75rem;
+      border-radius: 9999px;
+      font-size: 0.75rem;
+      font-weight: 600;
+      background: rgba(255, 255, 255, 0.08);
+      color: #cbd5e1;
+    }
+    
+    .vr-kind-layout-shift {
+      background: #0ea5e920;
+      color: #38bdf8;
+    }
+    
+    .vr-kind-colour {
+      background: #d946ef20;
+      color: #e879f9;
+    }
+    
+    .vr-duplicates {
+      margin-top: 2rem;
+      color: #94a3b8;
+    }
+    
+    .vr-duplicates h3 {
+      color: #e2e8f0;
+      margin-bottom: 0.25rem;
+    }
+    
+    .vr-duplicate-group {
+      display: flex;
+      gap: 1rem;
+      align-items: flex-start;
+      padding: 0.75rem;
+      margin-top: 0.75rem;
+      background: rgba(255, 255, 255, 0.03);
+      border-radius: 8px;
+    }
+    
+    .vr-duplicate-thumb {
+      width: 160px;
+      border-radius: 4px;
+      cursor: zoom-in;
+      flex-shrink: 0;
+    }
+    
+    .vr-duplicate-meta {
+      font-size: 0.75rem;
+    }
+    
+    .vr-duplicate-group ul {
+      margin: 0.5rem 0 0;
+      padding-left: 1.25rem;
+      color: #e2e8f0;
+    }
+    
+    .vr-no-changes {
+      text-align: center;
+      padding: 3rem;
+      color: #10b981;
+    }
+    
+    .vr-details {
+      margin-top: 1rem;
+      font-size: 0.875rem;
+      color: #94a3b8;
+    }
+    
+    .vr-details-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 0.5rem;
+      margin-top: 0.5rem;
+    }
+    
+    .vr-match-badge {
+      padding: 0.25rem 0.75rem;
+      border-radius: 9999px;
+      font-size: 0.75rem;
+      background: rgba(255, 255, 255, 0.08);
+      color: #94a3b8;
+    }
+    
+    .vr-match-badge.low {
+      background: rgba(245, 158, 11, 0.15);
+      color: #f59e0b;
+    }
+    
+    .vr-no-screenshots {
+      text-align: center;
+      padding: 3rem;
+      color: #f59e0b;
+    }
+  </style>
+  
+  <div class="vr-header">
     <h2><span>🖼️</span> Visual Regression Report</h2>
-    <p style="color: #94a3b8; margin: 0;">Screenshot comparison between PR and main branch</p>
+    <p style="color: #94a3b8; margin: 0;">Screenshot comparison between PR and ${report.base ? `<code>${report.base.sha.slice(0, 7)}</code> (${report.base.description})` : 'main branch'}</p>
   </div>
   
   ${report.totalScreenshots === 0 ? `
@@ -1043,9 +2185,33 @@ function generateHTMLReport(report) {
         <div class="vr-stat-value" style="color: #8b5cf6;">${report.removed}</div>
         <div class="vr-stat-label">Removed</div>
       </div>
+      ${report.accepted > 0 ? `
+      <div class="vr-stat">
+        <div class="vr-stat-value" style="color: #22c55e;">${report.accepted}</div>
+        <div class="vr-stat-label">Accepted</div>
+      </div>
+      ` : ''}
+      ${report.renamed > 0 ? `
+      <div class="vr-stat">
+        <div class="vr-stat-value" style="color: #a78bfa;">${report.renamed}</div>
+        <div class="vr-stat-label">Renamed</div>
+      </div>
+      ` : ''}
+      ${report.moved > 0 ? `
+      <div class="vr-stat">
+        <div class="vr-stat-value" style="color: #a78bfa;">${report.moved}</div>
+        <div class="vr-stat-label">Moved</div>
+      </div>
+      ` : ''}
+      ${report.unstable > 0 ? `
+      <div class="vr-stat">
+        <div class="vr-stat-value" style="color: #fcd34d;">${report.unstable}</div>
+        <div class="vr-stat-label">Unstable</div>
+      </div>
+      ` : ''}
     </div>
     
-    ${report.comparisons.filter(c => c.hasDiff).length === 0 && report.identical > 0 ? `
+    ${report.comparisons.filter(c => c.hasDiff || c.relocation || c.aria?.changeCount).length === 0 && report.identical > 0 ? `
       <div class="vr-no-changes">
         <div style="font-size: 3rem; margin-bottom: 1rem;">✅</div>
         <h3 style="font-size: 1.5rem; margin-bottom: 0.5rem;">No Visual Changes Detected!</h3>
@@ -1056,56 +2222,105 @@ function generateHTMLReport(report) {
         <button class="vr-filter active" onclick="filterVisualRegression('all')">All (${report.totalComparisons})</button>
         ${report.major > 0 ? `<button class="vr-filter" onclick="filterVisualRegression('major')">Major (${report.major})</button>` : ''}
         ${report.minor > 0 ? `<button class="vr-filter" onclick="filterVisualRegression('minor')">Minor (${report.minor})</button>` : ''}
+        ${report.undecodable > 0 ? `<button class="vr-filter" onclick="filterVisualRegression('undecodable')">Cannot compare (${report.undecodable})</button>` : ''}
         ${report.identical > 0 ? `<button class="vr-filter" onclick="filterVisualRegression('identical')">Identical (${report.identical})</button>` : ''}
         ${report.new > 0 ? `<button class="vr-filter" onclick="filterVisualRegression('new')">New (${report.new})</button>` : ''}
         ${report.removed > 0 ? `<button class="vr-filter" onclick="filterVisualRegression('removed')">Removed (${report.removed})</button>` : ''}
+        ${report.accepted > 0 ? `<button class="vr-filter" onclick="filterVisualRegression('accepted')">Accepted (${report.accepted})</button>` : ''}
+        ${report.renamed > 0 ? `<button class="vr-filter" onclick="filterVisualRegression('renamed')">Renamed (${report.renamed})</button>` : ''}
+        ${report.moved > 0 ? `<button class="vr-filter" onclick="filterVisualRegression('moved')">Moved (${report.moved})</button>` : ''}
+        ${report.comparisons.some(c => c.unstable) ? `<button class="vr-filter" onclick="filterVisualRegression('unstable')">Unstable (${report.comparisons.filter(c => c.unstable).length})</button>` : ''}
+        ${CHANGE_KINDS.filter(kind => report.changeKinds?.[kind] > 0).map(kind => `<button class="vr-filter" onclick="filterVisualRegression('${kind}')">${CHANGE_KIND_LABELS[kind]} (${report.changeKinds[kind]})</button>`).join('')}
+      </div>
+      <div class="vr-keys">
+        ⌨️ <kbd>j</kbd>/<kbd>k</kbd> next/previous change · <kbd>1</kbd>–<kbd>4</kbd> side by side, slider, onion skin, blink · <kbd>b</kbd> pause blink · <kbd>+</kbd>/<kbd>-</kbd>/<kbd>0</kbd> zoom · drag to pan, Ctrl+wheel to zoom
       </div>
       
       <div class="vr-comparisons" id="vr-comparisons">
         ${report.comparisons.map((comp, idx) => `
-          <div class="vr-comparison" data-status="${comp.status}">
+          <div class="vr-comparison" data-status="${comp.status}" data-relocation="${comp.relocation || ''}" data-unstable="${!!comp.unstable}" data-change-kind="${comp.changeKind || ''}" data-changed="${comp.status !== 'identical' || !!comp.relocation}" data-mode="side" tabindex="-1">
             <div class="vr-comparison-header">
               <div class="vr-comparison-title">
                 <span style="font-size: 1.5rem;">${getStatusIcon(comp.status)}</span>
                 ${comp.testName}
               </div>
-              <div class="vr-status-badge" style="background: ${getStatusColor(comp.status)}20; color: ${getStatusColor(comp.status)};">
-                ${getStatusLabel(comp.status, comp.diffPercent?.toFixed(1))}
+              <div style="display: flex; gap: 0.5rem; align-items: center;">
+                ${comp.changeKind ? `
+                  <div class="vr-kind-badge vr-kind-${comp.changeKind}" title="What kind of change the difference looks like">${CHANGE_KIND_LABELS[comp.changeKind]}</div>
+                ` : ''}
+                ${comp.matchedBy ? `
+                  <div class="vr-match-badge ${comp.matchConfidence < LOW_CONFIDENCE ? 'low' : ''}" title="How the PR and main screenshots were paired">
+                    🔗 ${comp.matchedBy} · ${Math.round(comp.matchConfidence * 100)}%
+                  </div>
+                ` : ''}
+                <div class="vr-status-badge" style="background: ${getStatusColor(comp.status)}20; color: ${getStatusColor(comp.status)};">
+                  ${getStatusLabel(comp.status, comp.diffPercent?.toFixed(1))}${comp.approvedStatus ? ` · was ${comp.approvedStatus}` : ''}
+                </div>
               </div>
             </div>
             
+            ${toolbar(comp)}
+            
             <div class="vr-images">
-              ${comp.mainImage ? `
-                <div class="vr-image-container">
-                  <div class="vr-image-label">Main Branch</div>
-                  <img src="${path.relative(ART, comp.mainImage)}" class="vr-image" loading="lazy" onclick="openImageModal(this.src)">
-                </div>
-              ` : ''}
-              ${comp.prImage ? `
-                <div class="vr-image-container">
-                  <div class="vr-image-label">PR Branch</div>
-                  <img src="${path.relative(ART, comp.prImage)}" class="vr-image" loading="lazy" onclick="openImageModal(this.src)">
-                </div>
-              ` : ''}
-              ${comp.diffImage && fs.existsSync(comp.diffImage) ? `
-                <div class="vr-image-container">
-                  <div class="vr-image-label">Difference</div>
-                  <img src="${path.relative(ART, comp.diffImage)}" class="vr-image" loading="lazy" onclick="openImageModal(this.src)">
-                </div>
-              ` : ''}
+              ${comp.mainImage ? imagePane('Main Branch', comp.mainImage, comp, comp.mainDimensions) : ''}
+              ${comp.prImage ? imagePane('PR Branch', comp.prImage, comp, comp.prDimensions) : ''}
+              ${comp.diffImage && fs.existsSync(comp.diffImage) ? imagePane('Difference', comp.diffImage, comp, comp.dimensions) : ''}
             </div>
             
+            ${comp.mainImage && comp.prImage ? compareStage(comp) : ''}
+            
+            ${comp.regionCount ? `
+              <div class="vr-regions-summary">📐 ${describeRegions(comp)}</div>
+            ` : ''}
+            
+            ${comp.layout?.messages.length ? `
+              <div class="vr-layout">📏 ${comp.layout.messages.map(escapeHTML).join('; ')}</div>
+            ` : ''}
+            
+            ${comp.relocation ? `
+              <div class="vr-relocation">${relocationLine(comp)}</div>
+            ` : ''}
+            
+            ${comp.unstable ? `
+              <div class="vr-unstable">〰️ Visually unstable in the ${comp.unstable.sources.map(s => (s === 'pr' ? 'PR' : 'main')).join(' and ')} run${comp.unstable.explained ? ': every changed region also fluctuates between attempts, so this is probably not a change made by the PR' : ''}</div>
+            ` : ''}
+            
+            ${comp.aria?.changeCount ? ariaChanges(comp.aria) : comp.aria?.status === 'identical' ? `
+              <div class="vr-aria-same">♿ Accessibility tree unchanged</div>
+            ` : ''}
+            
+            ${comp.approval ? `
+              <div class="vr-approval">👍 Approved by @${comp.approval.by} on ${comp.approval.at.slice(0, 10)}${comp.approval.comment ? ` · <a href="${comp.approval.comment}" target="_blank" rel="noopener">comment</a>` : ''}</div>
+            ` : ''}
+            
             ${comp.pixelDiff !== undefined && comp.status !== 'new' && comp.status !== 'removed' ? `
               <div class="vr-details">
                 <div class="vr-details-grid">
                   <div><strong>Pixels Changed:</strong> ${comp.pixelDiff.toLocaleString()}</div>
                   <div><strong>Total Pixels:</strong> ${comp.totalPixels?.toLocaleString() || 'Unknown'}</div>
-                  ${comp.dimensions ? `
+                  ${comp.masks?.length ? `
+                    <div><strong>Not compared:</strong> ${comp.masks.length} area(s), ${comp.ignoredPixels?.toLocaleString() || 0} px (${[...new Set(comp.masks.map(m => m.reason || m.selector || m.rule))].join(', ')})</div>
+                  ` : ''}
+                  ${comp.antialiasedPixels ? `
+                    <div><strong>Anti-aliased (ignored):</strong> ${comp.antialiasedPixels.toLocaleString()}</div>
+                  ` : ''}
+                  ${comp.sizeMismatch ? `
+                    <div><strong>Dimensions:</strong> ${comp.mainDimensions.width}×${comp.mainDimensions.height} → ${comp.prDimensions.width}×${comp.prDimensions.height}</div>
+                  ` : comp.dimensions ? `
                     <div><strong>Dimensions:</strong> ${comp.dimensions.width}×${comp.dimensions.height}</div>
                   ` : ''}
                   ${comp.method ? `
                     <div><strong>Method:</strong> ${comp.method}</div>
                   ` : ''}
+                  ${comp.matchedBy ? `
+                    <div><strong>Matched by:</strong> ${comp.matchedBy} (${Math.round(comp.matchConfidence * 100)}% confidence)</div>
+                  ` : ''}
+                  ${comp.snapshotName ? `
+                    <div><strong>Snapshot:</strong> ${comp.snapshotName}</div>
+                  ` : ''}
+                  ${comp.classifiedBy ? `
+                    <div><strong>Classified by:</strong> ${comp.classifiedBy.rule === 'default' ? 'default thresholds' : `${comp.classifiedBy.rule} (${comp.classifiedBy.scope})`} · negligible &lt; ${comp.classifiedBy.negligible}%, minor &lt; ${comp.classifiedBy.minor}%</div>
+                  ` : ''}
                 </div>
               </div>
             ` : ''}
@@ -1113,6 +2328,23 @@ function generateHTMLReport(report) {
         `).join('')}
       </div>
     `}
+    
+    ${report.aria?.unmatched?.length ? `
+    <div class="vr-unstable-list">
+      <h3>♿ Accessibility Tree Changes Without a Screenshot Diff</h3>
+      <p>The accessibility tree changed at these screenshot points although no screenshot was left to compare.</p>
+      ${report.aria.unmatched.map(a => `
+        <div class="vr-unstable-item" style="background: rgba(147, 197, 253, 0.05); border-color: rgba(147, 197, 253, 0.2);">
+          <div class="vr-comparison-title">${escapeHTML(a.testName)} (<code>${escapeHTML(a.point)}</code>)</div>
+          ${ariaChanges(a)}
+        </div>
+      `).join('')}
+    </div>
+    ` : ''}
+    
+    ${report.unstableScreenshots?.length ? unstableSection(report.unstableScreenshots) : ''}
+    
+    ${report.duplicates?.length ? duplicatesSection(report.duplicates) : ''}
   `}
   
   <script>
@@ -1123,7 +2355,7 @@ function generateHTMLReport(report) {
       
       const comparisons = document.querySelectorAll('.vr-comparison');
       comparisons.forEach(comp => {
-        if (status === 'all' || comp.dataset.status === status) {
+        if (status === 'all' || comp.dataset.status === status || comp.dataset.relocation === status || comp.dataset.changeKind === status || (status === 'unstable' && comp.dataset.unstable === 'true')) {
           comp.style.display = 'block';
         } else {
           comp.style.display = 'none';
@@ -1131,6 +2363,222 @@ function generateHTMLReport(report) {
       });
     }
     
+    /* ── comparison modes, synchronized zoom/pan and keyboard navigation ── */
+    var vrStates = new WeakMap();
+    var VR_MAX_ZOOM = 16;
+    
+    function vrComparison(el) {
+      return el.closest('.vr-comparison');
+    }
+    
+    function vrState(comp) {
+      if (!vrStates.has(comp)) {
+        vrStates.set(comp, { zoom: 1, x: 0, y: 0, slider: 50, opacity: 50, blink: null, showTop: true, dragged: false });
+      }
+      return vrStates.get(comp);
+    }
+    
+    /* pan is stored as a fraction of the viewport so panes of different sizes stay aligned */
+    function vrApply(comp) {
+      var state = vrState(comp);
+      state.x = Math.min(0, Math.max(1 - state.zoom, state.x));
+      state.y = Math.min(0, Math.max(1 - state.zoom, state.y));
+      comp.querySelectorAll('.vr-pan').forEach(function(pan) {
+        pan.style.transform = 'translate(' + (state.x * 100) + '%, ' + (state.y * 100) + '%) scale(' + state.zoom + ')';
+      });
+      comp.classList.toggle('zoomed', state.zoom > 1);
+      if (state.zoom > 1) vrLoadFull(comp);
+      var level = comp.querySelector('.vr-zoom-level');
+      if (level) level.textContent = Math.round(state.zoom * 100) + '%';
+    }
+    
+    /* the reports show downscaled previews; zooming in loads the originals */
+    function vrLoadFull(comp) {
+      comp.querySelectorAll('img[data-full]').forEach(function(img) {
+        if (img.getAttribute('src') !== img.dataset.full) img.src = img.dataset.full;
+      });
+    }
+    
+    /* factor 0 resets; cx/cy is the point (0–1 of the viewport) that stays put */
+    function vrZoom(el, factor, cx, cy) {
+      var comp = vrComparison(el);
+      if (!comp) return;
+      var state = vrState(comp);
+      var zoom = factor === 0 ? 1 : Math.min(VR_MAX_ZOOM, Math.max(1, state.zoom * factor));
+      cx = cx === undefined ? 0.5 : cx;
+      cy = cy === undefined ? 0.5 : cy;
+      state.x = cx - (cx - state.x) * zoom / state.zoom;
+      state.y = cy - (cy - state.y) * zoom / state.zoom;
+      state.zoom = zoom;
+      vrApply(comp);
+    }
+    
+    function vrSetMode(el, mode) {
+      var comp = vrComparison(el);
+      if (!comp || !comp.querySelector('.vr-stage')) return;
+      var state = vrState(comp);
+      comp.dataset.mode = mode;
+      comp.querySelectorAll('.vr-mode').forEach(function(button) {
+        button.classList.toggle('active', button.dataset.mode === mode);
+      });
+      var top = comp.querySelector('.vr-stage-top');
+      top.style.clipPath = mode === 'slider' ? 'inset(0 0 0 ' + state.slider + '%)' : '';
+      top.style.opacity = mode === 'onion' ? state.opacity / 100 : '';
+      vrStopBlink(comp);
+      if (mode === 'blink') vrStartBlink(comp);
+      vrApply(comp);
+    }
+    
+    function vrSetSlider(el, value) {
+      var comp = vrComparison(el);
+      vrState(comp).slider = Number(value);
+      comp.querySelector('.vr-stage-top').style.clipPath = 'inset(0 0 0 ' + value + '%)';
+      comp.querySelector('.vr-slider-handle').style.left = value + '%';
+      comp.querySelector('.vr-slider-control input').value = value;
+    }
+    
+    function vrSetOpacity(el, value) {
+      var comp = vrComparison(el);
+      vrState(comp).opacity = Number(value);
+      comp.querySelector('.vr-stage-top').style.opacity = value / 100;
+    }
+    
+    function vrShowTop(comp, show) {
+      var state = vrState(comp);
+      state.showTop = show;
+      comp.querySelector('.vr-stage-top').classList.toggle('vr-hidden', !show);
+      comp.querySelector('.vr-blink-label').textContent = 'Showing: ' + (show ? 'PR' : 'Main');
+    }
+    
+    function vrStartBlink(comp) {
+      var state = vrState(comp);
+      state.blink = setInterval(function() { vrShowTop(comp, !state.showTop); }, 600);
+      comp.querySelector('.vr-blink-control .vr-tool').textContent = '⏯ Pause';
+    }
+    
+    function vrStopBlink(comp) {
+      var state = vrState(comp);
+      if (state.blink) clearInterval(state.blink);
+      state.blink = null;
+      vrShowTop(comp, true);
+      var button = comp.querySelector('.vr-blink-control .vr-tool');
+      if (button) button.textContent = '⏯ Play';
+    }
+    
+    function vrToggleBlink(el) {
+      var comp = vrComparison(el);
+      var state = vrState(comp);
+      if (state.blink) {
+        clearInterval(state.blink);
+        state.blink = null;
+        comp.querySelector('.vr-blink-control .vr-tool').textContent = '⏯ Play';
+      } else {
+        vrStartBlink(comp);
+      }
+    }
+    
+    /* a click that ended a pan must not open the modal */
+    function vrOpenImage(img) {
+      var comp = vrComparison(img);
+      if (comp && (vrState(comp).dragged || vrState(comp).zoom > 1)) return;
+      openImageModal(img.dataset.full || img.src);
+    }
+    
+    document.querySelectorAll('#vr-comparisons .vr-viewport').forEach(function(viewport) {
+      var comp = vrComparison(viewport);
+      var start = null;
+      
+      viewport.addEventListener('pointerdown', function(e) {
+        var state = vrState(comp);
+        state.dragged = false;
+        var rect = viewport.getBoundingClientRect();
+        var slider = comp.dataset.mode === 'slider' && state.zoom === 1 && viewport.querySelector('.vr-stage');
+        start = { px: e.clientX, py: e.clientY, x: state.x, y: state.y, width: rect.width, height: rect.height, left: rect.left, slider: slider };
+        if (slider) vrSetSlider(viewport, Math.round(((e.clientX - rect.left) / rect.width) * 100));
+        if (state.zoom > 1 || slider) viewport.setPointerCapture(e.pointerId);
+      });
+      
+      viewport.addEventListener('pointermove', function(e) {
+        if (!start) return;
+        var state = vrState(comp);
+        if (start.slider) {
+          var value = Math.round(((e.clientX - start.left) / start.width) * 100);
+          vrSetSlider(viewport, Math.min(100, Math.max(0, value)));
+          return;
+        }
+        if (state.zoom === 1) return;
+        var dx = e.clientX - start.px;
+        var dy = e.clientY - start.py;
+        if (Math.abs(dx) + Math.abs(dy) > 3) state.dragged = true;
+        state.x = start.x + dx / start.width;
+        state.y = start.y + dy / start.height;
+        vrApply(comp);
+      });
+      
+      ['pointerup', 'pointercancel'].forEach(function(type) {
+        viewport.addEventListener(type, function() { start = null; });
+      });
+      
+      viewport.addEventListener('wheel', function(e) {
+        if (!e.ctrlKey && !e.metaKey) return;
+        e.preventDefault();
+        var rect = viewport.getBoundingClientRect();
+        // cursor position inside the (already zoomed) content, as a fraction of the viewport
+        var cx = (e.clientX - rect.left) / rect.width;
+        var cy = (e.clientY - rect.top) / rect.height;
+        vrZoom(viewport, e.deltaY < 0 ? 1.25 : 1 / 1.25, cx, cy);
+      }, { passive: false });
+    });
+    
+    /* keyboard: j/k between changed screenshots, 1–4 modes, b blink, +/-/0 zoom */
+    var vrActive = null;
+    
+    function vrFocus(comp) {
+      if (vrActive) vrActive.classList.remove('vr-active');
+      vrActive = comp;
+      comp.classList.add('vr-active');
+      comp.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    
+    function vrStep(direction) {
+      var changed = Array.prototype.filter.call(document.querySelectorAll('#vr-comparisons .vr-comparison'), function(comp) {
+        return comp.dataset.changed === 'true' && comp.offsetParent !== null;
+      });
+      if (!changed.length) return;
+      var index = changed.indexOf(vrActive);
+      index = index === -1 ? (direction > 0 ? 0 : changed.length - 1) : (index + direction + changed.length) % changed.length;
+      vrFocus(changed[index]);
+    }
+    
+    document.addEventListener('keydown', function(e) {
+      var list = document.getElementById('vr-comparisons');
+      if (!list || list.offsetParent === null) return;
+      if (e.ctrlKey || e.metaKey || e.altKey || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      var modal = document.getElementById('imageModal');
+      if (modal && modal.style.display === 'block') return;
+      
+      var comp = vrActive;
+      var modes = { '1': 'side', '2': 'slider', '3': 'onion', '4': 'blink' };
+      if (e.key === 'j' || e.key === 'n') {
+        vrStep(1);
+      } else if (e.key === 'k' || e.key === 'p') {
+        vrStep(-1);
+      } else if (comp && modes[e.key]) {
+        vrSetMode(comp, modes[e.key]);
+      } else if (comp && e.key === 'b' && comp.dataset.mode === 'blink') {
+        vrToggleBlink(comp);
+      } else if (comp && (e.key === '+' || e.key === '=')) {
+        vrZoom(comp, 1.5);
+      } else if (comp && e.key === '-') {
+        vrZoom(comp, 1 / 1.5);
+      } else if (comp && e.key === '0') {
+        vrZoom(comp, 0);
+      } else {
+        return;
+      }
+      e.preventDefault();
+    });
+    
     function openImageModal(src) {
       // Try parent window first (if in iframe)
       if (window.parent && window.parent.openImageModal) {
@@ -1147,10 +2595,44 @@ function generateHTMLReport(report) {
   `;
 }
 
+/* changed screenshots per kind of change: layout-shift, content, colour */
+function summarizeChangeKinds(comparisons) {
+  const counts = Object.fromEntries(CHANGE_KINDS.map(kind => [kind, 0]));
+  comparisons.forEach(c => {
+    if (c.changeKind) counts[c.changeKind]++;
+  });
+  return counts;
+}
+
+/* which threshold rules classified how many comparisons */
+function summarizeThresholds(config, comparisons) {
+  const used = {};
+  comparisons.filter(c => c.classifiedBy).forEach(c => {
+    used[c.classifiedBy.rule] = used[c.classifiedBy.rule] || { ...c.classifiedBy, count: 0 };
+    used[c.classifiedBy.rule].count++;
+  });
+  return {
+    defaults: { negligible: config.defaults.negligible, minor: config.defaults.minor },
+    rules: Object.values(used)
+  };
+}
+
+/* how the pairs were found: { identity: n, ..., lowConfidence: n } */
+function summarizeMatching(comparisons) {
+  const matching = { lowConfidence: 0 };
+  comparisons.filter(c => c.matchedBy).forEach(c => {
+    matching[c.matchedBy] = (matching[c.matchedBy] || 0) + 1;
+    if (c.matchConfidence < LOW_CONFIDENCE) matching.lowConfidence++;
+  });
+  return matching;
+}
+
 /* ────────────────────────────────────────────────────────── *
  *  Main visual regression analysis
  * ────────────────────────────────────────────────────────── */
 async function generateVisualReport() {
+  const startedAt = Date.now();
+  const timing = {};
   console.log('🔍 Starting visual regression analysis...');
   console.log('📁 Working directory:', process.cwd());
   console.log('📁 Artifacts directory:', ART);
@@ -1173,9 +2655,22 @@ async function generateVisualReport() {
       negligible: 0,
       minor: 0,
       major: 0,
+      undecodable: 0,
       new: 0,
       removed: 0,
-      comparisons: []
+      accepted: 0,
+      renamed: 0,
+      moved: 0,
+      unstable: 0,
+      gifs: 0,
+      changeKinds: summarizeChangeKinds([]),
+      base: baseRecord(loadComparisonBase()),
+      aria: null,
+      matching: { lowConfidence: 0 },
+      thresholds: { defaults: { ...DEFAULT_THRESHOLDS }, rules: [] },
+      comparisons: [],
+      duplicates: [],
+      unstableScreenshots: []
     };
   }
   
@@ -1183,6 +2678,7 @@ async function generateVisualReport() {
   console.log('\n🔍 Finding screenshots...');
   const prScreenshots = findAllScreenshots(prReportPath);
   const mainScreenshots = findAllScreenshots(mainReportPath);
+  timing.findMs = Date.now() - startedAt;
   
   console.log(`\n📸 Screenshots found:`);
   console.log(`   PR: ${prScreenshots.size} total`);
@@ -1196,12 +2692,57 @@ async function generateVisualReport() {
     console.log('   - Check that tests are actually running and not skipped');
   }
   
+  // Ignore regions and other per-screenshot rules
+  const config = loadVisualConfig();
+  if (config.source) {
+    console.log(`\n⚙️  Using ${config.source} (${config.ignore.length} ignore rule(s))`);
+  }
+  config.problems.forEach(problem => console.warn(`⚠️  ${problem}`));
+  
   // Match and compare screenshots
-  const comparisons = await matchAndCompareScreenshots(prScreenshots, mainScreenshots);
+  const pool = createComparePool();
+  const comparisons = await matchAndCompareScreenshots(prScreenshots, mainScreenshots, config, { pool, timing });
+  
+  // Changes a reviewer approved for exactly these images
+  const approvals = loadApprovals();
+  const accepted = applyApprovals(comparisons, approvals);
+  if (accepted > 0) {
+    console.log(`\n👍 ${accepted} change(s) accepted by reviewer approval`);
+  }
+  
+  // Accessibility tree changes at the same screenshot points
+  const aria = applyAriaDiff(comparisons, loadAriaDiff());
+  if (aria) {
+    console.log(`\n♿ Accessibility tree: ${aria.changed} changed snapshot(s), ${aria.losses} loss(es)`);
+  }
+  
+  // Screenshots that change between retries are unstable, not regressed
+  const stabilityStart = Date.now();
+  const unstable = await findUnstableScreenshots(prScreenshots, mainScreenshots, config, pool);
+  timing.stabilityMs = Date.now() - stabilityStart;
+  await pool.close();
+  const flagged = applyInstability(comparisons, unstable);
+  if (unstable.length > 0) {
+    console.log(`\n〰️ ${unstable.length} visually unstable screenshot(s), affecting ${flagged} comparison(s)`);
+  }
   
   // Sort by difference percentage (highest first)
   comparisons.sort((a, b) => b.diffPercent - a.diffPercent);
   
+  // Animated before/after of the biggest changes, published with the dashboard
+  const gifStart = Date.now();
+  const gifs = writeChangeGIFs(comparisons);
+  timing.gifMs = Date.now() - gifStart;
+  if (gifs > 0) {
+    console.log(`\n🎞️  ${gifs} before/after GIF(s) written to ${GIF_DIR}`);
+  }
+  
+  // Different tests producing the same screen
+  const duplicates = findDuplicateCoverage(actualScreenshots(prScreenshots));
+  if (duplicates.length > 0) {
+    console.log(`\n👯 ${duplicates.length} group(s) of visually identical screenshots across different tests`);
+  }
+  
   // Create summary
   const summary = {
     timestamp: new Date().toISOString(),
@@ -1211,9 +2752,23 @@ async function generateVisualReport() {
     negligible: comparisons.filter(c => c.status === 'negligible').length,
     minor: comparisons.filter(c => c.status === 'minor').length,
     major: comparisons.filter(c => c.status === 'major').length,
+    undecodable: comparisons.filter(c => c.status === 'undecodable').length,
     new: comparisons.filter(c => c.status === 'new').length,
     removed: comparisons.filter(c => c.status === 'removed').length,
-    comparisons
+    accepted,
+    renamed: comparisons.filter(c => c.relocation === 'renamed').length,
+    moved: comparisons.filter(c => c.relocation === 'moved').length,
+    unstable: unstable.length,
+    gifs,
+    changeKinds: summarizeChangeKinds(comparisons),
+    base: baseRecord(loadComparisonBase()),
+    aria,
+    matching: summarizeMatching(comparisons),
+    config: { source: config.source, problems: config.problems },
+    thresholds: summarizeThresholds(config, comparisons),
+    comparisons,
+    duplicates,
+    unstableScreenshots: unstable
   };
   
   console.log('\n📊 Final summary:');
@@ -1222,20 +2777,32 @@ async function generateVisualReport() {
   console.log(`   Negligible: ${summary.negligible}`);
   console.log(`   Minor: ${summary.minor}`);
   console.log(`   Major: ${summary.major}`);
+  if (summary.undecodable > 0) console.log(`   Cannot compare: ${summary.undecodable}`);
   console.log(`   New: ${summary.new}`);
   console.log(`   Removed: ${summary.removed}`);
+  console.log(`   Accepted: ${summary.accepted}`);
+  console.log(`   Renamed/moved: ${summary.renamed + summary.moved}`);
+  console.log(`   Unstable: ${summary.unstable}`);
+  console.log(`   Change kinds: ${CHANGE_KINDS.map(kind => `${summary.changeKinds[kind]} ${kind}`).join(', ')}`);
   
   // Save results
+  const reportStart = Date.now();
   fs.writeFileSync(
     path.join(ART, 'visual-regression-report.json'),
     JSON.stringify(summary, null, 2)
   );
   
-  // Generate HTML report
+  // Generate HTML report (publishes the downscaled images it shows)
+  const assetsStart = Date.now();
   fs.writeFileSync(
     path.join(ART, 'visual-regression.html'),
     generateHTMLReport(summary)
   );
+  const assets = saveManifest();
+  timing.assetsMs = Date.now() - assetsStart;
+  if (assets) {
+    console.log(`\n🗜️  ${assets.images} report image(s) stored as ${assets.unique} unique asset(s) (${(assets.uniqueBytes / 1024 / 1024).toFixed(1)} of ${(assets.originalBytes / 1024 / 1024).toFixed(1)} MB) with thumbnails and previews`);
+  }
   
   // Generate markdown summary
   const markdownSummary = generateMarkdownSummary(summary);
@@ -1244,6 +2811,11 @@ async function generateVisualReport() {
     markdownSummary
   );
   
+  timing.reportMs = Date.now() - reportStart;
+  timing.totalMs = Date.now() - startedAt;
+  const performance = recordPerformance(comparisons, pool.stats(), timing);
+  console.log(`\n⏱️  ${performance.comparisons} comparison(s) in ${(timing.compareMs / 1000).toFixed(1)}s on ${performance.workers} worker(s), ${(timing.totalMs / 1000).toFixed(1)}s in total`);
+  
   console.log('\n✅ Visual regression report generated');
   console.log('📄 Files created:');
   console.log('   - artifacts/visual-regression-report.json');
@@ -1253,11 +2825,76 @@ async function generateVisualReport() {
   return summary;
 }
 
+/* ────────────────────────────────────────────────────────── *
+ *  Animated main → PR → diff GIFs (lib/change-gif)
+ *  For the top GIF_COUNT changes that still need review; the
+ *  PR comment embeds them from the published dashboard.
+ * ────────────────────────────────────────────────────────── */
+function writeChangeGIFs(comparisons, count = GIF_COUNT) {
+  const candidates = comparisons
+    .filter(c => (c.status === 'major' || c.status === 'minor') && !c.unstable && c.mainImage && c.prImage && c.diffImage)
+    .slice(0, Math.max(0, count));
+  let written = 0;
+  candidates.forEach(comp => {
+    try {
+      const gif = changeGIF(comp);
+      if (!gif) return;
+      const file = path.join(GIF_DIR, `${(comp.mainHash || '').slice(0, 10)}-${(comp.prHash || '').slice(0, 10)}.gif`);
+      fs.mkdirSync(GIF_DIR, { recursive: true });
+      fs.writeFileSync(file, gif);
+      comp.gif = path.relative(ART, file).split(path.sep).join('/');
+      written++;
+    } catch (err) {
+      console.warn(`⚠️  Could not write a GIF for ${comp.testName}: ${err.message}`);
+    }
+  });
+  return written;
+}
+
+/* ────────────────────────────────────────────────────────── *
+ *  Timings, merged into artifacts/dashboard-performance.json
+ *  (generate-webpage.js adds its own figures later)
+ * ────────────────────────────────────────────────────────── */
+function recordPerformance(comparisons, poolStats, timing) {
+  const seconds = timing.compareMs / 1000;
+  const performance = {
+    workers: poolStats.workers,
+    threads: poolStats.threads,
+    memoryBudgetMB: poolStats.memoryBudgetMB,
+    peakMemoryMB: poolStats.peakMemoryMB,
+    peakConcurrent: poolStats.peakConcurrent,
+    workerErrors: poolStats.workerErrors,
+    comparisons: poolStats.tasks,
+    pixelComparisons: comparisons.filter(c => c.method === 'pixel').length,
+    comparisonsPerSecond: seconds > 0 ? Math.round((poolStats.tasks / seconds) * 10) / 10 : null,
+    averageCompareMs: poolStats.tasks ? Math.round(poolStats.busyMs / poolStats.tasks) : null,
+    timings: timing,
+    slowest: comparisons
+      .filter(c => c.compareMs !== undefined)
+      .sort((a, b) => b.compareMs - a.compareMs)
+      .slice(0, SLOWEST_COMPARISONS)
+      .map(c => ({ testName: c.testName, compareMs: c.compareMs, dimensions: c.dimensions || null })),
+    timestamp: new Date().toISOString()
+  };
+  
+  let existing = {};
+  try {
+    existing = JSON.parse(fs.readFileSync(PERFORMANCE_FILE, 'utf8'));
+  } catch {
+    // first script to report
+  }
+  fs.writeFileSync(PERFORMANCE_FILE, JSON.stringify({ ...existing, visualRegression: performance }, null, 2));
+  return performance;
+}
+
 /* ────────────────────────────────────────────────────────── *
  *  Generate markdown summary
  * ────────────────────────────────────────────────────────── */
 function generateMarkdownSummary(report) {
   let md = '# Visual Regression Summary\n\n';
+  if (report.base) {
+    md += `Compared against \`${report.base.sha.slice(0, 7)}\` (${report.base.description})\n\n`;
+  }
   
   if (report.totalScreenshots === 0) {
     md += '⚠️ **No screenshots found.**\n\n';
@@ -1280,25 +2917,96 @@ function generateMarkdownSummary(report) {
   md += '| Status | Count | Description |\n';
   md += '|--------|-------|-------------|\n';
   md += `| ✅ Identical | ${report.identical} | No visual changes |\n`;
-  md += `| ✓ Negligible | ${report.negligible} | Less than 0.1% difference |\n`;
-  md += `| ⚠️ Minor | ${report.minor} | 0.1% to 1% difference |\n`;
-  md += `| ❌ Major | ${report.major} | More than 1% difference |\n`;
+  const { negligible, minor } = report.thresholds?.defaults || DEFAULT_THRESHOLDS;
+  const customRules = (report.thresholds?.rules || []).filter(r => r.rule !== 'default');
+  const note = customRules.length ? ' (default rule)' : '';
+  md += `| ✓ Negligible | ${report.negligible} | Less than ${negligible}% difference${note} |\n`;
+  md += `| ⚠️ Minor | ${report.minor} | ${negligible}% to ${minor}% difference${note} |\n`;
+  md += `| ❌ Major | ${report.major} | ${minor}% or more difference${note} |\n`;
   md += `| 🆕 New | ${report.new} | New screenshots in PR |\n`;
-  md += `| 🗑️ Removed | ${report.removed} | Screenshots removed in PR |\n\n`;
+  md += `| 🗑️ Removed | ${report.removed} | Screenshots removed in PR |\n`;
+  md += `| 👍 Accepted | ${report.accepted || 0} | Changes approved with \`/approve-visual\` |\n`;
+  if (report.renamed || report.moved) {
+    md += `| 🔀 Renamed / moved | ${report.renamed + report.moved} | Same screen under another test or snapshot name (counted above by change) |\n`;
+  }
+  md += '\n';
+  
+  // What the changed screenshots look like: moved content, new content or new colours
+  const kinds = report.changeKinds || {};
+  if (CHANGE_KINDS.some(kind => kinds[kind])) {
+    md += `**Kind of change:** ${CHANGE_KINDS.filter(kind => kinds[kind]).map(kind => `${CHANGE_KIND_LABELS[kind]} ${kinds[kind]}`).join(' • ')}\n\n`;
+  }
+  
+  // Per-test threshold rules that classified something
+  if (customRules.length > 0) {
+    md += '## Threshold Rules\n\n';
+    md += '| Rule | Scope | Negligible below | Minor below | Screenshots |\n';
+    md += '|------|-------|------------------|-------------|-------------|\n';
+    report.thresholds.rules.forEach(r => {
+      md += `| ${r.rule} | ${r.scope} | ${r.negligible}% | ${r.minor}% | ${r.count} |\n`;
+    });
+    md += '\n';
+  }
+  
+  // Config problems are easy to miss in the logs
+  if (report.config?.problems?.length) {
+    md += `> ⚠️ **${path.basename(report.config.source || 'visual config')} has problems; the affected rules were skipped:**\n`;
+    report.config.problems.forEach(problem => {
+      md += `> - ${problem}\n`;
+    });
+    md += '\n';
+  }
+  
+  // How pairs were found
+  const matching = report.matching || {};
+  const methods = Object.keys(matching).filter(m => m !== 'lowConfidence');
+  if (methods.length > 0) {
+    md += '## Screenshot Matching\n\n';
+    md += '| Matched by | Pairs |\n';
+    md += '|------------|-------|\n';
+    methods.forEach(method => {
+      md += `| ${method} | ${matching[method]} |\n`;
+    });
+    md += '\n';
+    if (matching.lowConfidence > 0) {
+      md += `⚠️ ${matching.lowConfidence} pair(s) were matched with low confidence (by file size or image similarity) and may compare unrelated screens.\n\n`;
+    }
+  }
+  
+  // Screenshots that only changed their name or place
+  const relocated = report.comparisons.filter(c => c.relocation);
+  if (relocated.length > 0) {
+    md += '## Renamed and Moved Screenshots\n\n';
+    md += '| Screenshot | Previously | Change |\n';
+    md += '|------------|------------|--------|\n';
+    relocated.forEach(c => {
+      const prev = c.previous;
+      const was = c.relocation === 'moved' ? `📦 \`${prev.file}\` › ${prev.testName}` : `🔀 ${prev.testName}`;
+      const snapshot = prev.snapshotName && prev.snapshotName !== c.snapshotName ? ` (\`${prev.snapshotName}\`)` : '';
+      md += `| ${c.testName}${c.snapshotName ? ` (\`${c.snapshotName}\`)` : ''} | ${was}${snapshot} | ${c.status === 'identical' ? 'identical' : c.diffPercent === null ? `cannot compare (${c.approvedStatus || c.status})` : `${c.diffPercent?.toFixed(2)}% (${c.approvedStatus || c.status})`} |\n`;
+    });
+    md += '\n';
+  }
   
   // Overall status
-  if (report.major === 0 && report.minor === 0 && report.new === 0 && report.removed === 0) {
+  if (report.major === 0 && report.minor === 0 && !report.undecodable && report.new === 0 && report.removed === 0) {
     md += '### ✅ No Visual Changes\n\n';
-    md += 'All screenshots are identical between PR and main branch.\n\n';
+    md += report.accepted > 0
+      ? 'All remaining differences were approved by a reviewer.\n\n'
+      : 'All screenshots are identical between PR and main branch.\n\n';
   } else {
     md += '### 🔍 Visual Changes Detected\n\n';
     
     if (report.major > 0) {
-      md += `**${report.major} major changes** detected (>1% pixel difference)\n\n`;
+      md += `**${report.major} major changes** detected (${customRules.length ? 'above the threshold of their rule' : `≥${minor}% pixel difference`})\n\n`;
     }
     
     if (report.minor > 0) {
-      md += `**${report.minor} minor changes** detected (0.1-1% pixel difference)\n\n`;
+      md += `**${report.minor} minor changes** detected (${customRules.length ? 'between the thresholds of their rule' : `${negligible}-${minor}% pixel difference`})\n\n`;
+    }
+    
+    if (report.undecodable > 0) {
+      md += `**${report.undecodable} screenshots cannot be compared**: they differ, but are not PNG images\n\n`;
     }
     
     if (report.new > 0) {
@@ -1310,6 +3018,51 @@ function generateMarkdownSummary(report) {
     }
   }
   
+  if (report.accepted > 0) {
+    md += `👍 **${report.accepted} change(s) accepted** by reviewer approval; they are not counted above.\n\n`;
+  }
+  
+  // Pages that render differently from attempt to attempt
+  if (report.unstableScreenshots?.length > 0) {
+    md += '## Visually Unstable Screenshots\n\n';
+    md += 'These screenshots differ between attempts of the same test, so the page is unstable rather than regressed.\n\n';
+    md += '| Screenshot | Run | Attempts differing | Max difference | Fluctuating regions |\n';
+    md += '|------------|-----|--------------------|----------------|---------------------|\n';
+    report.unstableScreenshots.forEach(u => {
+      const regions = u.regions.slice(0, 3).map(r => `${r.width}×${r.height} at ${r.position}`).join(', ');
+      md += `| ${u.testName}${u.snapshotName ? ` (\`${u.snapshotName}\`)` : ''} | ${u.source === 'pr' ? 'PR' : 'main'} | ${u.differing.length} of ${u.attempts - 1} | ${u.maxDiffPercent}% | ${regions || '–'}${u.regionCount > 3 ? ` +${u.regionCount - 3}` : ''} |\n`;
+    });
+    md += '\n';
+    const affected = report.comparisons.filter(c => c.unstable && (c.status === 'major' || c.status === 'minor'));
+    if (affected.length > 0) {
+      md += `〰️ ${affected.length} of the changes above involve an unstable screenshot; ${affected.filter(c => c.unstable.explained).length} lie entirely in fluctuating regions.\n\n`;
+    }
+  }
+  
+  // What changed for assistive technology
+  if (report.aria?.changed > 0) {
+    md += '## Accessibility Tree\n\n';
+    md += `${report.aria.changed} screenshot point(s) with a changed accessibility tree (${report.aria.changes} change(s)${report.aria.losses ? `, ⚠️ ${report.aria.losses} lost element(s) or name(s)` : ''}).\n\n`;
+    const changed = report.comparisons
+      .filter(c => c.aria?.changeCount)
+      .map(c => ({ testName: c.testName, point: c.snapshotName || c.attachmentName, ...c.aria }))
+      .concat(report.aria.unmatched || []);
+    changed.slice(0, 10).forEach(a => {
+      md += `- **${a.testName}** (\`${a.point}\`): ${a.changes.slice(0, 3).map(c => `${c.loss ? '⚠️ ' : ''}${c.message}`).join('; ')}${a.changeCount > 3 ? ` and ${a.changeCount - 3} more` : ''}\n`;
+    });
+    md += '\n';
+  }
+  
+  // Different tests taking the same screenshot
+  if (report.duplicates?.length > 0) {
+    md += '## Duplicate Coverage\n\n';
+    md += 'Visually identical screenshots taken by different tests:\n\n';
+    report.duplicates.forEach(group => {
+      md += `- ${group.screenshots.map(s => `**${s.testName}**${s.snapshotName ? ` (\`${s.snapshotName}\`)` : ''}`).join(', ')} — ${group.dimensions ? `${group.dimensions.width}×${group.dimensions.height}` : 'identical files'}${group.project ? `, ${group.project}` : ''}\n`;
+    });
+    md += '\n';
+  }
+  
   // Top changes
   const significantChanges = report.comparisons
     .filter(c => c.status === 'major' || c.status === 'minor')
@@ -1321,9 +3074,36 @@ function generateMarkdownSummary(report) {
       md += `${idx + 1}. **${comp.testName}**\n`;
       md += `   - Status: ${comp.status}\n`;
       md += `   - Difference: ${comp.diffPercent?.toFixed(2)}%\n`;
+      if (comp.classifiedBy && comp.classifiedBy.rule !== 'default') {
+        md += `   - Classified by: ${comp.classifiedBy.rule} (${comp.classifiedBy.scope}: negligible < ${comp.classifiedBy.negligible}%, minor < ${comp.classifiedBy.minor}%)\n`;
+      }
       if (comp.pixelDiff !== undefined) {
         md += `   - Pixels changed: ${comp.pixelDiff.toLocaleString()}\n`;
       }
+      if (comp.regionCount) {
+        md += `   - ${describeRegions(comp)}\n`;
+      }
+      if (comp.changeKind) {
+        md += `   - Kind: ${CHANGE_KIND_LABELS[comp.changeKind]}${comp.layout?.messages.length ? ` – ${comp.layout.messages.join('; ')}` : ''}\n`;
+      }
+      if (comp.masks?.length) {
+        md += `   - Not compared: ${comp.masks.length} ignored area(s) (${[...new Set(comp.masks.map(m => m.reason || m.selector || m.rule))].join(', ')})\n`;
+      }
+      if (comp.sizeMismatch) {
+        md += `   - Size changed: ${comp.mainDimensions.width}×${comp.mainDimensions.height} → ${comp.prDimensions.width}×${comp.prDimensions.height}\n`;
+      }
+      if (comp.matchedBy) {
+        md += `   - Matched by: ${comp.matchedBy} (${Math.round(comp.matchConfidence * 100)}% confidence)\n`;
+      }
+      if (comp.aria?.changeCount) {
+        md += `   - Accessibility tree: ${comp.aria.changeCount} change(s)${comp.aria.losses ? `, ${comp.aria.losses} lost` : ''}\n`;
+      }
+      if (comp.unstable) {
+        md += `   - Visually unstable${comp.unstable.explained ? ' (all changed regions fluctuate between attempts)' : ''}\n`;
+      }
+      if (comp.relocation) {
+        md += `   - ${comp.relocation === 'moved' ? `Moved from \`${comp.previous.file}\` › ` : 'Renamed from '}${comp.previous.testName}\n`;
+      }
       md += '\n';
     });
   }